@@ -232,6 +232,7 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
             var domain = domains[i0], auth = auths[domain], chall = auth.challenges[i2];
             var html = ['<div class="mt-1" style="font-size:12px;color:#aaa">'];
             var nameCss = 'color: #333;';
+            var ip = auth.identifier.type == "ip" && X509.IPParse(auth.identifier.value);
             if (chall.type == "dns-01") {
                 html.push(Lang(`前往域名权威 DNS 服务器中添加以下 TXT 记录，验证前可使用 <a href="https://dns.alidns.com/resolve?type=16&name=_acme-challenge.${auth.identifier.value}" target="_blank">DNS 查询</a> Answer 是否包含记录值以测试生效性。`, ' ') + '</div>');
                 html.push(`<div class="pd FlexBox my-3">
@@ -250,11 +251,13 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
 </div>
 </div>`);
             } else if (chall.type == "http-01") {
-                html.push(Lang('验证前可 <a href="http://' + auth.identifier.value + '/.well-known/acme-challenge/' + FormatText(chall.token) + '" target="_blank">打开凭据文件</a> 以测试有效性。', '') + '</div>');
+                var host = ip && ip.v6 ? "[" + ip.value + "]" : auth.identifier.value; //URL中的IPv6地址需要方括号
+                var fileUrl = FormatText("http://" + host + "/.well-known/acme-challenge/" + chall.token);
+                html.push(Lang('验证前可 <a href="' + fileUrl + '" target="_blank">打开凭据文件</a> 以测试有效性。', '') + '</div>');
                 html.push(`<div class="pd FlexBox my-3">
 <div class="fs-14" style="${nameCss}">${Lang('文件路径：', '')}</div>
 <div class="FlexItem">
-<input class="form-control fs-13 q-form" readonly value="http://${auth.identifier.value}/.well-known/acme-challenge/${FormatText(chall.token)}" />
+<input class="form-control fs-13 q-form" readonly value="${fileUrl}" />
 </div>
 </div>
 <div class="pd FlexBox mb-3">
@@ -262,6 +265,46 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
 <div class="FlexItem">
 <input class="form-control fs-13 q-form" readonly value="${chall.authTxt}" />
 </div>
+</div>`);
+            } else if (chall.type == "tls-alpn-01") {
+                var alpnFile = FormatText(auth.identifier.value.replace(/^\*\./g, "").replace(/[^\w\.-]/g, "_"));
+                html.push((ip
+                    ? Lang(`在 IP 地址 ${FormatText(ip.value)} 的 443 端口上，对 ALPN 协议为 <code>acme-tls/1</code> 且 SNI 为 <code>${ip.arpa}</code> 的 TLS 握手返回下面的验证证书，其他握手不受影响。`, ' ')
+                    : Lang(`在 ${auth.identifier.value} 解析到的服务器 443 端口上，对 ALPN 协议为 <code>acme-tls/1</code> 且 SNI 为此域名的 TLS 握手返回下面的验证证书，其他握手不受影响。`, ' ')) + '</div>');
+                html.push(`<div class="pd FlexBox my-3">
+<div class="fs-14" style="${nameCss}">${Lang('验证证书：', '')}</div>
+<div class="FlexItem">
+<textarea class="form-control fs-13 q-form tlsAlpnCert_${i0}" rows="3" readonly>${Lang('正在生成 ...', '')}</textarea>
+</div>
+</div>
+<div class="pd FlexBox mb-3">
+<div class="fs-14" style="${nameCss}">${Lang('证书私钥：', '')}</div>
+<div class="FlexItem">
+<textarea class="form-control fs-13 q-form tlsAlpnKey_${i0}" rows="3" readonly></textarea>
+</div>
+</div>
+<div class="mb-3">
+<a href="#!" class="tlsAlpnDown_${i0}" data-type="pem">${Lang('下载 .pem', '')}</a>
+<span> | </span>
+<a href="#!" class="tlsAlpnDown_${i0}" data-type="key">${Lang('下载 .key', '')}</a>
+</div>
+<div class="fs-12 color-9 mb-3">
+<p class="mb-1">${Lang('例如用 nginx stream 按 ALPN 分流，将验证握手转给 openssl 临时提供验证证书，验证完成后即可移除：', '')}</p>
+<pre class="p-2 bg-light">stream {
+    map $ssl_preread_alpn_protocols $tls_backend {
+        ~\\bacme-tls/1\\b 127.0.0.1:10443;
+        default       127.0.0.1:8443; # ${Lang('原来的 HTTPS 服务', '')}
+    }
+    server {
+        listen 443;
+        ssl_preread on;
+        proxy_pass $tls_backend;
+    }
+}
+
+openssl s_server -accept 10443 -alpn acme-tls/1 \\
+    -cert ${alpnFile}.alpn.pem -key ${alpnFile}.alpn.key</pre>
+<p class="mb-0">${Lang('443 端口空闲时可直接运行 openssl s_server -accept 443；Caddy、Traefik 等服务器自带 tls-alpn-01 支持时无需手动配置。', '')}</p>
 </div>`);
             } else {
                 html.push(Lang('', '') + '</div>');
@@ -279,9 +322,41 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
 </div>`);
             }
             $(".verifyItemBox_" + i0).html(html.join('\n'));
+            if (chall.type == "tls-alpn-01") tlsAlpnCertShow(i0, auth.identifier.value, chall);
         });
+        //生成tls-alpn-01验证证书，每个验证只生成一次
+        var tlsAlpnCache = {};
+        var tlsAlpnCertShow = function (i0, domain, chall) {
+            var show = function (o) {
+                $(".tlsAlpnCert_" + i0).val(o.cert);
+                $(".tlsAlpnKey_" + i0).val(o.key);
+                $(".tlsAlpnDown_" + i0).bind("click", function (e) {
+                    e.preventDefault();
+                    var isKey = e.target.getAttribute("data-type") == "key";
+                    var downA = document.createElement("A");
+                    downA.href = URL.createObjectURL(new Blob([isKey ? o.key : o.cert], { "type": "text/plain" }));
+                    downA.download = domain.replace(/^\*\./g, "").replace(/[^\w\.-]/g, "_") + ".alpn." + (isKey ? "key" : "pem");
+                    downA.click();
+                });
+            };
+            var fail = function (err) {
+                $(".tlsAlpnCert_" + i0).val(Lang("生成验证证书失败：", "Failed to create the challenge certificate: ") + err);
+            };
+            if (tlsAlpnCache[chall.url]) return show(tlsAlpnCache[chall.url]);
+            X509.KeyGenerate("ECC", "P-256", function (pem) {
+                X509.KeyParse(pem, function (info) {
+                    X509.CreateTlsAlpnCert(info, domain, UrlB642Bytes(chall.authTxtSHA256), function (cert) {
+                        show(tlsAlpnCache[chall.url] = { cert: cert, key: pem });
+                    }, fail);
+                }, fail, 1);
+            }, fail);
+        };
         for (var i0 = 0; i0 < domains.length; i0++) {
             var el = $(".choice_authChall_" + i0 + "_0");
+            var challIdx = auths[domains[i0]].challIdx, choiceEls = $("input[name=choice_authItem_" + i0 + "]");
+            for (var i = 0; challIdx != null && i < choiceEls.length; i++) {
+                if (+$(choiceEls[i]).attr("challidx") == challIdx) el = $(choiceEls[i]); //恢复的订单选中之前的验证方式
+            }
             el[0] && el[0].click(); //默认选中每个域名的第一个
         }
     };
@@ -337,7 +412,7 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 `OK`,
                 `OK`));
 
-            initTest_Restore();
+            pendingOrdersShow();
             acmeReadDirGotoCORSInit();
             downloadFileNameShow();
             initStep1();
@@ -348,8 +423,13 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
             $("input[name=choice_acmeURL]").bind("click", function (e) {
                 var el = e.target;
                 var isManual = el.value == "manual";
+                var url = el.value;
+                if (!isManual && $(".choice_staging").prop("checked")) {
+                    url = el.getAttribute("stagingurl") || ""; //测试环境 (Staging)
+                    if (!url) ShowState(".acmeReadDirState", Lang("此证书颁发机构没有测试环境，请取消勾选测试环境或选择其他证书颁发机构。", ""), 1);
+                }
                 $(".in_acmeURL").css("opacity", isManual ? 1 : 0.4)
-                    .val(isManual ? step1ChoiceStoreVal : el.value)
+                    .val(isManual ? step1ChoiceStoreVal : url)
                     .attr("readonly", isManual ? null : "");
 
                 var descKey = $(el).attr("desckey");
@@ -359,8 +439,39 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 step1ChoiceStoreVal = "";
                 choiceAcmeURLChangeAfter();
             });
+            //切换测试环境后重新读取所选证书颁发机构的服务目录
+            $(".choice_staging").bind("change", function () {
+                var el = $("input[name=choice_acmeURL]:checked")[0];
+                if (el && el.value != "manual") el.click();
+            });
             resetStep1();
         };
+        //当前使用的ACME账户私钥的存储位置，测试环境使用单独的账户私钥
+        var accountKeyStoreKey = function () {
+            return $(".choice_staging").prop("checked") ? "q-acmeStagingAccountKey" : "q-acmeAccountKey";
+        };
+        //正式环境中有单独账户私钥的CA（更换账户私钥时未能恢复的CA），key为ACME.URL，和ACMEClient.getAccountKeysByCA一致
+        var accountKeysByCA = function () {
+            if (accountKeyStoreKey() != "q-acmeAccountKey") return {};
+            return JSON.parse(localStorage["q-acmeAccountKeyByCA"] || "{}");
+        };
+        var accountKeyLoad = function () {
+            return accountKeysByCA()[ACME.URL] || localStorage.getItem(accountKeyStoreKey());
+        };
+        var accountKeySave = function (pem) {
+            var keys = accountKeysByCA();
+            if (keys[ACME.URL]) {
+                keys[ACME.URL] = pem;
+                localStorage["q-acmeAccountKeyByCA"] = JSON.stringify(keys);
+            } else {
+                localStorage.setItem(accountKeyStoreKey(), pem);
+            }
+        };
+        //账户私钥的来源，切换环境或切换到有单独私钥的CA时需要重新加载
+        var accountKeySource = function () {
+            return accountKeyStoreKey() + (accountKeysByCA()[ACME.URL] ? " " + ACME.URL : "");
+        };
+        var lastAccountKeyStoreKey = "";
         var step1ChoiceStoreVal;
         var resetStep1 = function () {
             //选中上次选择的证书颁发机构
@@ -371,6 +482,9 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 var manualIdx = 0;
                 for (var i = 0; i < choices.length; i++) {
                     if (choices[i].value == step1ChoiceStoreVal) idx = i + 1;
+                    if (choices[i].getAttribute("stagingurl") == step1ChoiceStoreVal) {
+                        idx = i + 1; $(".choice_staging").prop("checked", true);
+                    }
                     if (choices[i].value == "manual") manualIdx = i + 1;
                 }
                 if (!idx) idx = manualIdx //手动填写
@@ -388,10 +502,13 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                     .val("")
                     .attr("readonly", isManual ? null : "");
                 $(".privateKeyBox").show();
+                $(".csrBox")[el.value == "csr" ? 'show' : 'hide']();
 
                 configPrivateKeyGenerate(el.value);//生成密钥
                 configStepShow();//重新显示界面
             });
+            //使用自有CSR时，私钥在外部保管，域名从CSR中读取
+            $(".in_csr").bind("change", csrInputChange);
 
             //ACME账户私钥UI
             $(".accountKeyBox").hide();
@@ -421,6 +538,20 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
         var TryAgainTips = function () {
             return Lang(" 请重试！", "");
         };
+        //ACME错误的原因和处理建议，包括每个域名各自的错误，没有可提示的返回空字符串
+        var ProblemTips = function (errObj) {
+            var names = [], html = "";
+            if (!errObj || typeof (errObj) != "object") return html;
+            var caaIdentity = ((ACME.DirData && ACME.DirData.meta || {}).caaIdentities || [])[0];
+            var list = [errObj].concat(errObj.subproblems || []);
+            for (var i = 0; i < list.length; i++) {
+                var name = list[i].name, guide = ACME.ProblemGuide(name, caaIdentity);
+                if (!guide || names.indexOf(name) != -1) continue;
+                names.push(name);
+                html += '<div class="fs-12 mt-1">' + guide + '</div>';
+            }
+            return html;
+        };
         //每一步的状态更新显示
         var ShowState = function (elem, msg, color, tag) {
             var now = new Date();
@@ -548,19 +679,54 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
 
 
 
+        //返回第一步重新选择证书颁发机构
+        window.acmeChangeCAClick = function () {
+            ++UserClickSyncID;
+            document.getElementById('q-steps2').style.display = 'none';
+            document.getElementById('q-steps1').style.display = '';
+            ShowState(".acmeReadDirState", false);
+            pendingOrdersShow();
+        };
+
         /************** UI Step2: Certificate Configuration **************/
         //显示第二步界面
         var configStepShow = function () {
             document.getElementById('q-steps1').style.display = 'none';
             document.getElementById('q-steps2').style.display = '';
+            $(".pendingOrdersBox").hide();
             $(".step2Hide").hide();
             $(".step2Show").show();
             ShowState(".configStepState", false);
 
+            var caEl = $("input[name=choice_acmeURL]:checked")[0];
+            var caName = (caEl && caEl.getAttribute("caname") || ACME.URL)
+                + ($(".choice_staging").prop("checked") ? Lang(" (测试环境)", " (Staging)") : "");
+            $(".acmeNameShow").html(FormatText(caName));
+            if (ACME.StepData.termsURL) $(".termsLinkShow").attr("href", ACME.StepData.termsURL);
+            $(".termsLinkShow").html(FormatText(caName + Lang(" 使用条款", " Terms of Service")));
+
             $(".eabShow")[ACME.StepData.needEAB ? 'show' : 'hide']();
+            if (ACME.StepData.needEAB) { //填充此证书颁发机构上次使用的EAB凭据
+                var records = JSON.parse(localStorage.getItem('q-manageDataPairs')) || [];
+                for (var i = records.length - 1; i >= 0; i--) {
+                    if (records[i].acmeURL == ACME.URL && records[i].eabKid) {
+                        $(".in_eab_kid").val(records[i].eabKid);
+                        $(".in_eab_key").val(records[i].eabKey || "");
+                        break;
+                    }
+                }
+            }
             if (DropConfigFile.eabKid) $(".in_eab_kid").val(DropConfigFile.eabKid);
             if (DropConfigFile.eabKey) $(".in_eab_key").val(DropConfigFile.eabKey);
 
+            profileListShow();
+            if (DropConfigFile.preferredChain) { //沿用配置文件中选择的证书链
+                var chainStore = JSON.parse(localStorage[ChoiceChainStoreKey] || "{}");
+                chainStore[ACME.URL] = DropConfigFile.preferredChain;
+                localStorage[ChoiceChainStoreKey] = JSON.stringify(chainStore);
+            }
+
+            $(".preAuthzShow")[ACME.DirData.newAuthz ? 'show' : 'hide'](); //CA支持时可以只验证域名，不申请证书
             $(".termsAgreeBox")[ACME.StepData.termsURL ? 'show' : 'hide']();
             $(".termsAgreeTips").html(Lang('我同意此证书颁发机构ACME服务的<a href="' + ACME.StepData.termsURL + '" target="_blank">服务条款</a>。', ''));
             $(".choice_termsAgree").prop("checked", true);
@@ -572,6 +738,7 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 el.val(val || "");
             }
             $(".choice_domains_store").prop("checked", !!valS);
+            csrExtensionsShow();
 
             var el = $(".in_email");//填充上次填写的联系邮箱
             var valS = localStorage[InputEmailStoreKey];
@@ -588,6 +755,17 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 }
             };
             setKey("privateKey"); setKey("accountKey");
+            if (DropConfigFile.csr) { //上次使用的是自有CSR
+                $("input[name=choice_privateKey][value=csr]")[0].click();
+                $(".in_csr").val(DropConfigFile.csr);
+                csrInputChange();
+            }
+
+            //正式环境和测试环境、有单独私钥的CA的账户私钥不同，切换后重新加载
+            if (lastAccountKeyStoreKey && lastAccountKeyStoreKey != accountKeySource()) {
+                $(".in_accountKey").val("");
+            }
+            lastAccountKeyStoreKey = accountKeySource();
 
             DropConfigFile = {};//配置完成，丢弃拖拽进来的配置信息
             
@@ -597,7 +775,7 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 var accountKeyVal = $(".in_accountKey").val();
                 if (!accountKeyVal) {
                     // 从 localStorage 尝试加载
-                    var storageAccountKey = localStorage.getItem('q-acmeAccountKey');
+                    var storageAccountKey = accountKeyLoad();
                     if (storageAccountKey) {
                         $(".in_accountKey").val(storageAccountKey);
                     } else {
@@ -653,6 +831,18 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 ShowState(".configStepState", false);
             });
         };
+        //输入或选择了CSR文件，验证签名后用CSR中的域名填充域名输入框
+        var csrInputChange = function () {
+            var sEl = ".csrState", csr = $(".in_csr").val().trim();
+            if (!csr) return ShowState(sEl, false);
+            X509.CSRVerify(csr, function (info) {
+                $(".in_domains").val(info.domains.join(", "));
+                var keyTag = info.keyType + " " + (info.keyType == "ECC" ? X509.SupportECCType2[info.keyType2] || info.keyType2 : info.keyType2 + " Bit");
+                ShowState(sEl, Lang("CSR有效：" + keyTag + "，" + info.domains.length + " 个域名，私钥由你自行保管", "Valid CSR: " + keyTag + ", " + info.domains.length + " domain(s), the private key stays with you"), 2);
+            }, function (err) {
+                ShowState(sEl, err, 1);
+            });
+        };
         //生成ACME账户的密钥对
         var configAccountKeyGenerate = function (type) {
             var id = ++UserClickSyncID;
@@ -680,7 +870,7 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 $(".in_accountKey").val(pem);
                 
                 // 保存到 localStorage
-                localStorage.setItem('q-acmeAccountKey', pem);
+                accountKeySave(pem);
                 
                 CLog(tag, 0, ShowState(sEl, keyTag + Lang("，创建成功，请复制保管，下次输入自己的账户私钥。", ""), 2), '\n' + pem);
                 
@@ -694,8 +884,49 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 ShowState(".configStepState", false);
             });
         };
-        //点击确定按钮，完成配置域名和私钥的配置
-        window.configStepClick = function () {
+        //CSR扩展选项：沿用配置文件中的，或证书管理中相同域名的证书上次使用的，续期时生成相同的CSR
+        var csrExtensionsShow = function () {
+            var ext = DropConfigFile.csrExtensions;
+            if (!ext) {
+                var domains = $(".in_domains").val().replace(/[\s，]+/g, ",").split(/,+/).filter(function (a) { return a }).join(",");
+                var records = JSON.parse(localStorage.getItem('q-manageDataPairs')) || [];
+                for (var i = records.length - 1; i >= 0 && !ext; i--) {
+                    if (String(records[i].domains) == domains) ext = records[i].csrExtensions || {};
+                }
+            }
+            ext = ext || {};
+            var eku = ext.extKeyUsage || [];
+            $(".choice_csrMustStaple").prop("checked", !!ext.mustStaple);
+            $(".choice_csrKeyUsage").prop("checked", !!ext.keyUsage);
+            $(".choice_csrServerAuth").prop("checked", eku.indexOf("serverAuth") != -1);
+            $(".choice_csrClientAuth").prop("checked", eku.indexOf("clientAuth") != -1);
+        };
+        //显示此证书颁发机构提供的证书配置(Profile)，默认选中上次在此CA选择的配置
+        var ChoiceProfileStoreKey = "ACME_HTML_choice_profile";
+        var ChoiceChainStoreKey = "ACME_HTML_choice_chain"; //每个CA上次选择的证书链根证书名称
+        var profileListShow = function () {
+            var profiles = ACME.StepData.profiles, names = [];
+            for (var k in profiles) names.push(k);
+            $(".profileShow")[names.length ? 'show' : 'hide']();
+            if (!names.length) return $(".profileList").html("");
+
+            var store = JSON.parse(localStorage[ChoiceProfileStoreKey] || "{}");
+            var choice = DropConfigFile.profile || store[ACME.URL] || "";
+            if (!profiles[choice]) choice = "";
+            var html = `<input type="radio" name="choice_profile" id="q-profile-0" value="" class="d-none"${choice ? "" : " checked"} />
+<label for="q-profile-0" class="label-radio">${Lang("默认", "Default")}</label>`;
+            for (var i = 0; i < names.length; i++) {
+                var name = names[i], desc = String(profiles[name] || "");
+                desc = /^https?:\/\//.test(desc)
+                    ? ' <a href="' + FormatText(desc) + '" target="_blank" rel="noopener noreferrer" class="fs-12">' + Lang("说明", "Info") + '</a>'
+                    : (desc ? '<span class="fs-12"> ' + FormatText(desc) + '</span>' : "");
+                html += `<input type="radio" name="choice_profile" id="q-profile-${i + 1}" value="${FormatText(name)}" class="d-none"${choice == name ? " checked" : ""} />
+<label for="q-profile-${i + 1}" class="label-radio">${FormatText(name)}${desc}</label>`;
+            }
+            $(".profileList").html(html);
+        };
+        //点击确定按钮，完成配置域名和私钥的配置；preAuthz时只预先验证域名，不创建订单
+        window.configStepClick = function (preAuthz) {
             var id = ++UserClickSyncID;
             var tag = "Step-2", sEl = ".configStepState";
 
@@ -706,12 +937,22 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
             var domains = $(".in_domains").val().trim();
             var domainsStore = $(".choice_domains_store").prop("checked");
             var privateKey = $(".in_privateKey").val().trim();
+            var privateKeyEl = $("input[name=choice_privateKey]:checked")[0];
+            var csr = privateKeyEl && privateKeyEl.value == "csr" ? $(".in_csr").val().trim() : "";
             var accountKey = $(".in_accountKey").val().trim();
             var email = $(".in_email").val().trim();
             var emailStore = $(".choice_email_store").prop("checked");
             var eabKid = $(".in_eab_kid").val().trim();
             var eabKey = $(".in_eab_key").val().trim();
             var termsAgree = $(".choice_termsAgree").prop("checked");
+            var profileEl = $("input[name=choice_profile]:checked")[0];
+            var profile = profileEl && profileEl.value || "";
+            var csrExtensions = { //CSR扩展，没有选择时为null
+                mustStaple: !!$(".choice_csrMustStaple").prop("checked")
+                , keyUsage: !!$(".choice_csrKeyUsage").prop("checked")
+                , extKeyUsage: [$(".choice_csrServerAuth").prop("checked") && "serverAuth", $(".choice_csrClientAuth").prop("checked") && "clientAuth"].filter(function (a) { return a })
+            };
+            if (!csrExtensions.mustStaple && !csrExtensions.keyUsage && !csrExtensions.extKeyUsage.length) csrExtensions = null;
 
             //域名转成数组
             domains = domains.replace(/\s+/g, ",").replace(/，+/g, ",").split(/,+/);
@@ -719,9 +960,12 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 var domain = domains[i];
                 if (!domain) {
                     domains.splice(i, 1); i--; continue;
-                } else if (mp[domain])
+                }
+                var ip = X509.IPParse(domain); //IP地址转成规范格式 rfc8738
+                if (ip) domain = domains[i] = ip.value;
+                if (mp[domain])
                     return ShowState(sEl, Lang("域名" + domain + "重复 ... ", ""), 1);
-                if (/[:\/;]/.test(domain))//简单校验域名格式
+                if (!ip && /[:\/;\[\]]/.test(domain))//简单校验域名格式
                     return ShowState(sEl, Lang("域名" + domain + "格式错误 ... ", ""), 1);
                 mp[domain] = 1;
             }
@@ -733,17 +977,44 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 return ShowState(sEl, Lang("域名是必须项。", " "), 1);
             if (!accountKey)
                 return ShowState(sEl, Lang("需要创建或输入 ACME 账户的私钥。", " "), 1);
-            if (!privateKey)
+            if (privateKeyEl && privateKeyEl.value == "csr" && !csr)
+                return ShowState(sEl, Lang("需要输入或选择CSR文件。", " "), 1);
+            if (!privateKey && !csr)
                 return ShowState(sEl, Lang("需要证书的私钥。", " "), 1);
+            if (csr && csrExtensions)
+                return ShowState(sEl, Lang("使用自有CSR时CSR会原样提交，请在生成CSR时添加所需的扩展，并取消选择CSR扩展。", " "), 1);
             if (!/.+@.+\..+/.test(email) || /[\s,;]/.test(email))
                 return ShowState(sEl, Lang("需要填写电子邮箱地址。", " "), 1);
             if (ACME.StepData.needEAB && !(eabKid && eabKey))
                 return ShowState(sEl, Lang("EAB KID and HMAC KEY not found.", " "), 1);
             if (ACME.StepData.termsURL && !termsAgree)
                 return ShowState(sEl, Lang("需要同意使用条款。", " "), 1);
-
-            //校验私钥格式是否支持
-            var privateKeyInfo, parsePrivateKey = function () {
+            if (preAuthz && !ACME.DirData.newAuthz)
+                return ShowState(sEl, Lang("此证书颁发机构不支持预先验证域名。", " "), 1);
+            for (var i = 0; preAuthz && i < domains.length; i++) {
+                if (/^\*\./.test(domains[i])) //通配符域名不能预先授权 rfc8555 7.4.1
+                    return ShowState(sEl, Lang("通配符域名" + domains[i] + "不能预先验证，请申请证书时验证。", " "), 1);
+            }
+            if (profile && !(ACME.StepData.profiles || {})[profile])
+                return ShowState(sEl, Lang("此证书颁发机构不支持证书配置" + profile + "。", " "), 1);
+            var profileStore = JSON.parse(localStorage[ChoiceProfileStoreKey] || "{}");
+            profileStore[ACME.URL] = profile;
+            localStorage[ChoiceProfileStoreKey] = JSON.stringify(profileStore);
+            var chainStore = JSON.parse(localStorage[ChoiceChainStoreKey] || "{}");
+
+            //校验私钥格式是否支持，使用CSR时校验CSR签名，订单中的域名必须和CSR中的一致
+            var privateKeyInfo = null, parsePrivateKey = function () {
+                if (csr) return X509.CSRVerify(csr, function (info) {
+                    var same = info.domains.length == domains.length;
+                    for (var i = 0; same && i < domains.length; i++) {
+                        if (info.domains.indexOf(domains[i]) == -1) same = false;
+                    }
+                    if (!same) return ShowState(sEl, Lang("域名和CSR中的不一致，CSR中的域名：" + FormatText(info.domains.join(", ")), ""), 1);
+                    csr = info.pem; domains = info.domains;
+                    parseAccountKey();
+                }, function (err) {
+                    ShowState(sEl, Lang("CSR无效：", "") + err, 1);
+                });
                 X509.KeyParse(privateKey, function (info) {
                     privateKeyInfo = info; parseAccountKey();
                 }, function (err) {
@@ -766,10 +1037,15 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 ACME.StepData.config = {
                     domains: domains
                     , privateKey: privateKeyInfo
+                    , csr: csr //使用自有CSR时privateKey为null，私钥在外部保管
+                    , csrExtensions: csrExtensions
                     , accountKey: accountKeyInfo
                     , email: email
                     , eabKid: eabKid
                     , eabKey: eabKey
+                    , staging: !!$(".choice_staging").prop("checked")
+                    , profile: profile
+                    , preferredChain: chainStore[ACME.URL] || ""
                 };
                 CLog(tag, 0, "config", ACME.StepData.config);
 
@@ -781,10 +1057,10 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 var msg0 = CLog(tag, 0, ShowState(sEl, Lang("初始化 ... ", " ") + ACME.DirData.newAccount, 2));
                 ACME.StepAccount(function () {
                     if (UserClickSyncKill(id, tag, msg0)) return;
-                    acmeNewOrder();
-                }, function (err) {
+                    preAuthz ? acmePreAuthz() : acmeNewOrder();
+                }, function (err, errObj) {
                     if (UserClickSyncKill(id, tag, msg0 + " err: " + err)) return;
-                    CLog(tag, 1, ShowState(sEl, Lang("发生错误：" + err, ""), 1));
+                    CLog(tag, 1, ShowState(sEl, Lang("发生错误：" + err, "") + ProblemTips(errObj), 1));
                 });
             };
             //ACME订单创建接口调用
@@ -796,13 +1072,28 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 ACME.StepOrder(onProgress, function () {
                     if (UserClickSyncKill(id, tag, msg0)) return;
                     acmeOK();
-                }, function (err) {
+                }, function (err, errObj) {
+                    if (UserClickSyncKill(id, tag, msg0 + " err: " + err)) return;
+                    CLog(tag, 1, ShowState(sEl, Lang("发生错误：" + err, "") + ProblemTips(errObj), 1));
+                });
+            };
+            //ACME预授权接口调用
+            var acmePreAuthz = function () {
+                var msg0, onProgress = function (tips) {
+                    if (id != UserClickSyncID) return;
+                    msg0 = CLog(tag, 0, ShowState(sEl, Lang("预先验证域名 ... ", " ") + ACME.DirData.newAuthz + " " + tips, 2));
+                }; onProgress("");
+                ACME.StepPreAuthz(onProgress, function () {
+                    if (UserClickSyncKill(id, tag, msg0)) return;
+                    acmeOK();
+                }, function (err, errObj) {
                     if (UserClickSyncKill(id, tag, msg0 + " err: " + err)) return;
-                    CLog(tag, 1, ShowState(sEl, Lang("发生错误：" + err, ""), 1));
+                    CLog(tag, 1, ShowState(sEl, Lang("发生错误：" + err, "") + ProblemTips(errObj), 1));
                 });
             };
             //ACME接口调用完成，显示下一步
             var acmeOK = function () {
+                pendingOrderSave();
                 verifyStepShow();
 
                 CLog(tag, 0, ShowState(sEl, Lang(
@@ -883,12 +1174,13 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                         auth.authState = 0;
                         auth.authTryCount = 0;
                         auth.authError = "";
+                        auth.authErrorInfo = null;
                         auth.authTimer = 0;
                     }
                     var challName = ACME.ChallName(challs[auth.challIdx]);
                     if (auth.authState == 12) {//验证失败
                         ShowState(stateEl, challName + Lang("，验证失败：", "")
-                            + auth.authError, 1, "");
+                            + auth.authError + ProblemTips(auth.authErrorInfo), 1, "");
                         errCount++;
                         continue;
                     }
@@ -947,6 +1239,7 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                     if (id != UserClickSyncID) return;
                     if (isOk) {
                         authItem.authState = 11;
+                        pendingOrderSave();
                     } else {
                         authItem.authState = 2;
                         authItem.authError = err;
@@ -957,10 +1250,11 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                         }, retryTime);
                     }
                     run();
-                }, function (err) {
+                }, function (err, errInfo) {
                     if (id != UserClickSyncID) return;
                     authItem.authState = 12;
                     authItem.authError = err;
+                    authItem.authErrorInfo = errInfo || null;
                     run();
                 });
             };
@@ -975,53 +1269,76 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
             verifyRunStopFn = function () {
                 verifyEnd();
                 updateState(0, 1);
+                pendingOrderSave();
             };
             //验证完成，存在不通过的
             var verifyFail = function () {
                 CLog(tag, 1, "Verify Fail!");
                 updateState(0, 1, 1);
                 verifyEnd();
+                pendingOrderSave();
             };
             //全部验证成功
             var verifyOK = function () {
+                if (ACME.StepData.order.preAuthz) return preAuthzOK();
 
                 tc('验证成功，正在颁发 ...');
 
                 CLog(tag, 0, "Verify OK!");
                 verifyEnd();
 
+                pendingOrderSave();
                 finalizeOrderClick();
             };
+            //预先验证完成，不需要签发证书，显示授权的有效期
+            var preAuthzOK = function () {
+                tc('域名验证成功！');
+                CLog(tag, 0, "PreAuthz OK!");
+                verifyEnd();
 
-            //调用完成订单接口，生成证书
-            window.finalizeOrderClick = function () {
-                $(".finalizeOrderBtn").hide();
-                var msg0, onProgress = function (tips) {
-                    if (id != UserClickSyncID) return;
-                    msg0 = CLog(tag, 0, ShowState(sEl, PleaseWaitTips()
-                        + Lang("验证已通过，正在签发证书。", "")
-                        + ' ' + tips, 2));
-                }; onProgress("");
-                ACME.StepFinalizeOrder(onProgress, function () {
-                    if (UserClickSyncKill(id, tag, msg0)) return;
-                    //显示下一步
-                    downloadStepShow();
-
-                    CLog(tag, 0, ShowState(sEl, Lang(
-                        "验证已通过，证书已签发，"
-                        , "")
-                        + NextStepTips(), 2), ACME.StepData);
-                }, function (err) {
-                    if (UserClickSyncKill(id, tag, msg0 + " err: " + err)) return;
-                    $(".finalizeOrderBtn").show();
-                    CLog(tag, 1, ShowState(sEl, Lang("签发证书发生错误，", "") + TryAgainTips()
-                        + Lang("如果多次重试都无法签发证书，请直接刷新页面重新开始。", "")
-                        + " Error: " + err, 1));
-                });
+                var expires = "";
+                for (var i0 = 0; i0 < domains.length; i0++) {
+                    var time = Date.parse(auths[domains[i0]].expires);
+                    if (time && (!expires || time < expires)) expires = time;
+                }
+                ShowState(sEl, Lang("域名验证已通过，", "")
+                    + (expires ? Lang("授权有效期至 " + new Date(expires).toLocaleString() + "，", "") : "")
+                    + Lang("在此之前为这些域名申请或自动续期证书都无需再次验证。", "")
+                    + ' <a href="#!" onclick="configStepClick()">' + Lang("立即申请证书", "") + '</a>', 2);
             };
 
             run();
         };
+        //调用完成订单接口，生成证书
+        window.finalizeOrderClick = function () {
+            var id = ++UserClickSyncID;
+            var tag = "Step-3", sEl = ".verifyStepState";
+            $(".verifyStepBtn").hide();
+            $(".finalizeOrderBtn").hide();
+            var msg0, onProgress = function (tips) {
+                if (id != UserClickSyncID) return;
+                msg0 = CLog(tag, 0, ShowState(sEl, PleaseWaitTips()
+                    + Lang("验证已通过，正在签发证书。", "")
+                    + ' ' + tips, 2));
+            }; onProgress("");
+            ACME.StepFinalizeOrder(onProgress, function () {
+                if (UserClickSyncKill(id, tag, msg0)) return;
+                //显示下一步
+                downloadStepShow();
+
+                CLog(tag, 0, ShowState(sEl, Lang(
+                    "验证已通过，证书已签发，"
+                    , "")
+                    + NextStepTips(), 2), ACME.StepData);
+            }, function (err, errObj) {
+                if (UserClickSyncKill(id, tag, msg0 + " err: " + err)) return;
+                pendingOrderSave(); //已提交finalize的状态也保存，继续时不会重复提交
+                $(".finalizeOrderBtn").show();
+                CLog(tag, 1, ShowState(sEl, Lang("签发证书发生错误，", "") + TryAgainTips()
+                    + Lang("也可以稍后在未完成的订单中继续签发。", "")
+                    + " Error: " + err + ProblemTips(errObj), 1));
+            });
+        };
 
 
 
@@ -1041,6 +1358,7 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
             var config = ACME.StepData.config;
             var hasPEM = ACME.StepData.order.downloadPEM;
             var pemTxt = hasPEM || Lang("未发现证书，请刷新页面重新开始。", "", true);
+            pendingOrderRemove(ACME.StepData.order.orderUrl);
 
 
 
@@ -1048,21 +1366,96 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
             let nowTime = new Date().toISOString();
             let q_manageData = {
                 cert: pemTxt,
-                key: config.privateKey.pem,
+                key: config.privateKey ? config.privateKey.pem : "",
                 time: nowTime,
                 domains: config.domains,
+                acmeURL: ACME.URL, //签发此证书的证书颁发机构，续期时使用
+                accountURL: ACME.StepData.account.url, //CAA记录的accounturi参数使用
+                challengeTypes: authChallengeTypes(ACME.StepData.auths), //CAA记录的validationmethods参数使用
             };
+            if (config.staging) q_manageData.staging = true; //测试环境签发的证书，不受浏览器信任
+            if (config.csr) { //私钥在外部保管，续期时原样提交此CSR
+                q_manageData.csr = config.csr;
+                q_manageData.keyExternal = true;
+            }
+            if (config.profile) q_manageData.profile = config.profile; //续期时使用相同的证书配置
+            if (config.csrExtensions) q_manageData.csrExtensions = config.csrExtensions; //续期时生成相同扩展的CSR
+            try { //证书的真实有效期等信息，短期证书只有几天有效期，其他CA也不一定是90天
+                Object.assign(q_manageData, X509.CertRecordInfo(pemTxt));
+            } catch (e) { }
+            if (config.eabKid) { //自动续期时可能需要重新绑定外部账号
+                q_manageData.eabKid = config.eabKid;
+                q_manageData.eabKey = config.eabKey;
+            }
+            if (config.preferredChain) q_manageData.preferredChain = config.preferredChain; //续期时选择相同根证书的证书链
             let q_manageDataOut = JSON.parse(localStorage.getItem('q-manageDataPairs')) || [];
             q_manageDataOut.push(q_manageData);
             localStorage.setItem('q-manageDataPairs', JSON.stringify(q_manageDataOut));
+            downloadRecord = { idx: q_manageDataOut.length - 1, time: nowTime };
+
+            downFileName = config.domains[0].replace(/^\*\./g, "").replace(/[^\w]/g, "_");
+            downloadFileNameShow(downFileName);
+            $(".step4KeyBox")[config.privateKey ? 'show' : 'hide'](); //私钥在外部保管时没有KEY和PFX可下载
 
+            chainListShow();
+            downloadTextShow();
+        };
+        var downloadRecord = {}; //本次证书保存在证书管理中的位置
+        //订单中各域名验证使用的验证方式，复用的授权取CA标记为valid的验证方式
+        var authChallengeTypes = function (auths) {
+            var types = [];
+            for (var k in auths) {
+                var challs = auths[k].challenges || [], chall = challs[auths[k].challIdx];
+                for (var i = 0; !chall && i < challs.length; i++) {
+                    if (challs[i].status == "valid") chall = challs[i];
+                }
+                if (chall && types.indexOf(chall.type) == -1) types.push(chall.type);
+            }
+            return types;
+        };
+        //CA提供了多条证书链时，显示证书链选择列表
+        var chainListShow = function () {
+            var order = ACME.StepData.order, chains = order.chains || [];
+            $(".chainsBox")[chains.length > 1 ? 'show' : 'hide']();
+            if (chains.length < 2) return $(".chainList").html("");
+
+            var html = "";
+            for (var i = 0; i < chains.length; i++) {
+                var chain = chains[i], count = (chain.pem.match(/-----BEGIN CERTIFICATE-----/g) || []).length;
+                html += `<input type="radio" name="choice_chain" id="q-chain-${i}" value="${i}" class="d-none" onclick="chainChoiceClick(${i})"${chain.pem == order.downloadPEM ? " checked" : ""} />
+<label for="q-chain-${i}" class="label-radio">${Lang("根证书：", "Root: ")}${FormatText(chain.root || "?")}<span class="fs-12"> ${Lang(count + " 张证书", count + " certificates")}${i ? "" : Lang("（默认）", " (default)")}</span></label>`;
+            }
+            $(".chainList").html(html);
+        };
+        //选择证书链，更新显示的证书和证书管理中保存的证书，并记住此CA的选择
+        window.chainChoiceClick = function (i) {
+            var order = ACME.StepData.order, config = ACME.StepData.config, chain = order.chains[i];
+            order.downloadPEM = chain.pem;
+            config.preferredChain = i ? chain.root : "";
+
+            var records = JSON.parse(localStorage.getItem('q-manageDataPairs')) || [];
+            var record = records[downloadRecord.idx];
+            if (record && record.time == downloadRecord.time) {
+                record.cert = chain.pem;
+                if (config.preferredChain) record.preferredChain = config.preferredChain;
+                else delete record.preferredChain;
+                localStorage.setItem('q-manageDataPairs', JSON.stringify(records));
+            }
+            var chainStore = JSON.parse(localStorage[ChoiceChainStoreKey] || "{}");
+            chainStore[ACME.URL] = config.preferredChain;
+            localStorage[ChoiceChainStoreKey] = JSON.stringify(chainStore);
 
+            downloadTextShow();
+        };
+        //显示证书、私钥和日志文本
+        var downloadTextShow = function () {
+            var config = ACME.StepData.config;
+            var hasPEM = ACME.StepData.order.downloadPEM;
+            var pemTxt = hasPEM || Lang("未发现证书，请刷新页面重新开始。", "", true);
 
             $(".txt_downloadCert").val(pemTxt);
-            $(".txt_downloadKey").val(config.privateKey.pem);
-
-            downFileName = config.domains[0].replace(/^\*\./g, "").replace(/[^\w]/g, "_");
-            downloadFileNameShow(downFileName);
+            var keyTxt = config.privateKey ? config.privateKey.pem : Lang("私钥由你自行保管，证书使用你提供的CSR申请", "", true);
+            $(".txt_downloadKey").val(keyTxt);
 
             var logTxts = [];
             var SP = function (tag) {
@@ -1080,7 +1473,7 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                     DefaultDownloadFileNames: DefaultDownloadFileNames
                 }
             }, config);
-            logSet.privateKey = config.privateKey.pem;
+            logSet.privateKey = config.privateKey ? config.privateKey.pem : "";
             logSet.accountKey = config.accountKey.pem;
 
             var logTitle = '/********** ' + Lang($(".clientNameCN").html(), $(".clientNameEN").html(), true) + ' *********/';
@@ -1104,7 +1497,7 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
             SP(Lang("证书PEM文本", "", true))
                 .push(pemTxt);
             SP(Lang("证书私钥PEM文本", "", true))
-                .push(config.privateKey.pem);
+                .push(keyTxt);
             SP(Lang("账户私钥PEM文本", "", true))
                 .push(config.accountKey.pem);
             SP(Lang("账户URL", "", true))
@@ -1153,11 +1546,51 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
             if (type == "Log") fileName += ".log";
             fileName = DefaultDownloadFileNames[type] || fileName;
 
-            var url = URL.createObjectURL(new Blob([val], { "type": "text/plain" }));
-            var downA = document.createElement("A");
-            downA.href = url;
-            downA.download = "Certple_" + fileName;
-            downA.click();
+            var download = function (val) {
+                var url = URL.createObjectURL(new Blob([val], { "type": "text/plain" }));
+                var downA = document.createElement("A");
+                downA.href = url;
+                downA.download = "Certple_" + fileName;
+                downA.click();
+            };
+            //设置了私钥密码时，KEY和LOG文件中的私钥都加密成ENCRYPTED PRIVATE KEY
+            var passphrase = $(".in_keyPassphrase").val();
+            if (type == "Cert" || !passphrase || !ACME.StepData.config) return download(val);
+            var sEl = ".keyPassphraseState", config = ACME.StepData.config;
+            ShowState(sEl, Lang("正在加密私钥 ...", "Encrypting private key ...") + PleaseWaitTips(), 2);
+            var keys = [config.privateKey, config.accountKey].filter(function (a) { return a });
+            Promise.all(keys.map(function (a) {
+                return X509.KeyEncrypt(a, passphrase);
+            })).then(function (encs) {
+                ShowState(sEl, false);
+                keys.forEach(function (a, i) {
+                    var json = [JSON.stringify(a.pem).slice(1, -1), JSON.stringify(encs[i]).slice(1, -1)];
+                    val = val.split(a.pem).join(encs[i]).split(json[0]).join(json[1]);
+                });
+                download(val);
+            }).catch(function (e) {
+                ShowState(sEl, e.message, 1);
+            });
+        };
+        //下载PKCS#12(.pfx)：私钥、证书和证书链用密码加密打包，Windows/IIS、Java等使用
+        window.downloadPfxClick = function () {
+            var sEl = ".pfxState";
+            var password = $(".in_pfxPassword").val(), legacy = $(".in_pfxLegacy").prop("checked");
+            if (!password) return ShowState(sEl, Lang("请设置 PFX 密码！", "Please set a PFX password!"), 1);
+            var certPem = $(".txt_downloadCert").val(), keyPem = $(".txt_downloadKey").val();
+            var friendlyName = ACME.StepData.config ? ACME.StepData.config.domains[0] : downFileName;
+            ShowState(sEl, Lang("正在生成 PFX ...", "Creating PFX ...") + PleaseWaitTips(), 2);
+            var fail = function (err) { ShowState(sEl, err, 1) };
+            X509.KeyParse(keyPem, function (keyInfo) {
+                X509.CreatePKCS12(keyInfo, certPem, password, { friendlyName: friendlyName, legacy: legacy }, function (bytes) {
+                    ShowState(sEl, false);
+                    var url = URL.createObjectURL(new Blob([bytes], { "type": "application/x-pkcs12" }));
+                    var downA = document.createElement("A");
+                    downA.href = url;
+                    downA.download = "Certple_" + ((DefaultDownloadFileNames.Cert || "").replace(/\.[^\.]+$/g, "") || downFileName) + ".pfx";
+                    downA.click();
+                }, fail);
+            }, fail, true);
         };
         window.downloadFileNameShow = function (name) {//显示下载文件名称，优先使用手动设置的默认名称
             name = name || "your_domain";
@@ -1179,51 +1612,156 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
 
 
 
-        //Test_打头的方法仅供测试用：完成第二步后允许进行UI调试，手动调用Test_AllStepData_Save()，刷新页面可恢复界面
-        window.Test_AllStepData_Save = function () {
-            if (!ACME.StepData.order) throw new Error(Lang("未完成第二步操作", "", true));
-
-            var config = ACME.StepData.config;
-            delete ACME.PrevNonce;
-            config.privateKey = config.privateKey.pem;
-            config.accountKey = config.accountKey.pem;
-
-            localStorage[Test_AllStepData_StoreKey] = JSON.stringify(ACME);
-            ACME = null;
-            console.warn(Lang("仅供测试：已保存测试数据，需刷新页面", "", true));
+        /************** 未完成的订单：自动保存，刷新页面后可继续验证或签发 **************/
+        var PendingOrdersStoreKey = "ACME_HTML_PendingOrders";
+        var pendingOrdersLoad = function () {
+            try {
+                return JSON.parse(localStorage[PendingOrdersStoreKey] || "[]");
+            } catch (e) { return [] }
+        };
+        var pendingOrdersStore = function (list) {
+            localStorage[PendingOrdersStoreKey] = JSON.stringify(list);
+            pendingOrdersShow();
         };
-        var Test_AllStepData_StoreKey = "ACME_HTML_Test_AllStepData";
-        var initTest_Restore = function () {
-            if (localStorage[Test_AllStepData_StoreKey]) {
-                console.warn(Lang("仅供测试：已保存测试数据，调用Test_Restore_StepXXX()进行恢复步骤界面", "", true));
+        //保存当前订单，密钥转成pem保存，订单状态变化时调用
+        var pendingOrderSave = function () {
+            var stepData = ACME.StepData, order = stepData.order, config = stepData.config;
+            if (!order || !order.orderUrl || order.downloadPEM) return;
+            var data = JSON.parse(JSON.stringify(stepData, function (k, v) {
+                if (k == "authTimer") return undefined;
+                if ((k == "privateKey" || k == "accountKey") && v && v.pem) return v.pem;
+                return v;
+            }));
+            var list = pendingOrdersLoad(), time = Date.now();
+            for (var i = 0; i < list.length; i++) {
+                if (list[i].orderUrl == order.orderUrl) {
+                    time = list[i].time;
+                    list.splice(i, 1); i--;
+                }
             }
-        }
-        var Test_AllStepData_Restore = function (next) {
-            var data = JSON.parse(localStorage[Test_AllStepData_StoreKey] || "{}");
-            if (!data.StepData) throw new Error(Lang("未保存数据", "", true));
-            for (var k in data) ACME[k] = data[k];
-
-            var config = ACME.StepData.config;
-            X509.KeyParse(config.privateKey, function (info) {
+            list.unshift({
+                orderUrl: order.orderUrl
+                , acmeURL: ACME.URL
+                , domains: config.domains
+                , staging: !!config.staging
+                , expires: order.expires
+                , time: time
+                , saveTime: Date.now()
+                , StepData: data
+            });
+            pendingOrdersStore(list);
+        };
+        var pendingOrderRemove = function (orderUrl) {
+            var list = pendingOrdersLoad();
+            for (var i = 0; i < list.length; i++) {
+                if (list[i].orderUrl == orderUrl) { list.splice(i, 1); i--; }
+            }
+            pendingOrdersStore(list);
+        };
+        //显示未完成的订单列表
+        var pendingOrdersShow = function () {
+            var list = pendingOrdersLoad();
+            var boxEl = $(".pendingOrdersBox");
+            if (!list.length || document.getElementById('q-steps1').style.display == 'none') {
+                boxEl.hide().html("");
+                return;
+            }
+            var fmt = function (time) { return new Date(time).toLocaleString() };
+            var rows = "";
+            for (var i = 0; i < list.length; i++) {
+                var o = list[i], host = o.acmeURL;
+                try { host = new URL(o.acmeURL).host } catch (e) { }
+                var expired = o.expires && Date.parse(o.expires) < Date.now();
+                rows += `
+<tr>
+<td>${FormatText(o.domains.join(", "))}</td>
+<td>${FormatText(host)}${o.staging ? ' <span class="badge bg-warning text-dark">' + Lang("测试环境", "Staging") + '</span>' : ''}</td>
+<td>${fmt(o.time)}</td>
+<td>${o.expires ? fmt(o.expires) : "-"}${expired ? ' <span class="badge bg-secondary">' + Lang("已过期", "Expired") + '</span>' : ''}</td>
+<td class="text-nowrap">
+<a href="#!" onclick="pendingOrderResumeClick(${i});return false">${Lang(expired ? "重新创建" : "继续", expired ? "Recreate" : "Resume")}</a>
+<span> | </span>
+<a href="#!" onclick="pendingOrderDeleteClick(${i});return false">${Lang("删除", "Delete")}</a>
+</td>
+</tr>`;
+            }
+            boxEl.show().html(`
+<div class="fw-bold mb-2">${Lang("未完成的订单", "Unfinished orders")}</div>
+<div class="table-responsive">
+<table class="table fs-14 mb-2">
+<thead><tr>
+<th>${Lang("域名", "Domains")}</th><th>${Lang("证书颁发机构", "CA")}</th><th>${Lang("创建时间", "Created")}</th><th>${Lang("订单过期时间", "Expires")}</th><th></th>
+</tr></thead>
+<tbody>${rows}</tbody>
+</table>
+</div>
+<div class="pendingOrdersState fs-14"></div>
+`);
+        };
+        window.pendingOrderDeleteClick = function (idx) {
+            var o = pendingOrdersLoad()[idx];
+            if (!o || !confirm(Lang("确定删除此未完成的订单吗？已添加的验证记录需要自行清理。", "", true))) return;
+            pendingOrderRemove(o.orderUrl);
+        };
+        //继续未完成的订单：恢复数据后向CA查询订单状态，进入验证或签发步骤，订单失效时重新创建
+        window.pendingOrderResumeClick = function (idx) {
+            var item = pendingOrdersLoad()[idx];
+            if (!item) return;
+            var id = ++UserClickSyncID;
+            var tag = "Resume", sEl = ".pendingOrdersState";
+            var msg0 = CLog(tag, 0, ShowState(sEl, PleaseWaitTips() + Lang("正在恢复订单 ... ", "") + FormatText(item.domains.join(", ")), 2));
+            var fail = function (err, errObj) {
+                if (UserClickSyncKill(id, tag, msg0 + " err: " + err)) return;
+                CLog(tag, 1, ShowState(sEl, Lang("恢复订单出错：" + err, "") + TryAgainTips() + ProblemTips(errObj), 1));
+            };
+            var stepData = JSON.parse(JSON.stringify(item.StepData)), config = stepData.config;
+            var parsePrivateKey = config.csr ? function (pem, True) { True(null) } : X509.KeyParse; //私钥在外部保管
+            parsePrivateKey(config.privateKey, function (info) {
                 config.privateKey = info;
                 X509.KeyParse(config.accountKey, function (info) {
                     config.accountKey = info;
-                    console.log("ACME.StepData", ACME.StepData);
-                    setTimeout(function () { next() });
-                });
-            });
-        };
-        window.Test_Restore_StepAuth = function () {
-            Test_AllStepData_Restore(function () {
-                console.warn(Lang("仅供测试：已手动恢复步骤三界面", "", true));
+                    ACME.URL = item.acmeURL;
+                    ACME.StepData = stepData;
+                    ACME.Directory(function () {
+                        if (UserClickSyncKill(id, tag, msg0)) return;
+                        ACME.StepOrderRefresh(refreshOK, fail);
+                    }, fail);
+                }, fail, 1);
+            }, fail, 1);
+
+            var showStep3 = function () {
+                document.getElementById('q-steps1').style.display = 'none';
+                $(".pendingOrdersBox").hide();
+                $(".choice_staging").prop("checked", !!config.staging);
                 verifyStepShow();
-            });
-        };
-        window.Test_Restore_StepDownload = function () {
-            Test_AllStepData_Restore(function () {
-                console.warn(Lang("仅供测试：已手动恢复步骤四界面", "", true));
-                downloadStepShow();
-            });
+            };
+            var refreshOK = function (status) {
+                if (UserClickSyncKill(id, tag, msg0)) return;
+                CLog(tag, 0, "order status: " + status, ACME.StepData.order);
+                if (status == "invalid") return recreate();
+                ShowState(sEl, false);
+                pendingOrderSave();
+                showStep3();
+                if (status != "pending") { //ready processing valid 都直接去签发
+                    finalizeOrderClick();
+                } else {
+                    ShowState(".verifyStepState", Lang("已恢复订单，已通过验证的域名无需再次验证。", ""), 2);
+                }
+            };
+            //订单已失效，用相同的配置重新创建
+            var recreate = function () {
+                msg0 = CLog(tag, 0, ShowState(sEl, Lang("订单已失效，正在重新创建订单 ... ", ""), 3));
+                pendingOrderRemove(item.orderUrl);
+                delete ACME.StepData.order;
+                delete ACME.StepData.auths;
+                ACME.StepOrder(function () { }, function () {
+                    if (UserClickSyncKill(id, tag, msg0)) return;
+                    ShowState(".pendingOrdersState", false);
+                    pendingOrderSave();
+                    showStep3();
+                    ShowState(".verifyStepState", Lang("原订单已失效，已重新创建订单，请重新完成验证。", ""), 3);
+                }, fail);
+            };
         };
     })();
 
@@ -1265,6 +1803,8 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
             URL: ""
             , SyncID: 0
             , DirData: {}
+            , RequestTimeout: 30000 //单个请求的超时时间，可用请求参数timeout覆盖
+            , RetryMax: 3 //badNonce、5xx等临时错误的最大重试次数
             , Directory: function (True, False) {
                 var id = ++ACME.SyncID;
                 var url = ACME.URL, dirStoreKey = "ACME_HTML_cache_" + url;
@@ -1277,6 +1817,8 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                     ACME.DirData = data;
                     ACME.StepData.termsURL = meta.termsOfService;
                     ACME.StepData.needEAB = !!meta.externalAccountRequired;
+                    ACME.StepData.supportARI = !!data.renewalInfo; //rfc9773 ACME Renewal Information
+                    ACME.StepData.profiles = meta.profiles || null; //证书配置 {名称:说明}，如Let's Encrypt的classic、tlsserver、shortlived
                     var saveCache = function () {
                         localStorage[dirStoreKey] = JSON.stringify(cache);
                     };
@@ -1287,9 +1829,26 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 if (cache.time && Date.now() - cache.time < 24 * 60 * 60 * 1000) {
                     return ok(cache);
                 }
-                request(url, null, function (data) {
-                    ok({ data: data, time: Date.now() });
-                }, False);
+                requestA(url).then(function (resp) {
+                    ok({ data: resp.data, time: Date.now() });
+                }, function (e) {
+                    False(e.message, e.status, e);
+                });
+            }
+            //只读取url的目录数据，不修改ACME.URL、DirData、StepData，也不取消正在进行的操作，用于后台查询（如ARI）
+            , DirectoryRead: function (url, True, False) {
+                url = url.replace(/\/$/, "");
+                var cache = JSON.parse(localStorage["ACME_HTML_cache_" + url] || '{}');
+                if (cache.time && Date.now() - cache.time < 24 * 60 * 60 * 1000) {
+                    return True(cache.data);
+                }
+                requestA(url).then(function (resp) {
+                    if (!resp.data.newOrder)
+                        return False("Not newOrder found: " + FormatText(JSON.stringify(resp.data)));
+                    True(resp.data);
+                }, function (e) {
+                    False(e.message, e.status, e);
+                });
             }
 
             , StepData: {}
@@ -1298,18 +1857,37 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                     return Lang("DNS 记录验证", " ");
                 } else if (chall.type == "http-01") {
                     return Lang("文件验证", " ");
-                } // tls-alpn-01 https://www.rfc-editor.org/rfc/rfc8737
+                } else if (chall.type == "tls-alpn-01") { // https://www.rfc-editor.org/rfc/rfc8737
+                    return Lang("TLS-ALPN 验证", " ");
+                }
                 return chall.type.toUpperCase();
             }
             , ChallSort: function (chall) { //验证类型排序
                 if (chall.type == "dns-01") return 1 + "_" + chall.type;
                 else if (chall.type == "http-01") return 2 + "_" + chall.type;
-                return 3 + "_" + chall.type;
+                else if (chall.type == "tls-alpn-01") return 3 + "_" + chall.type;
+                return 4 + "_" + chall.type;
+            }
+            , ProblemName: function (type) { //ACME错误类型的短名称，如rateLimited，非ACME定义的类型原样返回
+                return String(type || "").replace(/^urn:ietf:params:acme:error:/, "");
+            }
+            , ProblemGuide: function (name, caaIdentity) { //常见ACME错误的原因和处理建议，caaIdentity为CA的CAA标识，没有时返回空字符串
+                var guide = problemGuide(name, caaIdentity);
+                return guide ? Lang(guide.title[0] + "：" + guide.fix[0], guide.title[1] + ": " + guide.fix[1]) : "";
+            }
+            , ProblemGuideText: function (name, caaIdentity) { //同ProblemGuide，返回当前语言的纯文本 {title, fix}，没有时返回null
+                var guide = problemGuide(name, caaIdentity);
+                return guide ? { title: Lang(guide.title[0], guide.title[1], true).trim(), fix: Lang(guide.fix[0], guide.fix[1], true).trim() } : null;
             }
-            // 生成JSON Web Signature(JWS)，用账户私钥签名
-            , GetJwsA: async function (Protected, Payload) {
-                var key = ACME.StepData.config.accountKey;
+            // 生成JSON Web Signature(JWS)，默认用账户私钥签名，提供key时用此密钥签名
+            , GetJwsA: async function (Protected, Payload, key) {
+                key = key || ACME.StepData.config.accountKey;
                 var alg = "ES256", algorithm = { name: "ECDSA", hash: "SHA-256" };
+                if (key.type2 == "P-384") {
+                    alg = "ES384"; algorithm.hash = "SHA-384";
+                } else if (key.type2 == "P-521") {
+                    alg = "ES512"; algorithm.hash = "SHA-512";
+                }
                 if (key.type == "RSA") {
                     alg = "RS256"; algorithm = { name: "RSASSA-PKCS1-v1_5" }
                 }
@@ -1328,18 +1906,19 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 return new Promise(function (resolve, reject) {
                     ACME.GetNonce(useNew, function (val) {
                         resolve(val);
-                    }, function (err) {
-                        reject(new Error(err));
+                    }, function (err, corsFail, e) {
+                        reject(e || new Error(err));
                     });
                 });
             }
             , GetNonce: function (useNew, True, False) {
                 var old = ACME.PrevNonce; ACME.PrevNonce = "";
                 if (!useNew && old) return True(old);//使用上次调用返回的值
-                request({
+                requestA({
                     url: ACME.DirData.newNonce
                     , method: "HEAD", response: false
-                }, null, function (data, xhr) {
+                }).then(function (resp) {
+                    var xhr = resp.xhr;
                     ACME.PrevNonce = "";
                     //跨域无解 Chrome ZeroSSL: Refused to get unsafe header "Replay-Nonce" , 需要 Access-Control-Expose-Headers: Link, Replay-Nonce, Location
                     var val = xhr.getResponseHeader("Replay-Nonce");
@@ -1348,10 +1927,17 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                         return;
                     }
                     True(val);
-                }, function (err) {
-                    False("GetNonce: " + err);
+                }, function (e) {
+                    e.message = "GetNonce: " + e.message;
+                    False(e.message, false, e);
                 });
             }
+            //取消所有进行中的ACME调用，已发出的请求会被中止
+            , Cancel: function () {
+                ACME.SyncID++;
+                var arr = pendingXhrs; pendingXhrs = [];
+                for (var i = 0; i < arr.length; i++) arr[i].acmeCancel();
+            }
             //测试账户接口的跨域访问
             , TestAccountCORS: function (True, False) {
                 request({
@@ -1373,15 +1959,15 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 var id = ++ACME.SyncID;
                 var tag = "ACME.StepAccount";
                 CLog(tag, 0, "==========Account Start==========");
-                var Err = "";
+                var Err = "", ErrObj;
                 try {
                     await ACME._StepAccountA(id, tag);
                 } catch (e) {
-                    Err = e.message || "-";
+                    Err = e.message || "-"; ErrObj = e;
                     CLog(tag, 1, Err, e);
                 }
                 CLog(tag, 0, "==========Account End==========");
-                if (Err) False(Err)
+                if (Err) False(Err, ErrObj)
                 else True();
             }, _StepAccountA: async function (id, tag) {
                 var url = ACME.DirData.newAccount, config = ACME.StepData.config;
@@ -1406,12 +1992,9 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 };
 
                 //组装成jws，请求接口
-                var sendData = await ACME.GetJwsA({
+                var resp = await jwsRequestA({ url: url, newNonce: true }, {
                     jwk: X509.PublicKeyJwk(config.accountKey)
-                    , nonce: await ACME.GetNonceA(true)
-                    , url: url
                 }, accountData);
-                var resp = await requestA(url, sendData);
                 if (id != ACME.SyncID) throw new Error("cancel");
                 ACME.StepData.account = {
                     url: xhrHeader(resp.xhr, "Location")
@@ -1420,54 +2003,275 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 CLog(tag, 0, "Account OK", ACME.StepData.account);
             }
 
+            //查找账户私钥对应的已有账户，不会创建新账户 rfc8555 7.3.1
+            , AccountLookup: async function (True, False) {
+                var id = ++ACME.SyncID;
+                var tag = "ACME.AccountLookup";
+                var Err = "", ErrObj;
+                try {
+                    await ACME._AccountLookupA(id, tag);
+                } catch (e) {
+                    Err = e.message || "-"; ErrObj = e;
+                    CLog(tag, 1, Err, e);
+                }
+                if (Err) False(Err, ErrObj)
+                else True();
+            }, _AccountLookupA: async function (id, tag) {
+                var url = ACME.DirData.newAccount, config = ACME.StepData.config;
+                var resp = await jwsRequestA({ url: url, newNonce: true }, {
+                    jwk: X509.PublicKeyJwk(config.accountKey)
+                }, { onlyReturnExisting: true });
+                if (id != ACME.SyncID) throw new Error("cancel");
+                ACME.StepData.account = {
+                    url: xhrHeader(resp.xhr, "Location")
+                    , data: resp.data
+                };
+                CLog(tag, 0, "Account OK", ACME.StepData.account);
+            }
+
+            //查询或更新账户信息 rfc8555 7.3.2，data为空时POST-as-GET查询，否则提交更新（如contact、status）
+            , AccountUpdate: async function (data, True, False) {
+                var id = ++ACME.SyncID;
+                var tag = "ACME.AccountUpdate";
+                var Err = "", ErrObj;
+                try {
+                    await ACME._AccountUpdateA(data, id, tag);
+                } catch (e) {
+                    Err = e.message || "-"; ErrObj = e;
+                    CLog(tag, 1, Err, e);
+                }
+                if (Err) False(Err, ErrObj)
+                else True(ACME.StepData.account.data);
+            }, _AccountUpdateA: async function (data, id, tag) {
+                var url = ACME.StepData.account.url;
+                var resp = await jwsRequestA(url, {
+                    kid: url
+                }, data || "");
+                if (id != ACME.SyncID) throw new Error("cancel");
+                ACME.StepData.account.data = resp.data;
+                CLog(tag, 0, "Account", resp.data);
+            }
+
+            //读取账户的所有订单URL rfc8555 7.1.2.1，订单列表分页时按Link rel="next"继续读取
+            , AccountOrders: async function (Progress, True, False) {
+                var id = ++ACME.SyncID;
+                var tag = "ACME.AccountOrders";
+                var Err = "", ErrObj, urls;
+                try {
+                    urls = await ACME._AccountOrdersA(Progress, id, tag);
+                } catch (e) {
+                    Err = e.message || "-"; ErrObj = e;
+                    CLog(tag, 1, Err, e);
+                }
+                if (Err) False(Err, ErrObj)
+                else True(urls);
+            }, _AccountOrdersA: async function (Progress, id, tag) {
+                var url = ACME.StepData.account.data.orders, urls = [], pages = {};
+                if (!url) throw new Error(Lang("此证书颁发机构不提供账户的订单列表", "This CA does not provide the account's orders list"));
+                while (url && !pages[url]) { //避免分页链接循环
+                    pages[url] = 1;
+                    Progress("orders(" + urls.length + ")...");
+                    var resp = await jwsRequestA(url, {
+                        kid: ACME.StepData.account.url
+                    }, "");
+                    if (id != ACME.SyncID) throw new Error("cancel");
+                    urls = urls.concat(resp.data.orders || []);
+                    url = linkHeaderUrls(resp.xhr, "next")[0];
+                }
+                CLog(tag, 0, "Orders: " + urls.length, urls);
+                return urls;
+            }
+
+            //查询订单，订单已签发时下载证书，True(order, pem)，未签发的订单pem为空
+            , OrderCertificate: async function (orderUrl, True, False) {
+                var id = ++ACME.SyncID;
+                var tag = "ACME.OrderCertificate";
+                var Err = "", ErrObj, rtv;
+                try {
+                    rtv = await ACME._OrderCertificateA(orderUrl, id, tag);
+                } catch (e) {
+                    Err = e.message || "-"; ErrObj = e;
+                    CLog(tag, 1, Err, e);
+                }
+                if (Err) False(Err, ErrObj)
+                else True(rtv.order, rtv.pem);
+            }, _OrderCertificateA: async function (orderUrl, id, tag) {
+                var resp = await jwsRequestA(orderUrl, {
+                    kid: ACME.StepData.account.url
+                }, "");
+                if (id != ACME.SyncID) throw new Error("cancel");
+                var order = resp.data, pem = "";
+                if (order.status == "valid" && order.certificate) {
+                    var resp = await jwsRequestA({ url: order.certificate, response: false }, {
+                        kid: ACME.StepData.account.url
+                    }, "");
+                    if (id != ACME.SyncID) throw new Error("cancel");
+                    pem = resp.xhr.responseText;
+                }
+                CLog(tag, 0, orderUrl + " " + order.status);
+                return { order: order, pem: pem };
+            }
+
+            //更换账户私钥 rfc8555 7.3.5，内层jws用新私钥签名，外层jws用旧私钥签名，成功后才切换到新私钥
+            , KeyChange: async function (newKey, True, False) {
+                var id = ++ACME.SyncID;
+                var tag = "ACME.KeyChange";
+                CLog(tag, 0, "==========KeyChange Start==========");
+                var Err = "", ErrObj;
+                try {
+                    await ACME._KeyChangeA(newKey, id, tag);
+                } catch (e) {
+                    Err = e.message || "-"; ErrObj = e;
+                    CLog(tag, 1, Err, e);
+                }
+                CLog(tag, 0, "==========KeyChange End==========");
+                if (Err) False(Err, ErrObj)
+                else True();
+            }, _KeyChangeA: async function (newKey, id, tag) {
+                var url = ACME.DirData.keyChange, config = ACME.StepData.config;
+                if (!url) throw new Error(Lang("此ACME服务不支持更换账户私钥", "This ACME service does not support account key rollover"));
+                if (!newKey.hasPrivate) throw new Error(Lang("新的账户私钥不是私钥", "The new account key is not a private key"));
+
+                var accountUrl = ACME.StepData.account.url;
+                var inner = await ACME.GetJwsA({
+                    jwk: X509.PublicKeyJwk(newKey)
+                    , url: url
+                }, {
+                    account: accountUrl
+                    , oldKey: X509.PublicKeyJwk(config.accountKey)
+                }, newKey);
+                var resp = await jwsRequestA({ url: url, response: false }, {
+                    kid: accountUrl
+                }, inner);
+                if (id != ACME.SyncID) throw new Error("cancel");
+                config.accountKey = newKey;
+                CLog(tag, 0, "KeyChange OK", resp.xhr.status);
+            }
+
+            //查询证书的续期建议 rfc9773 4.2，返回CA建议的续期时间窗口和Retry-After
+            //  dirData为DirectoryRead读取的目录数据，不提供时使用ACME.DirData
+            , RenewalInfo: async function (certPEM, True, False, dirData) {
+                var tag = "ACME.RenewalInfo";
+                var Err = "", ErrObj, rtv;
+                try {
+                    rtv = await ACME._RenewalInfoA(certPEM, tag, dirData);
+                } catch (e) {
+                    Err = e.message || "-"; ErrObj = e;
+                    CLog(tag, 1, Err, e);
+                }
+                if (Err) False(Err, ErrObj)
+                else True(rtv);
+            }, _RenewalInfoA: async function (certPEM, tag, dirData) {
+                var url = (dirData || ACME.DirData).renewalInfo;
+                if (!url) throw new Error(Lang("此ACME服务不支持ARI", "This ACME service does not support ARI"));
+                var certID = X509.CertARIId(certPEM);
+                var resp = await requestA(url.replace(/\/$/, "") + "/" + certID);
+                var win = resp.data.suggestedWindow || {};
+                var start = Date.parse(win.start), end = Date.parse(win.end);
+                if (!(start <= end)) throw new Error("Bad suggestedWindow: " + FormatText(JSON.stringify(resp.data)));
+                var rtv = {
+                    certID: certID
+                    , start: start
+                    , end: end
+                    , explanationURL: resp.data.explanationURL || ""
+                    , retryAfter: retryAfterMs(resp.xhr)
+                };
+                CLog(tag, 0, "RenewalInfo", rtv);
+                return rtv;
+            }
+
+            //吊销证书 rfc8555 7.6，certKey为证书私钥时用证书私钥签名，否则用账户私钥签名
+            , RevokeCert: async function (certPEM, reason, certKey, True, False) {
+                var id = ++ACME.SyncID;
+                var tag = "ACME.RevokeCert";
+                CLog(tag, 0, "==========Revoke Start==========");
+                var Err = "", ErrObj, already = false;
+                try {
+                    already = await ACME._RevokeCertA(certPEM, reason, certKey, id, tag);
+                } catch (e) {
+                    Err = e.message || "-"; ErrObj = e;
+                    CLog(tag, 1, Err, e);
+                }
+                CLog(tag, 0, "==========Revoke End==========");
+                if (Err) False(Err, ErrObj)
+                else True(already);
+            }, _RevokeCertA: async function (certPEM, reason, certKey, id, tag) {
+                var url = ACME.DirData.revokeCert;
+                if (!url) throw new Error(Lang("此ACME服务不支持吊销证书", "This ACME service does not support certificate revocation"));
+                var pems = X509.CertPEMList(certPEM);
+                if (!pems.length) throw new Error(Lang("未发现证书", "Certificate not found"));
+
+                var payload = { certificate: Bytes2UrlB64(ASN1.PEM2Bytes(pems[0])) };
+                if (reason != null && reason !== "") payload.reason = +reason;
+
+                //组装成jws，请求接口；证书私钥签名时使用jwk，账户私钥签名时使用kid
+                var Protected = {};
+                if (certKey) Protected.jwk = X509.PublicKeyJwk(certKey);
+                else Protected.kid = ACME.StepData.account.url;
+                var resp = await jwsRequestA({ url: url, response: false, nocheck: true }, Protected, payload, certKey);
+                if (id != ACME.SyncID) throw new Error("cancel");
+                var status = resp.xhr.status;
+                if (status >= 200 && status < 300) {
+                    CLog(tag, 0, "Revoke OK");
+                    return false;
+                }
+                //已经吊销过的证书，当做成功处理
+                if (/alreadyRevoked/.test(resp.xhr.responseText)) {
+                    CLog(tag, 3, "Already revoked");
+                    return true;
+                }
+                throw requestError("[" + status + "]" + FormatText(resp.xhr.responseText), resp.info);
+            }
+
             //订单接口调用
             , StepOrder: async function (Progress, True, False) {
                 var id = ++ACME.SyncID;
                 var tag = "ACME.StepOrder";
                 CLog(tag, 0, "==========Order Start==========");
-                var Err = "";
+                var Err = "", ErrObj;
                 try {
                     await ACME._StepOrderA(Progress, id, tag);
                 } catch (e) {
-                    Err = e.message || "-";
+                    Err = e.message || "-"; ErrObj = e;
                     CLog(tag, 1, Err, e);
                 }
                 CLog(tag, 0, "==========Order End==========");
-                if (Err) False(Err)
+                if (Err) False(Err, ErrObj)
                 else True();
             }, _StepOrderA: async function (Progress, id, tag) {
                 var url = ACME.DirData.newOrder, config = ACME.StepData.config;
-                var dnsArr = [];
+                var idfArr = [];
                 for (var i = 0; i < config.domains.length; i++) {
-                    dnsArr.push({ type: "dns", value: config.domains[i] });
+                    var ip = X509.IPParse(config.domains[i]); //IP地址标识 rfc8738 3
+                    idfArr.push(ip ? { type: "ip", value: ip.value } : { type: "dns", value: config.domains[i] });
                 }
                 var orderData = {
-                    identifiers: dnsArr
+                    identifiers: idfArr
                 };
+                if (config.replaces) orderData.replaces = config.replaces; //续期时标明替换的证书 rfc9773 5
+                if (config.profile) orderData.profile = config.profile; //选择的证书配置 draft-ietf-acme-profiles
 
                 Progress("newOrder...");
                 //组装成jws，请求接口
-                var sendData = await ACME.GetJwsA({
+                var resp = await jwsRequestA(url, {
                     kid: ACME.StepData.account.url
-                    , nonce: await ACME.GetNonceA()
-                    , url: url
                 }, orderData);
-                var resp = await requestA(url, sendData);
                 if (id != ACME.SyncID) throw new Error("cancel");
                 resp.data.orderUrl = xhrHeader(resp.xhr, "Location");
                 ACME.StepData.order = resp.data;
                 CLog(tag, 0, "Order OK", ACME.StepData.order);
 
-                //准备Key Authorizations需要的参数 参考：rfc8555 8.1
-                var jwkStr = JSON.stringify(X509.PublicKeyJwk(config.accountKey));
-                var thumbprint = await crypto.subtle.digest({ name: "SHA-256" }, Str2Bytes(jwkStr));
-                thumbprint = Bytes2UrlB64(thumbprint);
+                var thumbprint = await accountThumbprintA(config.accountKey);
 
                 //读取所有的验证信息
                 var idfs = ACME.StepData.order.identifiers, bad = 0;
                 var auths = ACME.StepData.order.authorizations;
+                var idfName = function (idf) { //IP地址按规范格式和配置的比较
+                    var ip = idf.type == "ip" && X509.IPParse(idf.value);
+                    return ip ? ip.value : idf.value;
+                };
                 for (var i = 0; i < idfs.length; i++) {
-                    if (config.domains.indexOf(idfs[i].value) == -1) bad = 1;
+                    if (config.domains.indexOf(idfName(idfs[i])) == -1) bad = 1;
                 }
                 if (bad || idfs.length != auths.length || idfs.length != config.domains.length)
                     throw new Error(Lang("创建的订单中的域名和配置的不一致", "The domain name in the created order is inconsistent with the configuration"));
@@ -1476,54 +2280,140 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 for (var i = 0; i < auths.length; i++) {
                     Progress("auth(" + (i + 1) + "/" + auths.length + ")...");
                     var url = auths[i];
-                    var sendData = await ACME.GetJwsA({
+                    var resp = await jwsRequestA(url, {
                         kid: ACME.StepData.account.url
-                        , nonce: await ACME.GetNonceA()
-                        , url: url
                     }, "");
-                    var resp = await requestA(url, sendData);
                     if (id != ACME.SyncID) throw new Error("cancel");
-                    resp.data.domain = idfs[i].value;
+                    resp.data.domain = idfName(idfs[i]);
                     resp.data.authUrl = url;
-                    ACME.StepData.auths[idfs[i].value] = resp.data;
-
-                    //生成Key Authorizations
-                    var challs = resp.data.challenges;
-                    for (var i2 = 0; i2 < challs.length; i2++) {
-                        var chall = challs[i2];
-                        chall.authTxt = chall.token + "." + thumbprint;
-                        var sha = await crypto.subtle.digest({ name: "SHA-256" }
-                            , Str2Bytes(chall.authTxt));
-                        if (id != ACME.SyncID) throw new Error("cancel");
-                        chall.authTxtSHA256 = Bytes2UrlB64(sha);
-                        chall.authTxtSHA256Base64 = Bytes2Base64(sha);
-                    }
+                    ACME.StepData.auths[idfName(idfs[i])] = resp.data;
+
+                    await authKeysA(resp.data, thumbprint);
+                    if (id != ACME.SyncID) throw new Error("cancel");
                 }
                 CLog(tag, 0, "Order Authorizations", ACME.StepData.auths);
             }
 
-            //验证一个域名
-            , StepVerifyAuthItem: async function (authItem, challIdx, True, False) {
-                var tag = "ACME.verify[" + authItem.challenges[challIdx].type + "]:" + authItem.domain;
-                var Err = "";
+            //不创建订单，通过newAuthz预先验证域名所有权 rfc8555 7.4.1，验证通过的授权在有效期内可被之后的订单复用
+            , StepPreAuthz: async function (Progress, True, False) {
+                var id = ++ACME.SyncID;
+                var tag = "ACME.StepPreAuthz";
+                CLog(tag, 0, "==========PreAuthz Start==========");
+                var Err = "", ErrObj;
+                try {
+                    await ACME._StepPreAuthzA(Progress, id, tag);
+                } catch (e) {
+                    Err = e.message || "-"; ErrObj = e;
+                    CLog(tag, 1, Err, e);
+                }
+                CLog(tag, 0, "==========PreAuthz End==========");
+                if (Err) False(Err, ErrObj)
+                else True();
+            }, _StepPreAuthzA: async function (Progress, id, tag) {
+                var url = ACME.DirData.newAuthz, config = ACME.StepData.config;
+                if (!url) throw new Error(Lang("此证书颁发机构不支持预先验证域名", "This CA does not support pre-authorization"));
+                var thumbprint = await accountThumbprintA(config.accountKey);
+                if (id != ACME.SyncID) throw new Error("cancel");
+
+                //没有订单，用预授权列表代替订单，验证界面和订单共用
+                var order = { preAuthz: true, identifiers: [], authorizations: [] };
+                ACME.StepData.order = order;
+                ACME.StepData.auths = {};
+                for (var i = 0; i < config.domains.length; i++) {
+                    Progress("newAuthz(" + (i + 1) + "/" + config.domains.length + ")...");
+                    var domain = config.domains[i], ip = X509.IPParse(domain);
+                    var idf = ip ? { type: "ip", value: ip.value } : { type: "dns", value: domain };
+                    var resp = await jwsRequestA(url, {
+                        kid: ACME.StepData.account.url
+                    }, { identifier: idf });
+                    if (id != ACME.SyncID) throw new Error("cancel");
+                    var data = resp.data;
+                    data.domain = domain;
+                    data.authUrl = xhrHeader(resp.xhr, "Location");
+                    if (data.status == "valid") data.authState = 11; //CA中还有有效的授权，无需再次验证
+                    else if (data.status != "pending")
+                        throw new Error(domain + " " + data.status + ": " + FormatText(JSON.stringify(data.error || data)));
+                    order.identifiers.push(idf);
+                    order.authorizations.push(data.authUrl);
+                    ACME.StepData.auths[domain] = data;
+
+                    await authKeysA(data, thumbprint);
+                    if (id != ACME.SyncID) throw new Error("cancel");
+                }
+                CLog(tag, 0, "PreAuthz Authorizations", ACME.StepData.auths);
+            }
+
+            //恢复保存的订单时，重新查询订单和验证的状态，返回订单状态，订单已不可用时返回invalid
+            , StepOrderRefresh: async function (True, False) {
+                var id = ++ACME.SyncID;
+                var tag = "ACME.StepOrderRefresh";
+                var Err = "", ErrObj, status;
+                try {
+                    status = await ACME._StepOrderRefreshA(id, tag);
+                } catch (e) {
+                    Err = e.message || "-"; ErrObj = e;
+                    CLog(tag, 1, Err, e);
+                }
+                if (Err) False(Err, ErrObj)
+                else True(status);
+            }, _StepOrderRefreshA: async function (id, tag) {
+                var order = ACME.StepData.order, auths = ACME.StepData.auths;
+                var postAsGet = async function (url) {
+                    var resp = await jwsRequestA({ url: url, nocheck: true }, {
+                        kid: ACME.StepData.account.url
+                    }, "");
+                    if (id != ACME.SyncID) throw new Error("cancel");
+                    return resp;
+                };
+                var resp = await postAsGet(order.orderUrl), data = resp.data || {};
+                if (resp.xhr.status == 404 || data.status == "invalid"
+                    || data.expires && Date.parse(data.expires) < Date.now()) {
+                    CLog(tag, 1, "order invalid", data);
+                    return "invalid";
+                }
+                if (resp.xhr.status < 200 || resp.xhr.status >= 300)
+                    throw new Error("[" + resp.xhr.status + "]" + FormatText(resp.xhr.responseText));
+                order.status = data.status;
+                order.expires = data.expires;
+                if (data.status == "valid") {
+                    order.finalizeIsSend = true;
+                    order.checkOK = true;
+                    order.certUrl = data.certificate;
+                } else if (data.status == "processing") {
+                    order.finalizeIsSend = true;
+                } else if (data.status == "pending") {
+                    //已通过的验证不需要再次验证
+                    for (var domain in auths) {
+                        var auth = auths[domain];
+                        var aResp = await postAsGet(auth.authUrl), aData = aResp.data || {};
+                        CLog(tag, 0, domain + " auth " + aData.status);
+                        if (aData.status == "valid") auth.authState = 11;
+                        else if (aData.status != "pending") return "invalid";
+                        else if (auth.authState == 11) auth.authState = 0;
+                    }
+                }
+                return data.status;
+            }
+
+            //验证一个域名
+            , StepVerifyAuthItem: async function (authItem, challIdx, True, False) {
+                var tag = "ACME.verify[" + authItem.challenges[challIdx].type + "]:" + authItem.domain;
+                var Err = "", ErrObj;
                 try {
                     await ACME._StepVerifyAuthItemA(authItem, challIdx, ACME.SyncID, tag, True, False);
                 } catch (e) {
-                    Err = e.message || "-";
+                    Err = e.message || "-"; ErrObj = e;
                     CLog(tag, 1, Err, e);
                 }
-                if (Err) True(false, 1000, Err); //重试
+                if (Err) True(false, ErrObj.retryAfter || 1000, Err); //重试，服务器要求等待时按Retry-After等待
             }, _StepVerifyAuthItemA: async function (authItem, challIdx, id, tag, True, False) {
                 //先通知要用的验证方式，反复发送只要成功一次即可，不管结果
                 var chall = authItem.challenges[challIdx];
                 if (!chall.isSend) {
                     var url = chall.url;
-                    var sendData = await ACME.GetJwsA({
+                    var resp = await jwsRequestA({ url: url, nocheck: true }, {
                         kid: ACME.StepData.account.url
-                        , nonce: await ACME.GetNonceA()
-                        , url: url
                     }, {});
-                    var resp = await requestA({ url: url, nocheck: true }, sendData);
                     var status = resp.xhr.status;
                     if (status >= 200 && status < 300)
                         chall.isSend = true;
@@ -1531,12 +2421,9 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
 
                 //重新查询一下状态
                 var url = authItem.authUrl;
-                var sendData = await ACME.GetJwsA({
+                var resp = await jwsRequestA(url, {
                     kid: ACME.StepData.account.url
-                    , nonce: await ACME.GetNonceA()
-                    , url: url
                 }, "");
-                var resp = await requestA(url, sendData);
                 var data = resp.data;
                 if (data.status == "pending") {
                     CLog(tag, 0, "pending...");
@@ -1544,10 +2431,19 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 }
                 if (data.status == "valid") {
                     CLog(tag, 0, "valid OK");
+                    if (data.expires) authItem.expires = data.expires; //验证通过后授权的有效期
                     return True(true);
                 }
                 CLog(tag, 1, "Fail", data);
-                return False(data.status + ": " + FormatText(JSON.stringify(data)));
+                //验证失败的原因在验证方式的error中 rfc8555 8
+                var challErr;
+                for (var i = 0; i < data.challenges.length; i++) {
+                    if (data.challenges[i].error) challErr = data.challenges[i].error;
+                }
+                var info = problemInfo(challErr);
+                if (!info.problem) return False(data.status + ": " + FormatText(JSON.stringify(data)));
+                info.identifier = info.identifier || authItem.domain;
+                return False(problemMessage(info), info);
             }
 
             //完成订单，生成证书
@@ -1555,15 +2451,15 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 var id = ++ACME.SyncID;
                 var tag = "ACME.StepFinalizeOrder";
                 CLog(tag, 0, "==========Finalize Start==========");
-                var Err = "";
+                var Err = "", ErrObj;
                 try {
                     await ACME._StepFinalizeOrderA(Progress, id, tag);
                 } catch (e) {
-                    Err = e.message || "-";
+                    Err = e.message || "-"; ErrObj = e;
                     CLog(tag, 1, Err, e);
                 }
                 CLog(tag, 0, "==========Finalize End==========");
-                if (Err) False(Err)
+                if (Err) False(Err, ErrObj)
                 else True();
             }, _StepFinalizeOrderA: async function (Progress, id, tag) {
                 var order = ACME.StepData.order, config = ACME.StepData.config, domains = config.domains;
@@ -1571,13 +2467,17 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 //先请求finalize
                 if (!order.finalizeIsSend) {
                     Progress("finalize...");
-                    //生成csr，第一个域名做CN
-                    var csr = await new Promise(function (resolve, reject) {
-                        X509.CreateCSR(config.privateKey, domains[0], domains, function (csr) {
+                    //生成csr，第一个域名做CN，IP地址不做CN；私钥在外部保管时原样提交用户提供的csr
+                    var commonName = "";
+                    for (var i = 0; i < domains.length && !commonName; i++) {
+                        if (!X509.IPParse(domains[i])) commonName = domains[i];
+                    }
+                    var csr = config.csr || await new Promise(function (resolve, reject) {
+                        X509.CreateCSR(config.privateKey, commonName, domains, function (csr) {
                             resolve(csr);
                         }, function (err) {
                             reject(new Error(err));
-                        });
+                        }, config.csrExtensions);
                     });
                     order.orderCSR = csr;
                     CLog(tag, 0, "CSR\n" + csr);
@@ -1585,12 +2485,9 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
 
                     var url = order.finalize;
                     //组装成jws，请求接口
-                    var sendData = await ACME.GetJwsA({
+                    var resp = await jwsRequestA(url, {
                         kid: ACME.StepData.account.url
-                        , nonce: await ACME.GetNonceA()
-                        , url: url
                     }, { csr: csr });
-                    var resp = await requestA(url, sendData);
                     if (id != ACME.SyncID) throw new Error("cancel");
                     CLog(tag, 0, "finalize result", resp.data);
                     order.finalizeIsSend = true;
@@ -1604,12 +2501,9 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                     Progress("check retry:" + tryCount + "...");
                     var url = order.orderUrl;
                     //组装成jws，请求接口
-                    var sendData = await ACME.GetJwsA({
+                    var resp = await jwsRequestA(url, {
                         kid: ACME.StepData.account.url
-                        , nonce: await ACME.GetNonceA()
-                        , url: url
                     }, "");
-                    var resp = await requestA(url, sendData);
                     if (id != ACME.SyncID) throw new Error("cancel");
                     var data = resp.data;
                     if (data.status == "valid") {
@@ -1619,6 +2513,10 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                         break;
                     } else if (data.status == "invalid") {
                         CLog(tag, 1, "check Fail", data);
+                        if (data.error) { //订单失败的原因 rfc8555 7.1.3
+                            var info = problemInfo(data.error);
+                            throw requestError(data.status + ": " + problemMessage(info), info);
+                        }
                         throw new Error(data.status + ": " + FormatText(JSON.stringify(data)));
                     } else {
                         CLog(tag, 0, data.status + "... wait 1s", data);
@@ -1626,26 +2524,123 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                     }
                 }
 
-                //下载证书
+                //下载证书，CA通过 Link: rel="alternate" 提供的备用证书链也一并下载 rfc8555 7.4.2
                 if (!order.downloadPEM) {
                     Progress("download...");
                     var url = order.certUrl;
                     //组装成jws，请求接口
-                    var sendData = await ACME.GetJwsA({
+                    var resp = await jwsRequestA({ url: url, response: false }, {
                         kid: ACME.StepData.account.url
-                        , nonce: await ACME.GetNonceA()
-                        , url: url
                     }, "");
-                    var resp = await requestA({ url: url, response: false }, sendData);
                     if (id != ACME.SyncID) throw new Error("cancel");
-                    var pem = resp.xhr.responseText;
+                    var chains = [{ url: url, pem: resp.xhr.responseText }];
+                    var alternates = linkHeaderUrls(resp.xhr, "alternate");
+                    for (var i = 0; i < alternates.length; i++) {
+                        Progress("download alternate(" + (i + 1) + "/" + alternates.length + ")...");
+                        try {
+                            var resp = await jwsRequestA({ url: alternates[i], response: false }, {
+                                kid: ACME.StepData.account.url
+                            }, "");
+                            chains.push({ url: alternates[i], pem: resp.xhr.responseText });
+                        } catch (e) { //备用证书链下载失败不影响使用默认证书链
+                            CLog(tag, 3, "download alternate fail: " + alternates[i], e);
+                        }
+                        if (id != ACME.SyncID) throw new Error("cancel");
+                    }
+                    for (var i = 0; i < chains.length; i++) {
+                        try { chains[i].root = X509.ChainRootName(chains[i].pem) } catch (e) { chains[i].root = "" }
+                    }
+                    order.chains = chains;
+                    var pem = ACME.ChooseChain(chains, config.preferredChain).pem;
                     order.downloadPEM = pem;
-                    CLog(tag, 0, "download OK\n" + pem);
+                    CLog(tag, 0, "download OK, chains: " + chains.length + "\n" + pem, chains);
                 }
             }
+            //选择根证书名称为preferred的证书链，没有时使用CA默认的第一条
+            , ChooseChain: function (chains, preferred) {
+                for (var i = 0; preferred && i < chains.length; i++) {
+                    if (chains[i].root == preferred) return chains[i];
+                }
+                return chains[0];
+            }
         };
 
 
+        // 常见ACME错误的原因和处理建议 {title:[中文, English], fix:[中文, English]}，fix中的{caa}替换为CA的CAA标识
+        // 自动续期 lib/auto-renewal/ACMEProblems.js 通过ACME.ProblemGuideText读取这里的内容
+        var ProblemGuides = {
+            rateLimited: {
+                title: ["触发了证书颁发机构的速率限制", "Rate limited by the CA"]
+                , fix: ["请按提示的时间稍后再试，避免短时间内为相同域名反复申请；调试时请使用测试环境 (Staging)。"
+                    , "Try again after the time given, avoid repeated orders for the same domains and use the staging environment for testing."]
+            }
+            , caa: {
+                title: ["域名的 CAA 记录不允许此证书颁发机构签发证书", "The domain's CAA records forbid this CA"]
+                , fix: ["在 DNS 中添加允许此 CA 的 CAA 记录（如 0 issue \"{caa}\"），或删除限制性的 CAA 记录。"
+                    , "Add a CAA record allowing it (e.g. 0 issue \"{caa}\") or remove the restrictive records."]
+            }
+            , dns: {
+                title: ["证书颁发机构查询 DNS 失败", "The CA could not query DNS"]
+                , fix: ["检查域名是否正确解析、权威 DNS 服务器是否正常响应；DNS 验证时确认 TXT 记录已生效。"
+                    , "Check that the domain resolves and its authoritative servers respond; for dns-01 make sure the TXT record has propagated."]
+            }
+            , connection: {
+                title: ["证书颁发机构无法连接到你的服务器", "The CA could not connect to your server"]
+                , fix: ["确认域名解析到了正确的服务器，防火墙放行了 80 端口（文件验证）或 443 端口（TLS-ALPN 验证），且可从公网访问。"
+                    , "Check that the domain points to it and that port 80 (http-01) or 443 (tls-alpn-01) is reachable from the internet."]
+            }
+            , unauthorized: {
+                title: ["验证未通过或没有权限", "Validation failed or the account is not authorized"]
+                , fix: ["检查验证文件内容、DNS TXT 记录值是否与页面显示的完全一致，然后重新验证。"
+                    , "Make sure the file content or TXT record exactly matches the values shown, then validate again."]
+            }
+            , incorrectResponse: {
+                title: ["验证响应的内容不正确", "The validation response was incorrect"]
+                , fix: ["确认文件内容或 TXT 记录值与页面显示的一致，没有多余的空白，也没有被重定向到其他内容。"
+                    , "Make sure the file or TXT record matches the values shown, without extra whitespace or redirects."]
+            }
+            , rejectedIdentifier: {
+                title: ["证书颁发机构拒绝为此域名签发证书", "The CA will not issue for this identifier"]
+                , fix: ["检查域名拼写；部分 CA 不签发某些顶级域名、IP 地址或高风险域名，可更换证书颁发机构。"
+                    , "Check the spelling; some CAs refuse certain TLDs, IP addresses or high-risk names, try another CA."]
+            }
+        };
+        // 取出ProblemGuides中的建议，并填入CA的CAA标识
+        var problemGuide = function (name, caaIdentity) {
+            var guide = ProblemGuides[name];
+            if (!guide) return null;
+            var caa = function (txt, en) {
+                return txt.replace("{caa}", caaIdentity || (en ? "CA's CAA identity" : "CA 的 CAA 标识"));
+            };
+            return { title: guide.title, fix: [caa(guide.fix[0]), caa(guide.fix[1], 1)] };
+        };
+        // 计算账户公钥的JWK Thumbprint，用于生成Key Authorizations rfc8555 8.1
+        var accountThumbprintA = async function (accountKey) {
+            var jwkStr = JSON.stringify(X509.PublicKeyJwk(accountKey));
+            var thumbprint = await crypto.subtle.digest({ name: "SHA-256" }, Str2Bytes(jwkStr));
+            return Bytes2UrlB64(thumbprint);
+        };
+        // 生成授权中所有验证方式的Key Authorizations和摘要
+        var authKeysA = async function (auth, thumbprint) {
+            var challs = auth.challenges;
+            for (var i = 0; i < challs.length; i++) {
+                var chall = challs[i];
+                chall.authTxt = chall.token + "." + thumbprint;
+                var sha = await crypto.subtle.digest({ name: "SHA-256" }
+                    , Str2Bytes(chall.authTxt));
+                chall.authTxtSHA256 = Bytes2UrlB64(sha);
+                chall.authTxtSHA256Base64 = Bytes2Base64(sha);
+            }
+        };
+        // 读取Link响应头中指定rel的所有URL rfc8288，读不到时返回空数组
+        var linkHeaderUrls = function (xhr, rel) {
+            var val = xhr.getResponseHeader("Link") || "", urls = [];
+            var exp = /<([^>]*)>([^<]*)/g, m;
+            while (m = exp.exec(val)) {
+                if (new RegExp('[;\\s]rel\\s*=\\s*"?' + rel + '"?(?:[;,\\s]|$)').test(m[2])) urls.push(m[1]);
+            }
+            return urls;
+        };
         // 读取响应头，读不到就当做跨域无法读取处理，自定义的头需要 Access-Control-Expose-Headers: Link, Replay-Nonce, Location
         var xhrHeader = function (xhr, key) {
             var val = xhr.getResponseHeader(key);
@@ -1657,28 +2652,144 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
             return val;
         };
 
-        // ajax
-        var requestA = function (url, post) {
-            return new Promise(function (resolve, reject) {
-                request(url, post, function (data, xhr) {
-                    resolve({ data: data, xhr: xhr });
-                }, function (err) {
-                    reject(new Error(err));
+        // 读取Retry-After响应头，支持秒数和HTTP日期格式，返回毫秒数，没有时返回0
+        var retryAfterMs = function (xhr) {
+            var val = (xhr.getResponseHeader("Retry-After") || "").trim();
+            if (!val) return 0;
+            if (/^\d+$/.test(val)) return +val * 1000;
+            var time = Date.parse(val);
+            return time ? Math.max(0, time - Date.now()) : 0;
+        };
+
+        // 请求失败时的Error，带有 status type detail problem retryAfter timeout cancel 属性，调用方可据此区分处理
+        var requestError = function (msg, info) {
+            var e = new Error(msg);
+            for (var k in info) e[k] = info[k];
+            return e;
+        };
+        // 解析ACME的problem文档 rfc7807 rfc8555 6.7，返回 {status type name detail identifier subproblems problem}
+        //   name为去掉 urn:ietf:params:acme:error: 前缀的错误类型，subproblems为每个域名各自的错误 rfc8555 6.7.1
+        var problemInfo = function (problem, status) {
+            problem = problem && typeof (problem) == "object" ? problem : {};
+            var info = {
+                status: status || +problem.status || 0
+                , type: problem.type || ""
+                , name: ACME.ProblemName(problem.type)
+                , detail: problem.detail || ""
+                , identifier: problem.identifier && problem.identifier.value || ""
+                , subproblems: []
+                , problem: problem.type ? problem : null
+            };
+            var subs = problem.subproblems || [];
+            for (var i = 0; i < subs.length; i++) {
+                info.subproblems.push({
+                    type: subs[i].type || ""
+                    , name: ACME.ProblemName(subs[i].type)
+                    , detail: subs[i].detail || ""
+                    , identifier: subs[i].identifier && subs[i].identifier.value || ""
                 });
-            });
-        }
+            }
+            return info;
+        };
+        // problem的可读文本，每个域名的错误跟在后面，已转义可直接显示
+        var problemMessage = function (info) {
+            var item = function (o) {
+                return (o.identifier ? o.identifier + ": " : "") + (o.detail || o.type) + (o.name ? " (" + o.name + ")" : "");
+            };
+            var arr = [item(info)];
+            for (var i = 0; i < info.subproblems.length; i++) arr.push(item(info.subproblems[i]));
+            return FormatText(arr.join("; "));
+        };
+        // 读取失败响应的详细信息，ACME的错误响应为problem文档
+        var requestErrorInfo = function (xhr, data) {
+            var info = problemInfo(data && data.type ? data : null, xhr.status);
+            info.retryAfter = retryAfterMs(xhr);
+            return info;
+        };
+        // 计算重试前需要等待的时间，返回-1不重试
+        //   badNonce：响应中已带有新的Nonce，重新签名后立即重试 rfc8555 6.5
+        //   5xx：按指数退避重试，有Retry-After时按其等待，等待太久的交给调用方处理
+        //   超时：只重试幂等的请求，非幂等的请求无法确定服务器是否已处理；其他网络错误多为跨域问题，不重试
+        var retryDelay = function (info, tryCount, idempotent, canSign) {
+            if (info.cancel || tryCount >= ACME.RetryMax) return -1;
+            if (info.type == "urn:ietf:params:acme:error:badNonce") return canSign ? 0 : -1;
+            if (info.status >= 500 || info.timeout && idempotent) {
+                if (info.retryAfter) return info.retryAfter <= 60 * 1000 ? info.retryAfter : -1;
+                return Math.min(1000 * Math.pow(2, tryCount), 10000) + Math.round(Math.random() * 500);
+            }
+            return -1;
+        };
+        // 发送请求，遇到临时错误时自动重试；getPost每次发送时调用，返回要发送的数据
+        var requestRetryA = async function (set, getPost, idempotent, canSign) {
+            var tag = "ACME.Request";
+            for (var tryCount = 0; ; tryCount++) {
+                var post = await getPost(tryCount);
+                var rtv = await new Promise(function (resolve) {
+                    request(set, post, function (data, xhr, info) {
+                        resolve({ data: data, xhr: xhr, info: info });
+                    }, function (err, status, info) {
+                        resolve({ err: err, info: info });
+                    });
+                });
+                var wait = rtv.info ? retryDelay(rtv.info, tryCount, idempotent, canSign) : -1;
+                if (wait < 0) {
+                    if (rtv.err) throw requestError(rtv.err, rtv.info);
+                    return rtv;
+                }
+                CLog(tag, 3, "retry(" + (tryCount + 1) + "/" + ACME.RetryMax + ") after " + wait + "ms: " + set.url, rtv.info);
+                await new Promise(function (s) { setTimeout(s, wait) });
+            }
+        };
+        // ajax，返回 {data, xhr}，失败时抛出requestError，GET HEAD请求遇到临时错误时自动重试
+        var requestA = function (url, post) {
+            var set = typeof (url) == "string" ? { url: url } : url;
+            return requestRetryA(set, function () { return post }, !post);
+        };
+        // 发送JWS签名的请求，Protected中不需要nonce和url，每次发送都会用新的Nonce重新签名，因此badNonce时可以重试
+        // set.newNonce=true 时第一次发送也重新获取Nonce；没有Payload的POST-as-GET请求当做幂等请求
+        var jwsRequestA = function (url, Protected, Payload, key) {
+            var set = typeof (url) == "string" ? { url: url } : url;
+            return requestRetryA(set, async function (tryCount) {
+                Protected.nonce = await ACME.GetNonceA(set.newNonce && !tryCount);
+                Protected.url = set.url;
+                return await ACME.GetJwsA(Protected, Payload, key);
+            }, !Payload, true);
+        };
+        // 进行中的请求，ACME.Cancel时中止
+        var pendingXhrs = [];
+        // 发送请求，set.timeout 超时时间，set.signal 可传入AbortSignal用于取消请求
+        // 失败时 False(err, status, info)，nocheck时失败的响应也会 True(data, xhr, info)
         var request = function (url, post, True, False) {
             var set = typeof (url) == "string" ? { url: url } : url; url = set.url;
             var method = set.method || (post ? "POST" : "GET");
             var tag = "ACME.Request"; CLog(tag, 4, "send " + method, set, post);
-
-            var xhr = new XMLHttpRequest();
-            xhr.timeout = 30000;
+            if (set.signal && set.signal.aborted)
+                return False("cancel", 0, { status: 0, cancel: true });
+
+            var xhr = new XMLHttpRequest(), isTimeout = 0, isCancel = 0;
+            var timeout = set.timeout || ACME.RequestTimeout;
+            var timer = setTimeout(function () {
+                isTimeout = 1; xhr.abort();
+            }, timeout);
+            xhr.acmeCancel = function () {
+                isCancel = 1; xhr.abort();
+            };
+            if (set.signal) set.signal.addEventListener("abort", xhr.acmeCancel);
+            pendingXhrs.push(xhr);
             xhr.open(method, url, true);
             xhr.onreadystatechange = function () {
                 if (xhr.readyState == 4) {
+                    clearTimeout(timer);
+                    if (set.signal) set.signal.removeEventListener("abort", xhr.acmeCancel);
+                    var idx = pendingXhrs.indexOf(xhr);
+                    if (idx != -1) pendingXhrs.splice(idx, 1);
                     ACME.PrevNonce = xhr.getResponseHeader("Replay-Nonce") || "";//将此值存起来
 
+                    if (isTimeout || isCancel) {
+                        CLog(tag, 4, "send End", set, isTimeout ? "timeout" : "cancel");
+                        return False(isCancel ? "cancel" : Lang("请求超时（" + timeout / 1000 + "秒）：", "Request timeout (" + timeout / 1000 + "s): ") + FormatText(url)
+                            , 0, { status: 0, timeout: !!isTimeout, cancel: !!isCancel });
+                    }
                     var isBad = xhr.status < 200 || xhr.status >= 300;
                     var useResp = set.response == null || set.response;
                     var err = "", data, logObj;
@@ -1693,10 +2804,12 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                         status: xhr.status
                         , headers: xhr.getAllResponseHeaders()
                     }, logObj);
+                    var info = isBad ? requestErrorInfo(xhr, data) : null;
                     if (set.nocheck || !isBad && (!useResp || data)) {
-                        return True(data, xhr);
+                        return True(data, xhr, info);
                     }
-                    False((isBad ? "[" + xhr.status + "]" : "") + FormatText(xhr.responseText), xhr.status);
+                    info = info || requestErrorInfo(xhr, data);
+                    False((isBad ? "[" + xhr.status + "]" : "") + (info.problem ? problemMessage(info) : FormatText(xhr.responseText)), xhr.status, info);
                 }
             };
             if (post) {
@@ -1794,6 +2907,14 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
             , KeyParse: function (pem, True, False, mustPrivate) {
                 var rtv = {};
                 var Err = function (msg) { rtv.error = msg; False(msg, rtv); };
+                //加密的PKCS#8私钥，询问密码解密后再解析，返回的pem为解密后的私钥
+                if (/BEGIN\s*ENCRYPTED\s*PRIVATE\s*KEY/.test(pem)) {
+                    return X509.PassphrasePrompt(function (passphrase) {
+                        X509.KeyDecrypt(pem, passphrase).then(function (plain) {
+                            X509.KeyParse(plain, True, False, mustPrivate);
+                        }).catch(function (e) { Err(e.message) });
+                    }, Err);
+                }
                 //浏览器crypto不支持PKCS#1的pem导入，提取参数转成jwk导入
 
                 if (!/BEGIN\s*(RSA|EC)?\s*(PUBLIC|PRIVATE)\s*KEY/.test(pem))
@@ -1897,6 +3018,53 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                     Err(Lang('密钥转成CryptoKey失败：', 'Failed to convert key to CryptoKey: ') + e.message);
                 });
             }
+            //询问加密私钥的密码，可替换成自定义的输入方式，取消时调用False
+            , PassphrasePrompt: function (True, False) {
+                var passphrase = prompt(Lang("此私钥已加密，请输入密码：", "This private key is encrypted, please enter the passphrase:", true));
+                if (passphrase == null) return False(Lang("已取消输入私钥密码", "Passphrase entry cancelled"));
+                True(passphrase);
+            }
+            //私钥加密成PKCS#8 ENCRYPTED PRIVATE KEY：PBES2(PBKDF2-SHA256 + AES-256-CBC) rfc8018，返回Promise<pem>
+            , KeyEncrypt: function (info, passphrase) {
+                if (!passphrase) return Promise.reject(new Error(Lang("请设置私钥密码", "Please set a passphrase")));
+                return PKCS12.PBES2EncryptA(passphrase, X509.KeyExport(info, false, 1), PKCS12.KeyIterations).then(function (enc) {
+                    return X509.PEMEncode(ASN1.S(0x30, enc[0], ASN1.V(0x04, enc[1])).toBytes(), "ENCRYPTED PRIVATE KEY");
+                });
+            }
+            //解密PKCS#8 ENCRYPTED PRIVATE KEY，支持PBES2(PBKDF2 + AES-CBC)，返回Promise<PKCS#8 pem>
+            , KeyDecrypt: function (pem, passphrase) {
+                return (async function () {
+                    try {
+                        var asn1 = ASN1.ParsePEM(pem).sub, alg = asn1[0].sub;
+                        if (alg[0].oid != "1.2.840.113549.1.5.13") throw 0;
+                        var kdf = alg[1].sub[0].sub, enc = alg[1].sub[1].sub;
+                        if (kdf[0].oid != "1.2.840.113549.1.5.12") throw 0;
+                        var kdfParam = kdf[1].sub, iterations = 0, prf = "SHA-1"; //没有prf时默认为hmacWithSHA1
+                        for (var i = 0; i < kdfParam[1].bytes.length; i++) iterations = iterations * 256 + kdfParam[1].bytes[i];
+                        var prfA = kdfParam[kdfParam.length - 1];
+                        if (prfA.tag == 0x30) {
+                            prf = { "1.2.840.113549.2.7": "SHA-1", "1.2.840.113549.2.9": "SHA-256", "1.2.840.113549.2.10": "SHA-384", "1.2.840.113549.2.11": "SHA-512" }[prfA.sub[0].oid];
+                        }
+                        var aesBits = { "2.16.840.1.101.3.4.1.2": 128, "2.16.840.1.101.3.4.1.22": 192, "2.16.840.1.101.3.4.1.42": 256 }[enc[0].oid];
+                        if (!prf || !aesBits) throw 0;
+                    } catch (e) {
+                        throw new Error(Lang("只支持PBES2(PBKDF2 + AES-CBC)加密的私钥", "Only PBES2 (PBKDF2 + AES-CBC) encrypted keys are supported"));
+                    }
+                    if (!iterations || iterations > PKCS12.MaxIterations) { //过大的迭代次数会让页面长时间卡住
+                        throw new Error(Lang("私钥的PBKDF2迭代次数无效：", "Invalid PBKDF2 iteration count of the key: ", true) + iterations);
+                    }
+                    var pwKey = await crypto.subtle.importKey("raw", Str2Bytes(passphrase), "PBKDF2", false, ["deriveKey"]);
+                    var aesKey = await crypto.subtle.deriveKey(
+                        { name: "PBKDF2", salt: kdfParam[0].bytes, iterations: iterations, hash: prf }
+                        , pwKey, { name: "AES-CBC", length: aesBits }, false, ["decrypt"]);
+                    try {
+                        var plain = await crypto.subtle.decrypt({ name: "AES-CBC", iv: enc[1].bytes }, aesKey, asn1[1].bytes);
+                    } catch (e) {
+                        throw new Error(Lang("私钥密码错误", "Incorrect passphrase"));
+                    }
+                    return X509.PEMEncode(new Uint8Array(plain), "PRIVATE KEY");
+                })();
+            }
             //解析出来的公钥转换成JSON Web Key(JWK)
             , PublicKeyJwk: function (info) { // https://www.rfc-editor.org/rfc/rfc7638
                 var p = info.param;
@@ -1968,8 +3136,659 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
             }
 
 
+            //解析证书的序列号和扩展，pem为证书链时只解析第一个证书
+            , CertParse: function (pem) {
+                var pems = X509.CertPEMList(pem);
+                if (!pems.length) throw new Error(Lang("未发现证书", "Certificate not found"));
+                var rtv = { pem: pems[0], extensions: {} };
+                var tbs = ASN1.ParsePEM(pems[0]).sub[0].sub;
+                var idx = tbs[0].tag == 0xA0 ? 1 : 0; //v3证书开头有版本号
+
+                //解析时去掉了正整数开头补的0，这里补回来得到DER编码的序列号
+                var serial = tbs[idx].bytes;
+                if (serial[0] >= 0x80) {
+                    var arr = new Uint8Array(serial.length + 1); arr.set(serial, 1); serial = arr;
+                }
+                rtv.serial = serial;
+
+                var validity = tbs[idx + 3].sub;
+                rtv.notBefore = X509.TimeParse(validity[0]);
+                rtv.notAfter = X509.TimeParse(validity[1]);
+
+                //颁发者和使用者名称，只取常用的CN、O
+                var parseName = function (node) {
+                    var name = {}, items = [], rdns = node.sub || [];
+                    for (var i = 0; i < rdns.length; i++) {
+                        var attr = rdns[i].sub[0].sub, key = NameOIDs[attr[0].oid] || attr[0].oid;
+                        try { var val = Bytes2Str(attr[1].bytes) } //UTF8String PrintableString
+                        catch (e) { val = String.fromCharCode.apply(null, attr[1].bytes) } //其他单字节编码
+                        if (!name[key]) name[key] = val;
+                        items.push(key + "=" + val);
+                    }
+                    name.text = items.join(", ");
+                    name.der = node.toBytes(); //OCSP的CertID需要DER编码的名称
+                    return name;
+                };
+                var NameOIDs = { "2.5.4.3": "CN", "2.5.4.10": "O", "2.5.4.11": "OU", "2.5.4.6": "C" };
+                rtv.issuer = parseName(tbs[idx + 2]);
+                rtv.subject = parseName(tbs[idx + 4]);
+                rtv.publicKey = tbs[idx + 5].toBytes(); //SubjectPublicKeyInfo DER
+
+                //serial, signature, issuer, validity, subject, subjectPublicKeyInfo 之后是可选的扩展
+                for (var i = idx + 6; i < tbs.length; i++) {
+                    if (tbs[i].tag != 0xA3) continue;
+                    var exts = tbs[i].sub[0].sub;
+                    for (var j = 0; j < exts.length; j++) {
+                        var ext = exts[j].sub;
+                        rtv.extensions[ext[0].oid] = {
+                            critical: ext.length > 2 && ext[1].bytes[0] != 0
+                            , bytes: ext[ext.length - 1].bytes
+                        };
+                    }
+                }
+
+                //授权密钥标识符 AuthorityKeyIdentifier
+                var aki = rtv.extensions["2.5.29.35"];
+                if (aki) {
+                    var akiSub = new ASN1().parse(aki.bytes).sub;
+                    for (var i = 0; i < akiSub.length; i++) {
+                        if (akiSub[i].tag == 0x80) rtv.authorityKeyId = akiSub[i].bytes;
+                    }
+                }
+
+                //颁发机构信息访问 AIA：OCSP地址、颁发者证书地址，只取URI [6]
+                rtv.ocsp = []; rtv.caIssuers = [];
+                var aia = rtv.extensions["1.3.6.1.5.5.7.1.1"];
+                if (aia) {
+                    var descs = new ASN1().parse(aia.bytes).sub;
+                    for (var i = 0; i < descs.length; i++) {
+                        var method = descs[i].sub[0].oid, loc = descs[i].sub[1];
+                        if (loc.tag != 0x86) continue;
+                        if (method == "1.3.6.1.5.5.7.48.1") rtv.ocsp.push(Bytes2Str(loc.bytes));
+                        if (method == "1.3.6.1.5.5.7.48.2") rtv.caIssuers.push(Bytes2Str(loc.bytes));
+                    }
+                }
+
+                var san = rtv.extensions["2.5.29.17"];
+                rtv.sans = san ? X509.AltNameParse(san.bytes) : [];
+                return rtv;
+            }
+            //解析时间：UTCTime YYMMDDHHMMSSZ 或 GeneralizedTime YYYYMMDDHHMMSS[.fff]Z，返回毫秒时间戳
+            , TimeParse: function (node) {
+                var str = Bytes2Str(node.bytes);
+                if (node.tag == 0x17) str = (+str.substr(0, 2) < 50 ? "20" : "19") + str;
+                return Date.UTC(+str.substr(0, 4), +str.substr(4, 2) - 1, +str.substr(6, 2)
+                    , +str.substr(8, 2), +str.substr(10, 2), +str.substr(12, 2));
+            }
+            //解析使用者可选名称 SubjectAltName 扩展的值：dNSName [2]、iPAddress [7]，返回域名和IP地址列表
+            , AltNameParse: function (bytes) {
+                var sans = [], names = new ASN1().parse(bytes).sub;
+                for (var i = 0; i < names.length; i++) {
+                    var b = names[i].bytes;
+                    if (names[i].tag == 0x82) {
+                        sans.push(Bytes2Str(b));
+                    } else if (names[i].tag == 0x87 && (b.length == 4 || b.length == 16)) {
+                        var groups = [];
+                        if (b.length == 4) groups = [b[0], b[1], b[2], b[3]].join(".");
+                        else for (var k = 0; k < 16; k += 2) groups.push((b[k] << 8 | b[k + 1]).toString(16));
+                        sans.push(X509.IPParse(b.length == 4 ? groups : groups.join(":")).value);
+                    }
+                }
+                return sans;
+            }
+            //证书管理中保存的证书信息，免得每次使用时都要解析证书：有效期、序列号(十六进制)、颁发者、使用者可选名称
+            , CertRecordInfo: function (pem) {
+                var info = X509.CertParse(pem), serial = [];
+                for (var i = 0; i < info.serial.length; i++) serial.push(("0" + info.serial[i].toString(16)).substr(-2));
+                return {
+                    notBefore: new Date(info.notBefore).toISOString()
+                    , notAfter: new Date(info.notAfter).toISOString()
+                    , serial: serial.join("").replace(/^00(?=[89a-f])/, "") //去掉DER补的0，和openssl显示的一致
+                    , issuer: info.issuer.text
+                    , sans: info.sans
+                };
+            }
+            //查看证书链中每个证书的详细信息，通过回调返回数组：使用者、颁发者、有效期、密钥、签名算法、
+            //  密钥用途、AIA、SCT列表，以及证书的SHA-1/SHA-256指纹和公钥SPKI的SHA-256 pin(base64)
+            , CertInspect: function (pem, True, False) {
+                var pems = X509.CertPEMList(pem), list = [];
+                if (!pems.length) return False(Lang("未发现证书", "Certificate not found"));
+                var hex = function (bytes, sp) {
+                    var arr = [];
+                    for (var i = 0; i < bytes.length; i++) arr.push(("0" + bytes[i].toString(16)).substr(-2).toUpperCase());
+                    return arr.join(sp || "");
+                };
+                var oidName = function (oid) { return CertOIDNames[oid] || oid; };
+                var uris = function (node, tag, rtv) { //在GeneralNames中查找URI [6]
+                    rtv = rtv || [];
+                    if (node.tag == tag) rtv.push(Bytes2Str(node.bytes));
+                    for (var i = 0; i < node.sub.length; i++) uris(node.sub[i], tag, rtv);
+                    return rtv;
+                };
+                try {
+                    for (var n = 0; n < pems.length; n++) {
+                        var info = X509.CertParse(pems[n]), exts = info.extensions, val;
+                        var item = {
+                            pem: pems[n], der: ASN1.PEM2Bytes(pems[n]), publicKey: info.publicKey
+                            , subject: info.subject.text, issuer: info.issuer.text, sans: info.sans
+                            , serial: hex(info.serial, ":").replace(/^00:(?=[89A-F])/, "")
+                            , notBefore: info.notBefore, notAfter: info.notAfter
+                            , signatureAlgorithm: oidName(ASN1.ParsePEM(pems[n]).sub[1].sub[0].oid)
+                            , keyUsage: [], extKeyUsage: [], mustStaple: false, ocsp: info.ocsp, caIssuers: info.caIssuers, crl: [], scts: []
+                        };
+
+                        //公钥算法和长度：RSA按模数位数，ECC按曲线
+                        var spki = new ASN1().parse(info.publicKey).sub, alg = spki[0].sub;
+                        item.keyType = oidName(alg[0].oid);
+                        if (alg[0].oid == ASN1.OID.RSA) {
+                            var modulus = new ASN1().parse(spki[1].bytes).sub[0].bytes, bits = modulus.length * 8;
+                            for (var b = modulus[0]; b < 0x80 && bits > 0; b <<= 1) bits--;
+                            item.keySize = bits;
+                        } else if (alg[1] && alg[1].oid) {
+                            item.keySize = oidName(alg[1].oid);
+                        }
+
+                        //基本约束 BasicConstraints：是否CA证书
+                        if ((val = exts["2.5.29.19"])) {
+                            var bc = new ASN1().parse(val.bytes).sub;
+                            item.isCA = !!(bc[0] && bc[0].tag == 0x01 && bc[0].bytes[0]);
+                        }
+                        //密钥用途 KeyUsage：BIT STRING，解析时可能已去掉为0的未使用位数字节
+                        if ((val = exts["2.5.29.15"])) {
+                            var ku = ASN1.ParseBlock([0], val.bytes)[0].bytes;
+                            if (ku.length > 1 && ku[0] < 8) ku = ku.slice(1);
+                            var kuNames = ["digitalSignature", "nonRepudiation", "keyEncipherment", "dataEncipherment"
+                                , "keyAgreement", "keyCertSign", "cRLSign", "encipherOnly", "decipherOnly"];
+                            for (var i = 0; i < kuNames.length; i++) {
+                                if (ku[i >> 3] & (0x80 >> (i & 7))) item.keyUsage.push(kuNames[i]);
+                            }
+                        }
+                        //TLS Feature：包含status_request(5)时为OCSP Must-Staple rfc7633
+                        if ((val = exts["1.3.6.1.5.5.7.1.24"])) {
+                            var features = new ASN1().parse(val.bytes).sub;
+                            for (var i = 0; i < features.length; i++) {
+                                if (features[i].bytes[0] == 5) item.mustStaple = true;
+                            }
+                        }
+                        //扩展密钥用途 ExtendedKeyUsage
+                        if ((val = exts["2.5.29.37"])) {
+                            var eku = new ASN1().parse(val.bytes).sub;
+                            for (var i = 0; i < eku.length; i++) item.extKeyUsage.push(oidName(eku[i].oid));
+                        }
+                        //CRL分发点
+                        if ((val = exts["2.5.29.31"])) item.crl = uris(new ASN1().parse(val.bytes), 0x86);
+
+                        //证书透明度SCT列表 rfc6962 3.3：OCTET STRING中为TLS编码的列表
+                        //  每个SCT：版本(1) 日志ID(32) 时间戳(8毫秒) 扩展(2+n) 签名(哈希1 签名1 2+n)
+                        if ((val = exts["1.3.6.1.4.1.11129.2.4.2"])) {
+                            var sct = ASN1.ParseBlock([0], val.bytes)[0].bytes, pos = 2;
+                            while (pos + 2 < sct.length) {
+                                var len = sct[pos] << 8 | sct[pos + 1], p = pos + 2, time = 0;
+                                for (var i = 0; i < 8; i++) time = time * 256 + sct[p + 33 + i];
+                                item.scts.push({
+                                    version: sct[p] + 1
+                                    , logId: Bytes2Base64(sct.slice(p + 1, p + 33))
+                                    , timestamp: time
+                                });
+                                pos = p + len;
+                            }
+                        }
+                        list.push(item);
+                    }
+                } catch (e) {
+                    return False(Lang("解析证书失败：", "Failed to parse the certificate: ") + e.message);
+                }
+
+                //指纹和公钥pin需要异步计算摘要
+                var digest = function (name, bytes) { return crypto.subtle.digest({ name: name }, bytes) };
+                Promise.all(list.map(function (item) {
+                    return Promise.all([digest("SHA-1", item.der), digest("SHA-256", item.der), digest("SHA-256", item.publicKey)])
+                        .then(function (arr) {
+                            item.sha1 = hex(new Uint8Array(arr[0]), ":");
+                            item.sha256 = hex(new Uint8Array(arr[1]), ":");
+                            item.spkiPin = Bytes2Base64(new Uint8Array(arr[2]));
+                            delete item.der; delete item.publicKey;
+                        });
+                })).then(function () {
+                    True(list);
+                }).catch(function (e) {
+                    False(Lang("计算证书指纹失败：", "Failed to compute certificate fingerprints: ") + e.message);
+                });
+            }
+            //证书的公钥是否和密钥(KeyParse解析出来的)的公钥相同，用于找到证书对应的私钥
+            , CertKeyMatch: function (pem, keyInfo) {
+                var pub = X509.KeyExport(keyInfo, true, 1);
+                return Bytes2Base64(X509.CertParse(pem).publicKey) == Bytes2Base64(pub);
+            }
+            //检查证书和私钥是否配对（私钥在外部保管时提供CSR，比较CSR中的公钥），证书链中每个证书是否由下一个证书签发，通过回调返回：
+            //  {keyMatch:true|false|null没有私钥, chain:[{subject, issuer, signed, error}], chainValid, incomplete:缺少颁发者证书}
+            , CertValidate: function (certPem, keyPem, True, False) {
+                var pems = X509.CertPEMList(certPem), rtv = { keyMatch: null, chain: [], chainValid: true, incomplete: false };
+                if (!pems.length) return False(Lang("未发现证书", "Certificate not found"));
+                try {
+                    var infos = pems.map(function (pem) { return X509.CertParse(pem) });
+                } catch (e) {
+                    return False(Lang("解析证书失败：", "Failed to parse the certificate: ") + e.message);
+                }
+                var last = infos[infos.length - 1];
+                rtv.incomplete = last.subject.text != last.issuer.text; //最后一个不是自签名的根证书时，应该还有中间证书
+
+                var checkChain = function () {
+                    var verifyNext = function (i) {
+                        if (i >= infos.length - 1) return True(rtv);
+                        var item = { subject: infos[i].subject.text, issuer: infos[i].issuer.text, signed: false, error: "" };
+                        rtv.chain.push(item);
+                        var done = function (ok, err) {
+                            item.signed = ok; item.error = err || "";
+                            if (!ok) rtv.chainValid = false;
+                            verifyNext(i + 1);
+                        };
+                        if (item.issuer != infos[i + 1].subject.text) {
+                            return done(false, Lang("颁发者不是证书链中的下一个证书", "The issuer is not the next certificate in the chain", true));
+                        }
+                        X509.CertVerifySignature(pems[i], infos[i + 1].publicKey).then(function (ok) {
+                            done(ok, ok ? "" : Lang("签名验证失败", "Signature verification failed", true));
+                        }).catch(function (e) {
+                            done(false, e.message);
+                        });
+                    };
+                    verifyNext(0);
+                };
+
+                if (!keyPem) return checkChain();
+                if (/BEGIN (NEW )?CERTIFICATE REQUEST/.test(keyPem)) {
+                    try {
+                        rtv.keyMatch = Bytes2Base64(X509.CSRParse(keyPem).publicKey) == Bytes2Base64(infos[0].publicKey);
+                    } catch (e) { rtv.keyMatch = false }
+                    return checkChain();
+                }
+                X509.KeyParse(keyPem, function (keyInfo) {
+                    rtv.keyMatch = X509.CertKeyMatch(pems[0], keyInfo);
+                    checkChain();
+                }, function () {
+                    rtv.keyMatch = false;
+                    checkChain();
+                }, true);
+            }
+            //用颁发者公钥(SubjectPublicKeyInfo DER)验证证书签名，返回Promise<boolean>，不支持的签名算法会reject
+            , CertVerifySignature: function (pem, issuerPublicKey) {
+                return X509.SignedVerify(ASN1.PEM2Bytes(pem), issuerPublicKey);
+            }
+            //验证 SEQUENCE{主体, 签名算法, 签名} 结构(证书、CSR)的签名，返回Promise<boolean>
+            , SignedVerify: function (der, issuerPublicKey) {
+                var pos = [1];
+                ASN1.ParseSize(pos, der); //跳过最外层的标签和长度，取出原始的TBS字节，不能重新编码
+                var tbsStart = pos[0]; pos[0]++;
+                var tbsSize = ASN1.ParseSize(pos, der);
+                var tbs = der.slice(tbsStart, pos[0] + tbsSize);
+                var cert = new ASN1().parse(der).sub;
+                var sigOid = cert[1].sub[0].oid, sig = cert[2].bytes;
+                var hash = { "11": "SHA-256", "12": "SHA-384", "13": "SHA-512", "2": "SHA-256", "3": "SHA-384", "4": "SHA-512" }[sigOid.split(".").pop()];
+                var isRSA = /^1\.2\.840\.113549\.1\.1\.1[123]$/.test(sigOid), isECC = /^1\.2\.840\.10045\.4\.3\.[234]$/.test(sigOid);
+                if (!isRSA && !isECC) return Promise.reject(new Error(Lang("不支持的签名算法：", "Unsupported signature algorithm: ", true) + sigOid));
+
+                var algorithm = { name: "RSASSA-PKCS1-v1_5", hash: hash };
+                if (isECC) {
+                    var curve = ASN1.OID[new ASN1().parse(issuerPublicKey).sub[0].sub[1].oid];
+                    algorithm = { name: "ECDSA", namedCurve: curve, hash: hash };
+                    //ECDSA签名是DER编码的(r,s)，WebCrypto需要固定长度的r||s
+                    var size = { "P-256": 32, "P-384": 48, "P-521": 66 }[curve], rs = new ASN1().parse(sig).sub;
+                    var raw = new Uint8Array(size * 2);
+                    for (var i = 0; i < 2; i++) {
+                        var b = rs[i].bytes.slice(-size);
+                        raw.set(b, size * (i + 1) - b.length);
+                    }
+                    sig = raw;
+                }
+                return crypto.subtle.importKey("spki", issuerPublicKey, algorithm, false, ["verify"]).then(function (key) {
+                    return crypto.subtle.verify(algorithm, key, sig, tbs);
+                });
+            }
+            //证书的ARI标识 rfc9773 4.1：base64url(AKI keyIdentifier) "." base64url(serial)
+            , CertARIId: function (pem) {
+                var info = X509.CertParse(pem);
+                if (!info.authorityKeyId) throw new Error(Lang("证书中没有授权密钥标识符", "No Authority Key Identifier in the certificate"));
+                return Bytes2UrlB64(info.authorityKeyId) + "." + Bytes2UrlB64(info.serial);
+            }
+            //OCSP请求 rfc6960 4.1：用颁发者证书计算证书的CertID(SHA-1)，并带上随机nonce rfc8954，通过回调返回：
+            //  {der:OCSPRequest DER, certID:{nameHash, keyHash, serial}, nonce, urls:证书AIA中的OCSP地址}
+            , OCSPRequest: function (certPem, issuerPem, True, False) {
+                var S = ASN1.S, V = ASN1.V;
+                try {
+                    var cert = X509.CertParse(certPem), issuer = X509.CertParse(issuerPem);
+                } catch (e) {
+                    return False(Lang("解析证书失败：", "Failed to parse the certificate: ", true) + e.message);
+                }
+                if (Bytes2Base64(cert.issuer.der) != Bytes2Base64(issuer.subject.der)) {
+                    return False(Lang("颁发者证书和证书不匹配", "The issuer certificate does not match the certificate", true));
+                }
+                var issuerKey = new ASN1().parse(issuer.publicKey).sub[1].bytes; //subjectPublicKey的值，不含未使用位数
+                var digest = function (bytes) { return crypto.subtle.digest({ name: "SHA-1" }, bytes) };
+                Promise.all([digest(cert.issuer.der), digest(issuerKey)]).then(function (arr) {
+                    var certID = { nameHash: new Uint8Array(arr[0]), keyHash: new Uint8Array(arr[1]), serial: cert.serial };
+                    var nonce = crypto.getRandomValues(new Uint8Array(16));
+                    var reqA = S(0x30, S(0x30 //tbsRequest
+                        , S(0x30, S(0x30, S(0x30 //requestList: Request{reqCert:CertID}
+                            , S(0x30, V(0x06, ASN1.OID2Bytes("1.3.14.3.2.26")), V(0x05, [])) //SHA-1
+                            , V(0x04, certID.nameHash)
+                            , V(0x04, certID.keyHash)
+                            , V(0x02, certID.serial)
+                        )))
+                        , S(0xA2, S(0x30, S(0x30 //requestExtensions: nonce
+                            , V(0x06, ASN1.OID2Bytes("1.3.6.1.5.5.7.48.1.2"))
+                            , V(0x04, V(0x04, nonce).toBytes())
+                        )))
+                    ));
+                    True({ der: reqA.toBytes(), certID: certID, nonce: nonce, urls: cert.ocsp });
+                }).catch(function (e) {
+                    False(Lang("生成OCSP请求失败：", "Failed to create the OCSP request: ", true) + e.message);
+                });
+            }
+            //解析OCSP响应 rfc6960 4.2，取出请求的证书的状态，并验证响应签名：由颁发者签名，或由颁发者签发的OCSPSigning委托证书签名
+            //  request为OCSPRequest的结果，通过回调返回 {status:good|revoked|unknown, revokedAt, reason:CRLReason, thisUpdate, nextUpdate, producedAt, delegated}
+            , OCSPResponseParse: function (der, request, issuerPem, True, False) {
+                var b64 = Bytes2Base64;
+                var serialB64 = function (bytes) { //INTEGER解析时已去掉开头补的0
+                    while (bytes.length > 1 && bytes[0] == 0) bytes = bytes.slice(1);
+                    return b64(bytes);
+                };
+                try {
+                    var resp = new ASN1().parse(der).sub;
+                    var code = resp[0].bytes[0] || 0;
+                    if (code != 0) {
+                        var codes = { 1: "malformedRequest", 2: "internalError", 3: "tryLater", 5: "sigRequired", 6: "unauthorized" };
+                        return False(Lang("OCSP服务器拒绝了请求：", "The OCSP responder refused the request: ", true) + (codes[code] || code));
+                    }
+                    var respBytes = resp[1].sub[0].sub; //responseBytes [0] EXPLICIT {responseType, response}
+                    if (respBytes[0].oid != "1.3.6.1.5.5.7.48.1.1") {
+                        return False(Lang("不支持的OCSP响应类型：", "Unsupported OCSP response type: ", true) + respBytes[0].oid);
+                    }
+                    var basicDER = respBytes[1].bytes, basic = new ASN1().parse(basicDER).sub;
+
+                    //ResponseData: [0]version可选, responderID, producedAt, responses, [1]responseExtensions可选
+                    var data = basic[0].sub, idx = data[0].tag == 0xA0 ? 1 : 0;
+                    var responderID = data[idx], exts = data[idx + 3];
+                    var rtv = { status: "", revokedAt: 0, reason: null, thisUpdate: 0, nextUpdate: 0, producedAt: X509.TimeParse(data[idx + 1]), delegated: false };
+
+                    var responses = data[idx + 2].sub, single = null, id = request.certID;
+                    for (var i = 0; i < responses.length && !single; i++) {
+                        var certID = responses[i].sub[0].sub; //hashAlgorithm, issuerNameHash, issuerKeyHash, serialNumber
+                        if (certID[0].sub[0].oid == "1.3.14.3.2.26"
+                            && b64(certID[1].bytes) == b64(id.nameHash) && b64(certID[2].bytes) == b64(id.keyHash)
+                            && serialB64(certID[3].bytes) == serialB64(id.serial)) single = responses[i].sub;
+                    }
+                    if (!single) return False(Lang("OCSP响应中没有此证书的状态", "The OCSP response has no status for this certificate", true));
+
+                    //certStatus: good [0]、revoked [1]{revocationTime, [0]revocationReason可选}、unknown [2]
+                    var certStatus = single[1];
+                    if (certStatus.tag == 0x80) rtv.status = "good";
+                    else if (certStatus.tag == 0x82) rtv.status = "unknown";
+                    else if (certStatus.tag == 0xA1) {
+                        rtv.status = "revoked";
+                        rtv.revokedAt = X509.TimeParse(certStatus.sub[0]);
+                        if (certStatus.sub[1] && certStatus.sub[1].tag == 0xA0) rtv.reason = certStatus.sub[1].sub[0].bytes[0] || 0;
+                    } else {
+                        return False(Lang("无法识别的证书状态", "Unrecognized certificate status", true));
+                    }
+                    rtv.thisUpdate = X509.TimeParse(single[2]);
+                    for (var i = 3; i < single.length; i++) {
+                        if (single[i].tag == 0xA0) rtv.nextUpdate = X509.TimeParse(single[i].sub[0]);
+                    }
+                    if (rtv.nextUpdate && rtv.nextUpdate < Date.now()) {
+                        return False(Lang("OCSP响应已过期", "The OCSP response has expired", true));
+                    }
+                    //thisUpdate晚于当前时间的响应不可信 rfc6960 3.2，允许5分钟时钟误差
+                    if (rtv.thisUpdate > Date.now() + 5 * 60 * 1000) {
+                        return False(Lang("OCSP响应的thisUpdate晚于当前时间", "The OCSP response thisUpdate is in the future", true));
+                    }
+
+                    //响应中有nonce时必须和请求的相同，防止重放
+                    var extList = exts && exts.tag == 0xA1 ? exts.sub[0].sub : [];
+                    for (var i = 0; i < extList.length; i++) {
+                        var ext = extList[i].sub;
+                        if (ext[0].oid == "1.3.6.1.5.5.7.48.1.2" && b64(ext[ext.length - 1].bytes) != b64(ASN1.V(0x04, request.nonce).toBytes())) {
+                            return False(Lang("OCSP响应的nonce和请求不一致", "The OCSP response nonce does not match the request", true));
+                        }
+                    }
+
+                    //签名者：颁发者，或响应中附带的证书；responderID为 byName [1] 或 byKey [2]：公钥的SHA-1
+                    var issuer = X509.CertParse(issuerPem), infos = [issuer];
+                    var certs = basic[3] && basic[3].tag == 0xA0 ? basic[3].sub[0].sub : [];
+                    for (var i = 0; i < certs.length; i++) infos.push(X509.CertParse(X509.PEMEncode(certs[i].toBytes(), "CERTIFICATE")));
+                } catch (e) {
+                    return False(Lang("解析OCSP响应失败：", "Failed to parse the OCSP response: ", true) + e.message);
+                }
+                var keyHash = function (info) {
+                    return crypto.subtle.digest({ name: "SHA-1" }, new ASN1().parse(info.publicKey).sub[1].bytes).then(function (hash) {
+                        return b64(new Uint8Array(hash));
+                    });
+                };
+                Promise.all(infos.map(keyHash)).then(function (hashes) {
+                    var signer = null;
+                    for (var i = 0; i < infos.length && !signer; i++) {
+                        if (responderID.tag == 0xA1 ? b64(infos[i].subject.der) == b64(responderID.sub[0].toBytes())
+                            : hashes[i] == b64(responderID.sub[0].bytes)) signer = infos[i];
+                    }
+                    if (!signer) throw new Error(Lang("没有找到OCSP响应的签名证书", "The OCSP responder certificate was not found", true));
+                    if (signer == issuer) return signer;
+
+                    //委托的签名证书必须由颁发者签发，并且扩展密钥用途包含OCSPSigning rfc6960 4.2.2.2
+                    var eku = signer.extensions["2.5.29.37"], isOCSPSigner = false;
+                    var ekuList = eku ? new ASN1().parse(eku.bytes).sub : [];
+                    for (var i = 0; i < ekuList.length; i++) {
+                        if (ekuList[i].oid == "1.3.6.1.5.5.7.3.9") isOCSPSigner = true;
+                    }
+                    var notAuthorized = new Error(Lang("OCSP响应的签名证书没有颁发者的授权", "The OCSP responder certificate is not authorized by the issuer", true));
+                    if (!isOCSPSigner || b64(signer.issuer.der) != b64(issuer.subject.der)) throw notAuthorized;
+                    var now = Date.now();
+                    if (now < signer.notBefore || now > signer.notAfter) {
+                        throw new Error(Lang("OCSP响应的签名证书不在有效期内", "The OCSP responder certificate is not within its validity period", true));
+                    }
+                    return X509.SignedVerify(ASN1.PEM2Bytes(signer.pem), issuer.publicKey).then(function (ok) {
+                        if (!ok) throw notAuthorized;
+                        rtv.delegated = true;
+                        return signer;
+                    });
+                }).then(function (signer) {
+                    return X509.SignedVerify(basicDER, signer.publicKey);
+                }).then(function (ok) {
+                    if (!ok) return False(Lang("OCSP响应签名验证失败", "OCSP response signature verification failed", true));
+                    True(rtv);
+                }).catch(function (e) {
+                    False(e.message);
+                });
+            }
+            //解析IPv4、IPv6地址（IPv6可带方括号），不是IP地址返回null
+            //返回 {v6:是否IPv6, bytes:地址字节, value:规范文本格式 rfc5952, arpa:反向解析域名 rfc8738 6}
+            , IPParse: function (str) {
+                str = String(str || "").trim().replace(/^\[(.+)\]$/, "$1");
+                var bytes, m = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(str);
+                if (m) {
+                    bytes = new Uint8Array(4);
+                    for (var i = 0; i < 4; i++) {
+                        if (+m[i + 1] > 255 || /^0\d/.test(m[i + 1])) return null; //不支持带前导0的写法
+                        bytes[i] = +m[i + 1];
+                    }
+                    return {
+                        v6: false, bytes: bytes, value: bytes.join(".")
+                        , arpa: [bytes[3], bytes[2], bytes[1], bytes[0]].join(".") + ".in-addr.arpa"
+                    };
+                }
+
+                if (!/^[0-9a-f:.]+$/i.test(str) || str.indexOf(":") == -1) return null;
+                var parts = str.split("::");
+                if (parts.length > 2) return null;
+                var toGroups = function (txt) {
+                    var arr = txt ? txt.split(":") : [], groups = [];
+                    for (var i = 0; i < arr.length; i++) {
+                        if (i == arr.length - 1 && arr[i].indexOf(".") != -1) { //末尾嵌入的IPv4
+                            var v4 = X509.IPParse(arr[i]);
+                            if (!v4 || v4.v6) return null;
+                            groups.push(v4.bytes[0] << 8 | v4.bytes[1], v4.bytes[2] << 8 | v4.bytes[3]);
+                        } else if (/^[0-9a-f]{1,4}$/i.test(arr[i])) {
+                            groups.push(parseInt(arr[i], 16));
+                        } else return null;
+                    }
+                    return groups;
+                };
+                var head = toGroups(parts[0]), tail = toGroups(parts[1] || "");
+                if (!head || !tail) return null;
+                var fill = 8 - head.length - tail.length;
+                if (parts.length == 2 ? fill < 1 : fill != 0) return null;
+                var groups = head;
+                for (var i = 0; i < fill; i++) groups.push(0);
+                groups = groups.concat(tail);
+
+                bytes = new Uint8Array(16);
+                var zeroIdx = -1, zeroLen = 0, nibbles = [];
+                for (var i = 0; i < 8; i++) {
+                    bytes[i * 2] = groups[i] >> 8; bytes[i * 2 + 1] = groups[i] & 0xff;
+                    if (groups[i] == 0 && (i == 0 || groups[i - 1] != 0)) { //找到最长的连续0，超过1组时压缩成::
+                        var len = 0;
+                        while (i + len < 8 && groups[i + len] == 0) len++;
+                        if (len > zeroLen && len > 1) { zeroIdx = i; zeroLen = len }
+                    }
+                }
+                for (var i = 15; i >= 0; i--) nibbles.push((bytes[i] & 0xf).toString(16), (bytes[i] >> 4).toString(16));
+                var hex = function (arr) {
+                    var rtv = [];
+                    for (var i = 0; i < arr.length; i++) rtv.push(arr[i].toString(16));
+                    return rtv.join(":");
+                };
+                return {
+                    v6: true, bytes: bytes
+                    , value: zeroIdx == -1 ? hex(groups)
+                        : hex(groups.slice(0, zeroIdx)) + "::" + hex(groups.slice(zeroIdx + zeroLen))
+                    , arpa: nibbles.join(".") + ".ip6.arpa"
+                };
+            }
+            //证书中的一个使用者备用名称：IP地址用iPAddress(0x87)，其他用dNSName(0x82)
+            , AltNameASN1: function (name) {
+                var ip = X509.IPParse(name);
+                return ip ? ASN1.V(0x87, ip.bytes) : ASN1.V(0x82, Str2Bytes(name));
+            }
+            //拆分证书链pem文本，按顺序返回每个证书的pem，第一个为叶子证书
+            , CertPEMList: function (pem) {
+                return (pem || "").match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+            }
+            //证书链的根证书名称：链中最上层证书的颁发者CN，用于区分CA提供的多条证书链
+            , ChainRootName: function (pem) {
+                var pems = X509.CertPEMList(pem);
+                if (!pems.length) return "";
+                var issuer = X509.CertParse(pems[pems.length - 1]).issuer;
+                return issuer.CN || issuer.O || issuer.text;
+            }
+            //二进制数据编码成PEM文本，label如 CERTIFICATE、PRIVATE KEY
+            , PEMEncode: function (bytes, label) {
+                var str = Bytes2Base64(bytes).replace(/(.{64})/g, "$1\n").trim();
+                return '-----BEGIN ' + label + '-----\n' + str + '\n-----END ' + label + '-----';
+            }
+            //识别DER二进制的类型，转成对应标签的PEM：证书、CSR、PKCS#7、PKCS#8/PKCS#1/SEC1私钥、公钥
+            , DER2PEM: function (bytes) {
+                var sub = new ASN1().parse(bytes).sub, label = "";
+                var tags = sub.map(function (o) { return o.tag }).join(",");
+                if (tags == "48,48,3") {
+                    label = sub[0].sub.length >= 6 ? "CERTIFICATE" : "CERTIFICATE REQUEST";
+                } else if (tags == "6,160" && sub[0].oid == "1.2.840.113549.1.7.2") {
+                    label = "PKCS7";
+                } else if (/^2,48,4\b/.test(tags)) {
+                    label = "PRIVATE KEY";
+                } else if (tags == "48,3") {
+                    label = "PUBLIC KEY";
+                } else if (tags == "48,4") {
+                    label = "ENCRYPTED PRIVATE KEY";
+                } else if (tags == "2,2,2,2,2,2,2,2,2") {
+                    label = "RSA PRIVATE KEY";
+                } else if (tags == "2,2") {
+                    label = "RSA PUBLIC KEY";
+                } else if (/^2,4,/.test(tags) && sub[0].bytes[0] == 1) {
+                    label = "EC PRIVATE KEY";
+                } else {
+                    throw new Error(Lang("无法识别的DER文件，只支持证书和密钥", "Unrecognized DER file, only certificates and keys are supported"));
+                }
+                return X509.PEMEncode(bytes, label);
+            }
+            //解析出来的密钥转换成指定格式 format：pkcs8 私钥、pkcs1 RSA私钥、sec1 ECC私钥、public 公钥(SPKI)、pkcs1public RSA公钥
+            //  returnType：1 bytes，other pem
+            , KeyConvert: function (info, format, returnType) {
+                var S = ASN1.S, V = ASN1.V, bytes, label;
+                var isPub = !info.param.d;
+                if (isPub && format != "public" && format != "pkcs1public")
+                    throw new Error(Lang("公钥无法导出成私钥格式", "A public key cannot be exported as a private key"));
+                if (format == "pkcs8") {
+                    bytes = X509.KeyExport(info, false, 1); label = "PRIVATE KEY";
+                } else if (format == "public") {
+                    bytes = X509.KeyExport(info, true, 1); label = "PUBLIC KEY";
+                } else if (format == "pkcs1" || format == "pkcs1public") {
+                    if (info.type != "RSA") throw new Error(Lang("PKCS#1格式只支持RSA密钥", "PKCS#1 only supports RSA keys"));
+                    var isPriv = format == "pkcs1";
+                    bytes = X509.KeyExport(info, !isPriv, 2).sub[isPriv ? 2 : 1].bytes; //取出PKCS#8中封装的参数
+                    label = isPriv ? "RSA PRIVATE KEY" : "RSA PUBLIC KEY";
+                } else if (format == "sec1") {
+                    if (info.type != "ECC") throw new Error(Lang("SEC1格式只支持ECC密钥", "SEC1 only supports ECC keys"));
+                    var p = info.param, pubB = new Uint8Array(1 + p.x.length * 2);
+                    pubB[0] = 0x04; pubB.set(p.x, 1); pubB.set(p.y, 1 + p.x.length);
+                    bytes = S(0x30, V(0x02, [1]), V(0x04, p.d)
+                        , S(0xA0, V(0x06, ASN1.OID2Bytes(ASN1.OID[info.type2])))
+                        , S(0xA1, V(0x03, pubB))).toBytes();
+                    label = "EC PRIVATE KEY";
+                } else throw new Error("KeyConvert: " + format);
+                return returnType == 1 ? bytes : X509.PEMEncode(bytes, label);
+            }
+            //证书链打包成PKCS#7(.p7b)，为只包含证书的SignedData rfc2315 9.1；returnType：1 bytes，other pem
+            , CreatePKCS7: function (pem, returnType) {
+                var S = ASN1.S, V = ASN1.V;
+                var pems = X509.CertPEMList(pem), len = 0, n = 0;
+                if (!pems.length) throw new Error(Lang("未发现证书", "Certificate not found"));
+                var certs = pems.map(function (o) { var b = ASN1.PEM2Bytes(o); len += b.length; return b });
+                var certsB = new Uint8Array(len); //证书原样放入，不重新编码
+                for (var i = 0; i < certs.length; i++) { certsB.set(certs[i], n); n += certs[i].length; }
+                var bytes = S(0x30
+                    , V(0x06, ASN1.OID2Bytes("1.2.840.113549.1.7.2")) //signedData
+                    , S(0xA0, S(0x30
+                        , V(0x02, [1])
+                        , S(0x31) //digestAlgorithms
+                        , S(0x30, V(0x06, ASN1.OID2Bytes("1.2.840.113549.1.7.1")))
+                        , V(0xA0, certsB) //certificates [0] IMPLICIT
+                        , S(0x31) //signerInfos
+                    ))
+                ).toBytes();
+                return returnType == 1 ? bytes : X509.PEMEncode(bytes, "PKCS7");
+            }
+            //拆分证书链并按签发关系排序，返回 {leaf, intermediates:[], root, others:[], fullchain}
+            //  fullchain为证书+中间证书，不包含根证书；others为和此证书链无关的证书
+            , ChainSplit: function (pem) {
+                var list = X509.CertPEMList(pem).map(function (o) {
+                    var info = X509.CertParse(o);
+                    return { pem: o, subject: info.subject.text, issuer: info.issuer.text };
+                });
+                if (!list.length) throw new Error(Lang("未发现证书", "Certificate not found"));
+                var isIssuerOf = function (a, b) { return a != b && a.subject == b.issuer };
+                //证书：不是其他任何证书的颁发者，没有找到时使用第一个
+                var leaf = list.filter(function (a) {
+                    return a.subject != a.issuer && !list.some(function (b) { return isIssuerOf(a, b) });
+                })[0] || list[0];
+                var chain = [leaf], used = [leaf], cur = leaf;
+                while (cur.subject != cur.issuer) {
+                    var next = list.filter(function (a) { return used.indexOf(a) == -1 && isIssuerOf(a, cur) })[0];
+                    if (!next) break;
+                    chain.push(next); used.push(next); cur = next;
+                }
+                var root = chain.length > 1 && cur.subject == cur.issuer ? chain.pop() : null;
+                var get = function (a) { return a.pem };
+                return {
+                    leaf: leaf.pem
+                    , intermediates: chain.slice(1).map(get)
+                    , root: root ? root.pem : ""
+                    , others: list.filter(function (a) { return used.indexOf(a) == -1 }).map(get)
+                    , fullchain: chain.map(get).join("\n")
+                };
+            }
+
+
             //创建证书请求CSR，提供私钥用于CSR签名
-            , CreateCSR: function (keyInfo, commonName, domains, True, False) {
+            //extensions可选：{mustStaple:OCSP Must-Staple, keyUsage:请求密钥用途, extKeyUsage:["serverAuth","clientAuth"]}
+            , CreateCSR: function (keyInfo, commonName, domains, True, False, extensions) {
                 //CSR格式：rfc2986，太复杂了，直接拿openssl生成csr用ASN1.ParsePEM来观看格式
                 var S = ASN1.S, V = ASN1.V; //ASN1快捷创建方式
 
@@ -1981,56 +3800,431 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
                 //封装域名列表扩展属性
                 var altNameA = S(0x30);
                 for (var i = 0; i < domains.length; i++)
-                    altNameA.push(V(0x82, Str2Bytes(domains[i])));
+                    altNameA.push(X509.AltNameASN1(domains[i]));
+                var extsA = S(0x30, S(0x30
+                    , V(0x06, ASN1.OID2Bytes("2.5.29.17"))
+                    , V(0x04, altNameA.toBytes())
+                ));
+                try {
+                    var exts = X509.CSRExtensionsASN1(keyInfo, extensions || {});
+                } catch (e) { return False(e.message) }
+                for (var i = 0; i < exts.length; i++) extsA.push(exts[i]);
 
                 //组装CSR主体
                 var bodyA = S(0x30
                     , V(0x02, [0]) //版本号 固定值0
-                    , S(0x30, S(0x31, S(0x30 //只提供一个属性：CN
+                    , S(0x30, commonName ? S(0x31, S(0x30 //只提供一个属性：CN，全是IP地址时不提供
                         , V(0x06, ASN1.OID2Bytes("2.5.4.3"))
                         , V(0x0C, Str2Bytes(commonName))
-                    )))
+                    )) : null)
                     , pubA //公钥
-                    , S(0xA0, S(0x30 //扩展属性，域名列表
+                    , S(0xA0, S(0x30 //扩展属性，域名列表和可选的其他扩展
                         , V(0x06, ASN1.OID2Bytes("1.2.840.113549.1.9.14"))
-                        , S(0x31, S(0x30, S(0x30
-                            , V(0x06, ASN1.OID2Bytes("2.5.29.17"))
-                            , V(0x04, altNameA.toBytes())
-                        )))
+                        , S(0x31, extsA)
                     ))
                 );
 
                 //签名生成CSR rfc2315
-                var bodyBytes = bodyA.toBytes();
+                X509.SignASN1(keyInfo, bodyA, function (csrA) {
+                    var bytes = csrA.toBytes();
+                    var str = Bytes2Base64(bytes).replace(/(.{64})/g, "$1\n").trim();
+                    True('-----BEGIN CERTIFICATE REQUEST-----\n' + str + '\n-----END CERTIFICATE REQUEST-----');
+                }, function (err) {
+                    False("CSR sign:" + err);
+                });
+            }
+            //CSR中除域名外的扩展请求，返回扩展ASN1列表
+            , CSRExtensionsASN1: function (keyInfo, extensions) {
+                var S = ASN1.S, V = ASN1.V, exts = [];
+                if (extensions.keyUsage) { //密钥用途，critical：digitalSignature，RSA另加keyEncipherment rfc5280 4.2.1.3
+                    //BIT STRING的未使用位数需要按DER填写，V(0x03)会固定补0，这里直接写入编码好的字节
+                    var ku = keyInfo.type == "RSA" ? [0x03, 0x02, 0x05, 0xA0] : [0x03, 0x02, 0x07, 0x80];
+                    exts.push(S(0x30, V(0x06, ASN1.OID2Bytes("2.5.29.15")), V(0x01, [0xff]), V(0x04, ku)));
+                }
+                var eku = extensions.extKeyUsage || [];
+                if (eku.length) { //扩展密钥用途 rfc5280 4.2.1.12
+                    var ekuA = S(0x30);
+                    for (var i = 0; i < eku.length; i++) {
+                        var oid = { serverAuth: "1.3.6.1.5.5.7.3.1", clientAuth: "1.3.6.1.5.5.7.3.2" }[eku[i]];
+                        if (!oid) throw new Error(Lang("不支持的扩展密钥用途：", "Unsupported extended key usage: ") + eku[i]);
+                        ekuA.push(V(0x06, ASN1.OID2Bytes(oid)));
+                    }
+                    exts.push(S(0x30, V(0x06, ASN1.OID2Bytes("2.5.29.37")), V(0x04, ekuA.toBytes())));
+                }
+                if (extensions.mustStaple) { //TLS Feature: status_request(5)，即OCSP Must-Staple rfc7633
+                    exts.push(S(0x30, V(0x06, ASN1.OID2Bytes("1.3.6.1.5.5.7.1.24")), V(0x04, S(0x30, V(0x02, [5])).toBytes())));
+                }
+                return exts;
+            }
+            //解析CSR rfc2986，返回 {pem, commonName, domains:SAN中的域名和IP地址（没有时用CN）, publicKey:SubjectPublicKeyInfo DER}
+            , CSRParse: function (pem) {
+                var m = /-----BEGIN (NEW )?CERTIFICATE REQUEST-----[\s\S]+?-----END (NEW )?CERTIFICATE REQUEST-----/.exec(pem || "");
+                if (!m) throw new Error(Lang("未发现CSR（CERTIFICATE REQUEST）", "Certificate request (CSR) not found"));
+                var der = ASN1.PEM2Bytes(m[0]);
+                var info = new ASN1().parse(der).sub[0].sub; //version, subject, subjectPKInfo, [0]attributes
+                var rtv = { pem: X509.PEMEncode(der, "CERTIFICATE REQUEST"), commonName: "", domains: [], publicKey: info[2].toBytes() };
+                var rdns = info[1].sub || [];
+                for (var i = 0; i < rdns.length; i++) {
+                    var attr = rdns[i].sub[0].sub;
+                    if (attr[0].oid == "2.5.4.3") rtv.commonName = Bytes2Str(attr[1].bytes);
+                }
+                //扩展请求 extensionRequest 属性中的 SubjectAltName
+                var attrs = info[3] && info[3].tag == 0xA0 && info[3].sub || [];
+                for (var i = 0; i < attrs.length; i++) {
+                    if (attrs[i].sub[0].oid != "1.2.840.113549.1.9.14") continue;
+                    var exts = attrs[i].sub[1].sub[0].sub;
+                    for (var j = 0; j < exts.length; j++) {
+                        var ext = exts[j].sub;
+                        if (ext[0].oid == "2.5.29.17") rtv.domains = X509.AltNameParse(ext[ext.length - 1].bytes);
+                    }
+                }
+                if (!rtv.domains.length && rtv.commonName) rtv.domains = [rtv.commonName];
+                return rtv;
+            }
+            //解析CSR并验证自签名，返回CSRParse的结果，额外提供公钥的 keyType、keyType2
+            , CSRVerify: function (pem, True, False) {
+                try {
+                    var rtv = X509.CSRParse(pem);
+                } catch (e) {
+                    return False(Lang("解析CSR失败：", "Failed to parse the CSR: ") + e.message);
+                }
+                if (!rtv.domains.length) return False(Lang("CSR中没有域名", "No domain names in the CSR"));
+                X509.SignedVerify(ASN1.PEM2Bytes(rtv.pem), rtv.publicKey).then(function (ok) {
+                    if (!ok) return False(Lang("CSR签名验证失败", "CSR signature verification failed"));
+                    X509.KeyParse(X509.PEMEncode(rtv.publicKey, "PUBLIC KEY"), function (info) {
+                        rtv.keyType = info.type; rtv.keyType2 = info.type2;
+                        True(rtv);
+                    }, False);
+                }).catch(function (e) {
+                    False(Lang("CSR签名验证失败：", "CSR signature verification failed: ") + e.message);
+                });
+            }
+            //签名算法标识，CSR和证书中使用
+            , SignAlgASN1: function (keyInfo) {
+                var S = ASN1.S, V = ASN1.V;
+                return S(0x30 //签名类型
+                    , V(0x06, ASN1.OID2Bytes(ASN1.OID["SHA256_" + keyInfo.type]))
+                    , keyInfo.type == "RSA" ? V(0x05, []) : null //ECC没有第二个参数
+                );
+            }
+            //用私钥对ASN1主体签名，返回 主体+签名类型+签名 封装好的ASN1
+            , SignASN1: function (keyInfo, bodyA, True, False) {
+                var S = ASN1.S, V = ASN1.V;
                 var algorithm = { name: "ECDSA", hash: "SHA-256" };
                 if (keyInfo.type == "RSA") {
                     algorithm = { name: "RSASSA-PKCS1-v1_5" }
                 }
-                crypto.subtle.sign(algorithm, keyInfo.key, bodyBytes).then(function (arr) {
+                crypto.subtle.sign(algorithm, keyInfo.key, bodyA.toBytes()).then(function (arr) {
                     var signBytes = new Uint8Array(arr);
                     if (keyInfo.type == "ECC") {//ECC分两段重新封装一下
                         var s1 = signBytes.subarray(0, keyInfo.param.x.length);
                         var s2 = signBytes.subarray(keyInfo.param.x.length);
                         signBytes = S(0x30, V(0x02, s1), V(0x02, s2)).toBytes();
                     }
-                    var csrA = S(0x30, bodyA
-                        , S(0x30 //签名类型
-                            , V(0x06, ASN1.OID2Bytes(ASN1.OID["SHA256_" + keyInfo.type]))
-                            , keyInfo.type == "RSA" ? V(0x05, []) : null //ECC没有第二个参数
+                    True(S(0x30, bodyA, X509.SignAlgASN1(keyInfo), V(0x03, signBytes)));
+                }).catch(function (e) {
+                    False(e.message);
+                });
+            }
+            //创建tls-alpn-01验证用的自签名证书 rfc8737 3，keyAuthSHA256为Key Authorization的SHA-256摘要
+            , CreateTlsAlpnCert: function (keyInfo, domain, keyAuthSHA256, True, False) {
+                var S = ASN1.S, V = ASN1.V; //ASN1快捷创建方式
+                try {
+                    var pubA = X509.KeyExport(keyInfo, true, 2);
+                } catch (e) { return False(e.message) }
+
+                var serial = crypto.getRandomValues(new Uint8Array(16));
+                serial[0] &= 0x7f; //正整数
+                var utcTime = function (time) { //YYMMDDHHMMSSZ
+                    return V(0x17, Str2Bytes(new Date(time).toISOString().replace(/^\d\d|[-:T]|\.\d+/g, "")));
+                };
+                //CN最长64字符，超出时或IP地址不提供，验证只看SAN
+                var nameA = S(0x30, domain.length > 64 || X509.IPParse(domain) ? null : S(0x31, S(0x30
+                    , V(0x06, ASN1.OID2Bytes("2.5.4.3"))
+                    , V(0x0C, Str2Bytes(domain))
+                )));
+
+                var bodyA = S(0x30
+                    , S(0xA0, V(0x02, [2])) //版本号 v3
+                    , V(0x02, serial)
+                    , X509.SignAlgASN1(keyInfo)
+                    , nameA //颁发者，自签名和使用者相同
+                    , S(0x30, utcTime(Date.now() - 24 * 60 * 60 * 1000), utcTime(Date.now() + 7 * 24 * 60 * 60 * 1000))
+                    , nameA
+                    , pubA
+                    , S(0xA3, S(0x30
+                        , S(0x30 //只包含要验证的一个域名或IP地址
+                            , V(0x06, ASN1.OID2Bytes("2.5.29.17"))
+                            , V(0x04, S(0x30, X509.AltNameASN1(domain)).toBytes())
+                        )
+                        , S(0x30 //acmeIdentifier，必须为critical
+                            , V(0x06, ASN1.OID2Bytes("1.3.6.1.5.5.7.1.31"))
+                            , V(0x01, [0xff])
+                            , V(0x04, V(0x04, keyAuthSHA256).toBytes())
                         )
-                        , V(0x03, signBytes)
+                    ))
+                );
+
+                X509.SignASN1(keyInfo, bodyA, function (certA) {
+                    var str = Bytes2Base64(certA.toBytes()).replace(/(.{64})/g, "$1\n").trim();
+                    True('-----BEGIN CERTIFICATE-----\n' + str + '\n-----END CERTIFICATE-----');
+                }, function (err) {
+                    False("Cert sign:" + err);
+                });
+            }
+            //创建PKCS#12(.pfx)文件 rfc7292，包含私钥、证书和证书链，通过回调返回Uint8Array
+            //  keyInfo为KeyParse解析的私钥，set.friendlyName为友好名称，set.legacy=true时使用3DES+SHA-1兼容旧版Windows，
+            //  默认使用PBES2(PBKDF2-SHA256 + AES-256-CBC)加密、HMAC-SHA256校验
+            , CreatePKCS12: function (keyInfo, certPem, password, set, True, False) {
+                var S = ASN1.S, V = ASN1.V; //ASN1快捷创建方式
+                var pems = X509.CertPEMList(certPem);
+                if (!pems.length) return False(Lang("未发现证书", "Certificate not found"));
+                if (!password) return False(Lang("请设置密码", "Please set a password"));
+                var legacy = !!set.legacy, macHash = legacy ? "SHA-1" : "SHA-256";
+                var encryptA = legacy ? PKCS12.PBE3DESEncryptA : PKCS12.PBES2EncryptA;
+                var oid = function (str) { return V(0x06, ASN1.OID2Bytes(str)) };
+                var dataInfo = function (bytes) { //ContentInfo data
+                    return S(0x30, oid("1.2.840.113549.1.7.1"), S(0xA0, V(0x04, bytes)));
+                };
+
+                (async function () {
+                    var certs = pems.map(function (pem) { return ASN1.PEM2Bytes(pem) });
+                    //证书和私钥通过localKeyId关联，取证书的SHA-1摘要
+                    var keyId = new Uint8Array(await crypto.subtle.digest({ name: "SHA-1" }, certs[0]));
+                    var attrsA = S(0x31
+                        , set.friendlyName ? S(0x30, oid("1.2.840.113549.1.9.20"), S(0x31, V(0x1E, PKCS12.BMPBytes(set.friendlyName)))) : null
+                        , S(0x30, oid("1.2.840.113549.1.9.21"), S(0x31, V(0x04, keyId)))
                     );
-                    var bytes = csrA.toBytes();
-                    var str = Bytes2Base64(bytes).replace(/(.{64})/g, "$1\n").trim();
-                    True('-----BEGIN CERTIFICATE REQUEST-----\n' + str + '\n-----END CERTIFICATE REQUEST-----');
-                }).catch(function (e) {
-                    False("CSR sign:" + e.message);
+
+                    //证书放在加密的SafeContents中
+                    var certBagsA = S(0x30);
+                    for (var i = 0; i < certs.length; i++) {
+                        certBagsA.push(S(0x30
+                            , oid("1.2.840.113549.1.12.10.1.3") //certBag
+                            , S(0xA0, S(0x30, oid("1.2.840.113549.1.9.22.1"), S(0xA0, V(0x04, certs[i]))))
+                            , i == 0 ? attrsA : null
+                        ));
+                    }
+                    var certEnc = await encryptA(password, certBagsA.toBytes());
+                    var certsInfoA = S(0x30
+                        , oid("1.2.840.113549.1.7.6") //encryptedData
+                        , S(0xA0, S(0x30
+                            , V(0x02, [0])
+                            , S(0x30, oid("1.2.840.113549.1.7.1"), certEnc[0], V(0x80, certEnc[1]))
+                        ))
+                    );
+
+                    //私钥为pkcs8ShroudedKeyBag，本身已加密，SafeContents不再加密
+                    var keyEnc = await encryptA(password, X509.KeyExport(keyInfo, false, 1));
+                    var keyBagsA = S(0x30, S(0x30
+                        , oid("1.2.840.113549.1.12.10.1.2")
+                        , S(0xA0, S(0x30, keyEnc[0], V(0x04, keyEnc[1])))
+                        , attrsA
+                    ));
+
+                    var authSafe = S(0x30, certsInfoA, dataInfo(keyBagsA.toBytes())).toBytes();
+
+                    //完整性校验MAC，密钥由PKCS#12 KDF派生
+                    var macSalt = crypto.getRandomValues(new Uint8Array(legacy ? 8 : 16));
+                    var macKey = await PKCS12.KDF(macHash, PKCS12.BMPBytes(password, true), macSalt, 3, PKCS12.Iterations, legacy ? 20 : 32);
+                    var hmacKey = await crypto.subtle.importKey("raw", macKey, { name: "HMAC", hash: macHash }, false, ["sign"]);
+                    var mac = new Uint8Array(await crypto.subtle.sign("HMAC", hmacKey, authSafe));
+
+                    var pfxA = S(0x30
+                        , V(0x02, [3])
+                        , dataInfo(authSafe)
+                        , S(0x30
+                            , S(0x30, S(0x30, oid(legacy ? "1.3.14.3.2.26" : "2.16.840.1.101.3.4.2.1"), V(0x05, [])), V(0x04, mac))
+                            , V(0x04, macSalt)
+                            , V(0x02, PKCS12.IntBytes(PKCS12.Iterations))
+                        )
+                    );
+                    return pfxA.toBytes();
+                })().then(True).catch(function (e) {
+                    False(Lang("生成PKCS#12失败：", "Failed to create PKCS#12: ") + e.message);
                 });
             }
         };
 
 
 
+        //PKCS#12 rfc7292 使用的加密工具，X509.CreatePKCS12调用
+        var PKCS12 = {
+            Iterations: 2048 //和openssl默认值一致
+            , KeyIterations: 600000 //单独加密私钥时使用，PBKDF2-HMAC-SHA256 按 OWASP 建议值
+            , MaxIterations: 10000000 //解密私钥时允许的最大迭代次数
+            , Concat: function () {
+                var len = 0, n = 0;
+                for (var i = 0; i < arguments.length; i++) len += arguments[i].length;
+                var bytes = new Uint8Array(len);
+                for (var i = 0; i < arguments.length; i++) { bytes.set(arguments[i], n); n += arguments[i].length; }
+                return bytes;
+            }
+            , IntBytes: function (num) { //INTEGER内容，大端序
+                var arr = [];
+                do { arr.unshift(num & 0xff); num = Math.floor(num / 256) } while (num > 0);
+                return arr;
+            }
+            , BMPBytes: function (str, end) { //BMPString，UTF-16BE，end=true时带结尾的两个0（密码）
+                var arr = [];
+                for (var i = 0; i < str.length; i++) arr.push(str.charCodeAt(i) >> 8, str.charCodeAt(i) & 0xff);
+                if (end) arr.push(0, 0);
+                return new Uint8Array(arr);
+            }
+            //PKCS#12密钥派生 rfc7292 附录B.2，id：1加密密钥 2初始向量IV 3MAC密钥
+            , KDF: async function (hash, password, salt, id, iterations, size) {
+                var u = hash == "SHA-1" ? 20 : 32, v = 64;
+                var fill = function (bytes) {
+                    var arr = new Uint8Array(bytes.length ? Math.ceil(bytes.length / v) * v : 0);
+                    for (var i = 0; i < arr.length; i++) arr[i] = bytes[i % bytes.length];
+                    return arr;
+                };
+                var D = new Uint8Array(v).fill(id), I = PKCS12.Concat(fill(salt), fill(password));
+                var out = new Uint8Array(Math.ceil(size / u) * u);
+                for (var n = 0; n * u < size; n++) {
+                    var A = PKCS12.Concat(D, I);
+                    for (var r = 0; r < iterations; r++) A = new Uint8Array(await crypto.subtle.digest({ name: hash }, A));
+                    out.set(A, n * u);
+                    //I的每个v字节块 Ij = (Ij + B + 1) mod 2^(v*8)，B为A重复到v字节
+                    for (var j = 0; j < I.length; j += v) {
+                        var carry = 1;
+                        for (var k = v - 1; k >= 0; k--) {
+                            carry += I[j + k] + A[k % u];
+                            I[j + k] = carry & 0xff; carry >>= 8;
+                        }
+                    }
+                }
+                return out.slice(0, size);
+            }
+            //PBES2加密 rfc8018：PBKDF2-HMAC-SHA256 + AES-256-CBC，返回[算法标识ASN1, 密文]
+            , PBES2EncryptA: async function (password, data, iterations) {
+                var S = ASN1.S, V = ASN1.V;
+                iterations = iterations || PKCS12.Iterations;
+                var salt = crypto.getRandomValues(new Uint8Array(16)), iv = crypto.getRandomValues(new Uint8Array(16));
+                var pwKey = await crypto.subtle.importKey("raw", Str2Bytes(password), "PBKDF2", false, ["deriveKey"]);
+                var aesKey = await crypto.subtle.deriveKey(
+                    { name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256" }
+                    , pwKey, { name: "AES-CBC", length: 256 }, false, ["encrypt"]);
+                var encrypted = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-CBC", iv: iv }, aesKey, data));
+                var algA = S(0x30
+                    , V(0x06, ASN1.OID2Bytes("1.2.840.113549.1.5.13")) //PBES2
+                    , S(0x30
+                        , S(0x30
+                            , V(0x06, ASN1.OID2Bytes("1.2.840.113549.1.5.12")) //PBKDF2
+                            , S(0x30
+                                , V(0x04, salt)
+                                , V(0x02, PKCS12.IntBytes(iterations))
+                                , S(0x30, V(0x06, ASN1.OID2Bytes("1.2.840.113549.2.9")), V(0x05, [])) //hmacWithSHA256
+                            )
+                        )
+                        , S(0x30, V(0x06, ASN1.OID2Bytes("2.16.840.1.101.3.4.1.42")), V(0x04, iv)) //aes256-CBC
+                    )
+                );
+                return [algA, encrypted];
+            }
+            //旧版加密 pbeWithSHAAnd3-KeyTripleDES-CBC，兼容不支持AES的旧版Windows
+            , PBE3DESEncryptA: async function (password, data) {
+                var S = ASN1.S, V = ASN1.V;
+                var salt = crypto.getRandomValues(new Uint8Array(8)), pw = PKCS12.BMPBytes(password, true);
+                var key = await PKCS12.KDF("SHA-1", pw, salt, 1, PKCS12.Iterations, 24);
+                var iv = await PKCS12.KDF("SHA-1", pw, salt, 2, PKCS12.Iterations, 8);
+                var algA = S(0x30
+                    , V(0x06, ASN1.OID2Bytes("1.2.840.113549.1.12.1.3"))
+                    , S(0x30, V(0x04, salt), V(0x02, PKCS12.IntBytes(PKCS12.Iterations)))
+                );
+                return [algA, PKCS12.DES3CBCEncrypt(key, iv, data)];
+            }
+            //3DES-EDE-CBC加密，PKCS#7填充；浏览器crypto不支持DES，只能自己实现
+            , DES3CBCEncrypt: function (key, iv, data) {
+                var T = DESTables;
+                var toBits = function (bytes, offset) {
+                    var bits = [];
+                    for (var i = 0; i < 64; i++) bits.push(bytes[offset + (i >> 3)] >> (7 - (i & 7)) & 1);
+                    return bits;
+                };
+                var perm = function (bits, table) {
+                    var out = [];
+                    for (var i = 0; i < table.length; i++) out.push(bits[table[i] - 1]);
+                    return out;
+                };
+                var subKeys = function (offset) {
+                    var cd = perm(toBits(key, offset), T.PC1), keys = [];
+                    for (var r = 0; r < 16; r++) {
+                        for (var s = 0; s < T.SHIFT[r]; s++) {
+                            cd = cd.slice(1, 28).concat(cd[0], cd.slice(29, 56), cd[28]);
+                        }
+                        keys.push(perm(cd, T.PC2));
+                    }
+                    return keys;
+                };
+                var des = function (bits, keys, decrypt) {
+                    bits = perm(bits, T.IP);
+                    var L = bits.slice(0, 32), R = bits.slice(32);
+                    for (var r = 0; r < 16; r++) {
+                        var k = keys[decrypt ? 15 - r : r], e = perm(R, T.E), f = [];
+                        for (var i = 0; i < 8; i++) {
+                            var b = [];
+                            for (var j = 0; j < 6; j++) b.push(e[i * 6 + j] ^ k[i * 6 + j]);
+                            var val = T.S[i][(b[0] << 1 | b[5]) * 16 + (b[1] << 3 | b[2] << 2 | b[3] << 1 | b[4])];
+                            f.push(val >> 3 & 1, val >> 2 & 1, val >> 1 & 1, val & 1);
+                        }
+                        f = perm(f, T.P);
+                        var next = [];
+                        for (var i = 0; i < 32; i++) next.push(L[i] ^ f[i]);
+                        L = R; R = next;
+                    }
+                    return perm(R.concat(L), T.FP);
+                };
+                var k1 = subKeys(0), k2 = subKeys(8), k3 = subKeys(16);
+
+                var pad = 8 - data.length % 8, input = new Uint8Array(data.length + pad);
+                input.set(data); input.fill(pad, data.length);
+                var out = new Uint8Array(input.length), prev = toBits(iv, 0);
+                for (var n = 0; n < input.length; n += 8) {
+                    var block = toBits(input, n);
+                    for (var i = 0; i < 64; i++) block[i] ^= prev[i];
+                    prev = des(des(des(block, k1), k2, true), k3);
+                    for (var i = 0; i < 64; i++) out[n + (i >> 3)] |= prev[i] << (7 - (i & 7));
+                }
+                return out;
+            }
+        };
+        //DES置换表和S盒 FIPS 46-3
+        var DESTables = {
+            IP: [58, 50, 42, 34, 26, 18, 10, 2, 60, 52, 44, 36, 28, 20, 12, 4, 62, 54, 46, 38, 30, 22, 14, 6, 64, 56, 48, 40, 32, 24, 16, 8
+                , 57, 49, 41, 33, 25, 17, 9, 1, 59, 51, 43, 35, 27, 19, 11, 3, 61, 53, 45, 37, 29, 21, 13, 5, 63, 55, 47, 39, 31, 23, 15, 7]
+            , FP: [40, 8, 48, 16, 56, 24, 64, 32, 39, 7, 47, 15, 55, 23, 63, 31, 38, 6, 46, 14, 54, 22, 62, 30, 37, 5, 45, 13, 53, 21, 61, 29
+                , 36, 4, 44, 12, 52, 20, 60, 28, 35, 3, 43, 11, 51, 19, 59, 27, 34, 2, 42, 10, 50, 18, 58, 26, 33, 1, 41, 9, 49, 17, 57, 25]
+            , E: [32, 1, 2, 3, 4, 5, 4, 5, 6, 7, 8, 9, 8, 9, 10, 11, 12, 13, 12, 13, 14, 15, 16, 17
+                , 16, 17, 18, 19, 20, 21, 20, 21, 22, 23, 24, 25, 24, 25, 26, 27, 28, 29, 28, 29, 30, 31, 32, 1]
+            , P: [16, 7, 20, 21, 29, 12, 28, 17, 1, 15, 23, 26, 5, 18, 31, 10, 2, 8, 24, 14, 32, 27, 3, 9, 19, 13, 30, 6, 22, 11, 4, 25]
+            , PC1: [57, 49, 41, 33, 25, 17, 9, 1, 58, 50, 42, 34, 26, 18, 10, 2, 59, 51, 43, 35, 27, 19, 11, 3, 60, 52, 44, 36
+                , 63, 55, 47, 39, 31, 23, 15, 7, 62, 54, 46, 38, 30, 22, 14, 6, 61, 53, 45, 37, 29, 21, 13, 5, 28, 20, 12, 4]
+            , PC2: [14, 17, 11, 24, 1, 5, 3, 28, 15, 6, 21, 10, 23, 19, 12, 4, 26, 8, 16, 7, 27, 20, 13, 2
+                , 41, 52, 31, 37, 47, 55, 30, 40, 51, 45, 33, 48, 44, 49, 39, 56, 34, 53, 46, 42, 50, 36, 29, 32]
+            , SHIFT: [1, 1, 2, 2, 2, 2, 2, 2, 1, 2, 2, 2, 2, 2, 2, 1]
+            , S: [
+                [14, 4, 13, 1, 2, 15, 11, 8, 3, 10, 6, 12, 5, 9, 0, 7, 0, 15, 7, 4, 14, 2, 13, 1, 10, 6, 12, 11, 9, 5, 3, 8
+                    , 4, 1, 14, 8, 13, 6, 2, 11, 15, 12, 9, 7, 3, 10, 5, 0, 15, 12, 8, 2, 4, 9, 1, 7, 5, 11, 3, 14, 10, 0, 6, 13]
+                , [15, 1, 8, 14, 6, 11, 3, 4, 9, 7, 2, 13, 12, 0, 5, 10, 3, 13, 4, 7, 15, 2, 8, 14, 12, 0, 1, 10, 6, 9, 11, 5
+                    , 0, 14, 7, 11, 10, 4, 13, 1, 5, 8, 12, 6, 9, 3, 2, 15, 13, 8, 10, 1, 3, 15, 4, 2, 11, 6, 7, 12, 0, 5, 14, 9]
+                , [10, 0, 9, 14, 6, 3, 15, 5, 1, 13, 12, 7, 11, 4, 2, 8, 13, 7, 0, 9, 3, 4, 6, 10, 2, 8, 5, 14, 12, 11, 15, 1
+                    , 13, 6, 4, 9, 8, 15, 3, 0, 11, 1, 2, 12, 5, 10, 14, 7, 1, 10, 13, 0, 6, 9, 8, 7, 4, 15, 14, 3, 11, 5, 2, 12]
+                , [7, 13, 14, 3, 0, 6, 9, 10, 1, 2, 8, 5, 11, 12, 4, 15, 13, 8, 11, 5, 6, 15, 0, 3, 4, 7, 2, 12, 1, 10, 14, 9
+                    , 10, 6, 9, 0, 12, 11, 7, 13, 15, 1, 3, 14, 5, 2, 8, 4, 3, 15, 0, 6, 10, 1, 13, 8, 9, 4, 5, 11, 12, 7, 2, 14]
+                , [2, 12, 4, 1, 7, 10, 11, 6, 8, 5, 3, 15, 13, 0, 14, 9, 14, 11, 2, 12, 4, 7, 13, 1, 5, 0, 15, 10, 3, 9, 8, 6
+                    , 4, 2, 1, 11, 10, 13, 7, 8, 15, 9, 12, 5, 6, 3, 0, 14, 11, 8, 12, 7, 1, 14, 2, 13, 6, 15, 0, 9, 10, 4, 5, 3]
+                , [12, 1, 10, 15, 9, 2, 6, 8, 0, 13, 3, 4, 14, 7, 5, 11, 10, 15, 4, 2, 7, 12, 9, 5, 6, 1, 13, 14, 0, 11, 3, 8
+                    , 9, 14, 15, 5, 2, 8, 12, 3, 7, 0, 4, 10, 1, 13, 11, 6, 4, 3, 2, 12, 9, 5, 15, 10, 11, 14, 1, 7, 6, 0, 8, 13]
+                , [4, 11, 2, 14, 15, 0, 8, 13, 3, 12, 9, 7, 5, 10, 6, 1, 13, 0, 11, 7, 4, 9, 1, 10, 14, 3, 5, 12, 2, 15, 8, 6
+                    , 1, 4, 11, 13, 12, 3, 7, 14, 10, 15, 6, 8, 0, 5, 9, 2, 6, 11, 13, 8, 1, 4, 10, 7, 9, 5, 0, 15, 14, 2, 3, 12]
+                , [13, 2, 8, 4, 6, 15, 11, 1, 10, 9, 3, 14, 5, 0, 12, 7, 1, 15, 13, 8, 10, 3, 7, 4, 12, 5, 6, 11, 0, 14, 9, 2
+                    , 7, 11, 4, 1, 9, 12, 14, 2, 0, 6, 10, 13, 15, 3, 5, 8, 2, 1, 14, 7, 4, 10, 8, 13, 15, 12, 9, 0, 3, 5, 6, 11]
+            ]
+        };
+
+
+
         //简单实现ASN.1解析和封包
         window.ASN1 = function (tag, bytes) {
             this.sub = [];
@@ -2063,6 +4257,29 @@ value="${i0}_${i}" challidx="${chall.challIdx}">${chall.name}
             , "1.3.132.0.34": "P-384" //secp384r1
             , "1.3.132.0.35": "P-521" //secp521r1
         }; for (var k in ASN1.OID) ASN1.OID[ASN1.OID[k]] = k;
+        //CertInspect显示用的常见OID名称
+        var CertOIDNames = {
+            "1.2.840.113549.1.1.1": "RSA"
+            , "1.2.840.10045.2.1": "ECC"
+            , "1.3.101.112": "Ed25519"
+            , "1.2.840.10045.3.1.7": "P-256"
+            , "1.3.132.0.34": "P-384"
+            , "1.3.132.0.35": "P-521"
+            , "1.2.840.113549.1.1.5": "sha1WithRSAEncryption"
+            , "1.2.840.113549.1.1.10": "RSASSA-PSS"
+            , "1.2.840.113549.1.1.11": "sha256WithRSAEncryption"
+            , "1.2.840.113549.1.1.12": "sha384WithRSAEncryption"
+            , "1.2.840.113549.1.1.13": "sha512WithRSAEncryption"
+            , "1.2.840.10045.4.3.2": "ecdsa-with-SHA256"
+            , "1.2.840.10045.4.3.3": "ecdsa-with-SHA384"
+            , "1.2.840.10045.4.3.4": "ecdsa-with-SHA512"
+            , "1.3.6.1.5.5.7.3.1": "serverAuth"
+            , "1.3.6.1.5.5.7.3.2": "clientAuth"
+            , "1.3.6.1.5.5.7.3.3": "codeSigning"
+            , "1.3.6.1.5.5.7.3.4": "emailProtection"
+            , "1.3.6.1.5.5.7.3.8": "timeStamping"
+            , "1.3.6.1.5.5.7.3.9": "OCSPSigning"
+        };
         ASN1.OID2Bytes = function (oid) {
             var arr = oid.split('.'), byts = [];
             var v0 = +arr[0], v1 = +arr[1];
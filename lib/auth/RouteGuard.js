@@ -9,7 +9,7 @@ export class RouteGuard {
   /**
    * List of routes that require authentication
    */
-  static PROTECTED_ROUTES = ['/manage', '/settings'];
+  static PROTECTED_ROUTES = ['/manage', '/settings', '/account'];
 
   /**
    * Check if a route requires authentication
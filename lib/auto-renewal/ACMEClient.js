@@ -8,10 +8,14 @@
  * 
  * HOW IT WORKS:
  * - Reuses existing ACME account and certificate private key
+ *   (certificates issued from an uploaded CSR resubmit the stored CSR, the key
+ *   is held externally and never enters the browser)
  * - Creates new ACME order for the same domains
  * - Let's Encrypt automatically reuses valid authorizations (if within 30 days)
  * - If authorizations are cached: completes renewal automatically
  * - If authorizations expired: returns manual verification required
+ * - CAs offering newAuthz let users re-validate domains ahead of time from the
+ *   issuance page ("仅验证域名"), refreshing the cache without issuing a certificate
  * 
  * KEY INSIGHT:
  * Let's Encrypt caches domain authorizations for 30 days. If you renew within
@@ -25,6 +29,32 @@
  * - window.ACME object must be available (loaded from core.js)
  */
 
+import { DEFAULT_ACME_URL, isStagingURL, findCAPreset } from './CAPresets.js';
+import { PROBLEM_CATEGORY, getProblemName, toProblem, getProblemCategory, formatProblemGuide } from './ACMEProblems.js';
+import { validateCertificate, isHealthBroken } from './CertificateValidator.js';
+
+/**
+ * Wrap an error reported by window.ACME, keeping the transport details core.js
+ * passes as the second callback argument (HTTP status, ACME problem document, Retry-After)
+ * @param {string} message - Error message
+ * @param {Object} info - Error details from core.js (optional)
+ * @returns {Error} Error with status, type, detail, identifier, subproblems, problem, retryAfter (milliseconds) and timeout
+ */
+function acmeError(message, info) {
+  const error = new Error(message);
+  if (info) {
+    error.status = info.status;
+    error.type = info.type || '';
+    error.detail = info.detail || '';
+    error.identifier = info.identifier || '';
+    error.subproblems = info.subproblems || [];
+    error.problem = info.problem || null;
+    error.retryAfter = info.retryAfter || 0;
+    error.timeout = !!info.timeout;
+  }
+  return error;
+}
+
 export class ACMEClient {
   constructor() {
     this.isRenewing = false;
@@ -51,7 +81,7 @@ export class ACMEClient {
       console.log(`[ACMEClient] Starting automatic renewal for ${certificate.domains}`);
 
       // Validate prerequisites
-      const capability = this.checkRenewalCapability();
+      const capability = this.checkRenewalCapability(certificate);
       if (!capability.canAutoRenew) {
         throw new Error(capability.message);
       }
@@ -99,7 +129,7 @@ export class ACMEClient {
         const directoryLoaded = await new Promise((resolve, reject) => {
           ACME.Directory(
             () => resolve(true),
-            (err) => reject(new Error(`Failed to load ACME directory: ${err}`))
+            (err, status, info) => reject(acmeError(`Failed to load ACME directory: ${err}`, info))
           );
         });
 
@@ -115,10 +145,21 @@ export class ACMEClient {
           needEAB: !!ACME.DirData.meta?.externalAccountRequired
         };
 
+        // Keep the profile chosen at issuance while the CA still offers it
+        const profiles = ACME.DirData.meta?.profiles || {};
+        if (config.profile && !profiles[config.profile]) {
+          console.warn(`[ACMEClient] Profile "${config.profile}" is no longer offered by the CA, using the default profile`);
+          config.profile = '';
+        }
+
+        if (ACME.StepData.needEAB && !(config.eabKid && config.eabKey)) {
+          throw new Error('This CA requires External Account Binding but no EAB credentials are stored with the certificate. Please renew it once through the web interface.');
+        }
+
         const accountCreated = await new Promise((resolve, reject) => {
           ACME.StepAccount(
             () => resolve(true),
-            (err) => reject(new Error(`ACME account error: ${err}`))
+            (err, info) => reject(acmeError(`ACME account error: ${err}`, info))
           );
         });
 
@@ -128,13 +169,22 @@ export class ACMEClient {
 
         console.log('[ACMEClient] ACME account verified:', ACME.StepData.account.url);
 
+        // Tell ARI capable CAs which certificate this order replaces (RFC 9773 §5)
+        if (ACME.DirData.renewalInfo) {
+          try {
+            config.replaces = X509.CertARIId(certificate.cert);
+          } catch (error) {
+            console.warn('[ACMEClient] Cannot compute ARI certificate ID:', error.message);
+          }
+        }
+
         // Step 4: Create new order
         console.log('[ACMEClient] Step 4: Creating new order...');
         const orderCreated = await new Promise((resolve, reject) => {
           ACME.StepOrder(
             (progress) => console.log(`[ACMEClient] ${progress}`),
             () => resolve(true),
-            (err) => reject(new Error(`Order creation failed: ${err}`))
+            (err, info) => reject(acmeError(`Order creation failed: ${err}`, info))
           );
         });
 
@@ -158,7 +208,7 @@ export class ACMEClient {
             requiresManual: true,
             message: 'Authorization cache expired (>30 days since last validation). Manual domain verification required.',
             authorizationsNeeded: authStatus.pendingDomains,
-            renewalUrl: `/?autoRenew=1&domain=${encodeURIComponent(certificate.domains)}`,
+            renewalUrl: this.getRenewalUrl(certificate),
             hint: 'Please complete domain verification through the web interface, or wait until within 30 days of last validation.'
           };
         }
@@ -171,7 +221,7 @@ export class ACMEClient {
           ACME.StepFinalizeOrder(
             (progress) => console.log(`[ACMEClient] ${progress}`),
             () => resolve(true),
-            (err) => reject(new Error(`Order finalization failed: ${err}`))
+            (err, info) => reject(acmeError(`Order finalization failed: ${err}`, info))
           );
         });
 
@@ -189,7 +239,7 @@ export class ACMEClient {
 
         // Step 8: Store new certificate
         console.log('[ACMEClient] Step 8: Storing new certificate...');
-        this.storeCertificate(certificate, newCertPEM, config.privateKey.pem);
+        await this.storeCertificate(certificate, newCertPEM, config.privateKey ? config.privateKey.pem : '');
 
         console.log('[ACMEClient] ✓✓✓ Automatic renewal completed successfully! ✓✓✓');
 
@@ -200,7 +250,7 @@ export class ACMEClient {
           certificate: {
             domains: certificate.domains,
             cert: newCertPEM,
-            key: config.privateKey.pem,
+            key: config.privateKey ? config.privateKey.pem : '',
             time: Date.now()
           }
         };
@@ -208,16 +258,23 @@ export class ACMEClient {
       } catch (error) {
         console.error('[ACMEClient] Renewal failed:', error);
 
-        // Check if it's an authorization issue
-        if (error.message.includes('authorization') || 
-            error.message.includes('pending') ||
-            error.message.includes('invalid')) {
+        // The ACME problem type tells whether to wait (rate limits, CA outages, timeouts)
+        // or to ask the user to re-validate the domains or change the order
+        const problem = toProblem(error);
+        const category = error.timeout ? PROBLEM_CATEGORY.TEMPORARY : getProblemCategory(problem);
+        if (category) {
+          const temporary = category === PROBLEM_CATEGORY.TEMPORARY;
           return {
             success: false,
-            requiresManual: true,
-            message: 'Authorization verification required. Authorizations may have expired.',
+            requiresManual: !temporary,
+            temporary: temporary,
+            message: formatProblemGuide(problem, this.getCAAIdentity(certificate)) || error.message,
             error: error.message,
-            renewalUrl: `/?autoRenew=1&domain=${encodeURIComponent(certificate.domains)}`
+            errorType: error.type,
+            problem: problem,
+            status: error.status,
+            retryAfter: error.retryAfter || 0,
+            renewalUrl: this.getRenewalUrl(certificate)
           };
         }
 
@@ -240,8 +297,8 @@ export class ACMEClient {
    * Load configuration from localStorage and certificate
    */
   async loadConfiguration(certificate, X509) {
-    // Load ACME account key
-    const accountKeyPEM = localStorage.getItem('q-acmeAccountKey');
+    // Load ACME account key (staging certificates use the staging account key)
+    const accountKeyPEM = this.getAccountKeyPEM(this.getAcmeURL(certificate), certificate.staging);
     if (!accountKeyPEM) {
       throw new Error('ACME account key not found. Please complete initial certificate setup.');
     }
@@ -252,17 +309,19 @@ export class ACMEClient {
       throw new Error('Email not configured. Please complete initial certificate setup.');
     }
 
-    // Load ACME URL (default to Let's Encrypt)
-    const acmeURL = localStorage.getItem('q-acmeURL') || 'https://acme-v02.api.letsencrypt.org/directory';
+    // Load ACME URL of the CA that issued the certificate
+    const acmeURL = this.getAcmeURL(certificate);
 
     // Parse account key
     const accountKey = await new Promise((resolve, reject) => {
       X509.KeyParse(accountKeyPEM, resolve, reject, 1);
     });
 
-    // Parse or reuse certificate private key
-    let privateKey;
-    if (certificate.key) {
+    // Parse or reuse certificate private key, a key held externally resubmits its CSR
+    let privateKey = null;
+    if (certificate.keyExternal && certificate.csr) {
+      console.log('[ACMEClient] Private key is held externally, resubmitting the stored CSR');
+    } else if (certificate.key) {
       privateKey = await new Promise((resolve, reject) => {
         X509.KeyParse(certificate.key, resolve, reject, 1);
       });
@@ -283,14 +342,708 @@ export class ACMEClient {
     return {
       domains: domains,
       privateKey: privateKey,
+      csr: privateKey ? '' : certificate.csr,
+      csrExtensions: certificate.csrExtensions || null, // Must-Staple and key usage requests chosen at issuance
       accountKey: accountKey,
       email: email,
       acmeURL: acmeURL,
-      eabKid: '',
-      eabKey: ''
+      eabKid: certificate.eabKid || '',
+      eabKey: certificate.eabKey || '',
+      profile: certificate.profile || '',
+      preferredChain: certificate.preferredChain || ''
     };
   }
 
+  /**
+   * Get the ACME directory URL a certificate should be handled with
+   * Records without a stored CA were issued by Let's Encrypt, the only CA offered before
+   */
+  getAcmeURL(certificate) {
+    return (certificate && certificate.acmeURL) || localStorage.getItem('q-acmeURL') || DEFAULT_ACME_URL;
+  }
+
+  /**
+   * Check whether an ACME directory URL is a staging environment, either a
+   * built-in staging directory or a custom one certificates were issued from in staging mode
+   */
+  isStagingAcmeURL(acmeURL) {
+    const url = (acmeURL || '').replace(/\/$/, '');
+    const certs = JSON.parse(localStorage.getItem('q-manageDataPairs') || '[]');
+    return isStagingURL(url) || certs.some(cert => cert.staging && this.getAcmeURL(cert).replace(/\/$/, '') === url);
+  }
+
+  /**
+   * localStorage key of the account key used with a CA, staging keeps a separate account key
+   */
+  getAccountKeyStorageKey(acmeURL, staging = false) {
+    return staging || this.isStagingAcmeURL(acmeURL) ? 'q-acmeStagingAccountKey' : 'q-acmeAccountKey';
+  }
+
+  /**
+   * Production CAs whose account uses its own key instead of `q-acmeAccountKey`,
+   * e.g. a CA left on the new key when a rollover could not be rolled back there
+   * @returns {Object} { ACME directory URL: account key PEM }
+   */
+  getAccountKeysByCA() {
+    return JSON.parse(localStorage.getItem('q-acmeAccountKeyByCA') || '{}');
+  }
+
+  /**
+   * Give a CA its own account key, or remove it (null) so the CA uses `q-acmeAccountKey` again
+   */
+  setAccountKeyForCA(acmeURL, keyPEM) {
+    const keys = this.getAccountKeysByCA();
+    const url = acmeURL.replace(/\/$/, '');
+    if (keyPEM) {
+      keys[url] = keyPEM;
+    } else {
+      delete keys[url];
+    }
+    if (Object.keys(keys).length) {
+      localStorage.setItem('q-acmeAccountKeyByCA', JSON.stringify(keys));
+    } else {
+      localStorage.removeItem('q-acmeAccountKeyByCA');
+    }
+  }
+
+  /**
+   * Account key PEM to use with a CA: the CA's own key when it has one, else the key stored for the environment
+   * @param {string} acmeURL - ACME directory URL
+   * @param {boolean} staging - Staging certificate (uses the staging account key)
+   * @returns {string|null} Key PEM, null when there is none
+   */
+  getAccountKeyPEM(acmeURL, staging = false) {
+    const url = (acmeURL || '').replace(/\/$/, '');
+    const storageKey = this.getAccountKeyStorageKey(url, staging);
+    return (storageKey === 'q-acmeAccountKey' && this.getAccountKeysByCA()[url]) || localStorage.getItem(storageKey);
+  }
+
+  /**
+   * ACME directory URLs of every production CA the stored certificates were issued by
+   * @returns {Array<string>} Distinct URLs, the default CA when there are no certificates
+   */
+  getIssuingAcmeURLs() {
+    const certs = JSON.parse(localStorage.getItem('q-manageDataPairs') || '[]');
+    const urls = certs
+      .filter(cert => !cert.staging)
+      .map(cert => this.getAcmeURL(cert).replace(/\/$/, ''))
+      .filter(url => !isStagingURL(url));
+    if (!urls.length) {
+      urls.push(this.getAcmeURL());
+    }
+    return [...new Set(urls)];
+  }
+
+  /**
+   * Wizard URL to renew a certificate manually against its CA
+   */
+  getRenewalUrl(certificate) {
+    return `/?autoRenew=1&domain=${encodeURIComponent(certificate.domains)}&ca=${encodeURIComponent(this.getAcmeURL(certificate))}${certificate.staging ? '&staging=1' : ''}${certificate.profile ? `&profile=${encodeURIComponent(certificate.profile)}` : ''}`;
+  }
+
+  /**
+   * Parse a PEM private key with X509.KeyParse
+   */
+  parseKey(pem) {
+    return new Promise((resolve, reject) => {
+      window.X509.KeyParse(pem, resolve, (err) => reject(new Error(err)), 1);
+    });
+  }
+
+  /**
+   * Point window.ACME at a CA and load its directory
+   *
+   * @param {string} acmeURL - ACME directory URL
+   * @param {Object} accountKey - Parsed account key used to sign requests (optional)
+   * @returns {Promise<Object>} window.ACME
+   */
+  async openDirectory(acmeURL, accountKey = null) {
+    if (typeof window === 'undefined' || !window.ACME || !window.X509) {
+      throw new Error('ACME client not available. Please ensure core.js is loaded.');
+    }
+
+    const ACME = window.ACME;
+    ACME.URL = acmeURL.replace(/\/$/, '');
+    ACME.StepData = { config: { accountKey: accountKey } };
+
+    await new Promise((resolve, reject) => {
+      ACME.Directory(
+        () => resolve(true),
+        (err, status, info) => reject(acmeError(`Failed to load ACME directory: ${err}`, info))
+      );
+    });
+
+    return ACME;
+  }
+
+  /**
+   * Load the stored account key and look up its existing account at the CA
+   * (newAccount with onlyReturnExisting, never creates a new account)
+   *
+   * @param {string} acmeURL - ACME directory URL
+   * @returns {Promise<Object>} window.ACME with StepData.account filled in
+   */
+  async openAccount(acmeURL) {
+    const accountKeyPEM = this.getAccountKeyPEM(acmeURL);
+    if (!accountKeyPEM) {
+      throw new Error('ACME account key not found. Please complete initial certificate setup.');
+    }
+
+    const accountKey = await this.parseKey(accountKeyPEM);
+    const ACME = await this.openDirectory(acmeURL, accountKey);
+
+    await new Promise((resolve, reject) => {
+      ACME.AccountLookup(
+        () => resolve(true),
+        (err, info) => reject(acmeError(`ACME account error: ${err}`, info))
+      );
+    });
+
+    return ACME;
+  }
+
+  /**
+   * CAA issuer domains the CA recognizes, from the directory meta (RFC 8555 §7.1.1)
+   *
+   * @param {string} acmeURL - ACME directory URL
+   * @returns {Promise<Array<string>>} caaIdentities, empty when the CA does not list them
+   */
+  async getCAAIdentities(acmeURL) {
+    const ACME = await this.openDirectory(acmeURL);
+    return ACME.DirData.meta?.caaIdentities || [];
+  }
+
+  /**
+   * CAA identity of the certificate's CA without a request: the built-in preset,
+   * else the loaded directory when it belongs to this CA (e.g. during renewal)
+   *
+   * @param {Object} certificate - Certificate object from localStorage
+   * @returns {string} CAA identity, empty when unknown
+   */
+  getCAAIdentity(certificate) {
+    const acmeURL = this.getAcmeURL(certificate);
+    const preset = findCAPreset(acmeURL);
+    if (preset && preset.caaIdentity) return preset.caaIdentity;
+    const ACME = typeof window !== 'undefined' ? window.ACME : null;
+    if (!ACME || !ACME.DirData || ACME.URL !== acmeURL) return '';
+    return (ACME.DirData.meta?.caaIdentities || [])[0] || '';
+  }
+
+  /**
+   * Fetch ACME Renewal Information (RFC 9773) for a certificate
+   * The scheduler polls this on every page, so the directory is read without
+   * openDirectory: the shared window.ACME state of an issuance, rollover or
+   * account lookup in progress is left alone
+   *
+   * @param {Object} certificate - Certificate object from localStorage
+   * @returns {Promise<Object>} { success, supported, certID, start, end, explanationURL, retryAfter }
+   */
+  async fetchRenewalInfo(certificate) {
+    try {
+      if (typeof window === 'undefined' || !window.ACME || !window.X509) {
+        throw new Error('ACME client not available. Please ensure core.js is loaded.');
+      }
+      const ACME = window.ACME;
+
+      const dirData = await new Promise((resolve, reject) => {
+        ACME.DirectoryRead(
+          this.getAcmeURL(certificate),
+          resolve,
+          (err, status, info) => reject(acmeError(`Failed to load ACME directory: ${err}`, info))
+        );
+      });
+      if (!dirData.renewalInfo) {
+        return { success: true, supported: false };
+      }
+
+      const info = await new Promise((resolve, reject) => {
+        ACME.RenewalInfo(
+          certificate.cert,
+          resolve,
+          (err, info) => reject(acmeError(err, info)),
+          dirData
+        );
+      });
+
+      return { success: true, supported: true, ...info };
+    } catch (error) {
+      console.error('[ACMEClient] Failed to fetch renewal info:', error);
+      return { success: false, error: error.message, retryAfter: error.retryAfter || 0 };
+    }
+  }
+
+  /**
+   * Revoke a certificate through the ACME revokeCert resource (RFC 8555 §7.6)
+   *
+   * The request can be signed either by the ACME account key (the account
+   * must be the one that ordered the certificate) or by the certificate's own
+   * private key, which works even when the account key is lost.
+   *
+   * @param {Object} certificate - Certificate object from localStorage
+   * @param {number} reason - CRL reason code (RFC 5280 §5.3.1)
+   * @param {string} signWith - 'account' or 'certificate'
+   * @returns {Promise<Object>} Revocation result
+   */
+  async revokeCertificate(certificate, reason = 0, signWith = 'account') {
+    try {
+      if (typeof window === 'undefined' || !window.ACME || !window.X509) {
+        throw new Error('ACME client not available. Please ensure core.js is loaded.');
+      }
+
+      const ACME = window.ACME;
+
+      if (!certificate.cert) {
+        throw new Error('Missing certificate data');
+      }
+
+      console.log(`[ACMEClient] Revoking certificate for ${certificate.domains} (reason ${reason}, signed by ${signWith} key)`);
+
+      let certKey = null;
+      if (signWith === 'certificate') {
+        if (!certificate.key) {
+          throw new Error('Certificate private key not found');
+        }
+        certKey = await this.parseKey(certificate.key);
+        await this.openDirectory(this.getAcmeURL(certificate));
+      } else {
+        await this.openAccount(this.getAcmeURL(certificate));
+      }
+
+      const alreadyRevoked = await new Promise((resolve, reject) => {
+        ACME.RevokeCert(
+          certificate.cert,
+          reason,
+          certKey,
+          (already) => resolve(already),
+          (err, info) => reject(acmeError(`Revocation failed: ${err}`, info))
+        );
+      });
+
+      this.markCertificateRevoked(certificate, reason);
+
+      console.log('[ACMEClient] ✓ Certificate revoked');
+
+      return {
+        success: true,
+        alreadyRevoked: alreadyRevoked,
+        message: alreadyRevoked ? 'Certificate was already revoked' : 'Certificate revoked'
+      };
+    } catch (error) {
+      console.error('[ACMEClient] Certificate revocation failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Roll the ACME account over to a freshly generated key (RFC 8555 §7.3.5)
+   *
+   * The new key may use a different algorithm than the old one (e.g. RSA to
+   * ECC). The account key is shared by the accounts at every CA certificates
+   * were issued from, so the rollover is done at each of them; CAs where the
+   * key has no account are skipped.
+   *
+   * Each CA starts from the key it uses now (see getAccountKeyPEM). The stored
+   * key is only replaced after every account has switched. When a CA fails, the
+   * CAs already switched are changed back to their old key. A CA that cannot be
+   * changed back only accepts the new key, which becomes that CA's own key in
+   * `q-acmeAccountKeyByCA`, so renewals and later rollovers keep using it.
+   *
+   * @param {string} type - 'RSA' or 'ECC'
+   * @param {string} type2 - RSA key size or ECC curve (see X509.SupportECCType2)
+   * @returns {Promise<Object>} Rollover result
+   */
+  async rolloverAccountKey(type, type2) {
+    try {
+      if (typeof window === 'undefined' || !window.ACME || !window.X509) {
+        throw new Error('ACME client not available. Please ensure core.js is loaded.');
+      }
+
+      const ACME = window.ACME;
+      const X509 = window.X509;
+
+      if (!localStorage.getItem('q-acmeAccountKey')) {
+        throw new Error('ACME account key not found. Please complete initial certificate setup.');
+      }
+
+      console.log(`[ACMEClient] Rolling over account key to ${type} ${type2}`);
+
+      const newKeyPEM = await new Promise((resolve, reject) => {
+        X509.KeyGenerate(type, type2, resolve, (err) => reject(new Error(err)));
+      });
+      const newKey = await this.parseKey(newKeyPEM);
+
+      // Change the key of the account at one CA, null when the key has no account there
+      const changeKey = async (acmeURL, fromKey, toKey) => {
+        await this.openDirectory(acmeURL, fromKey);
+        try {
+          await new Promise((resolve, reject) => {
+            ACME.AccountLookup(
+              () => resolve(true),
+              (err, info) => reject(acmeError(`ACME account error: ${err}`, info))
+            );
+          });
+        } catch (error) {
+          if (getProblemName(error.type) === 'accountDoesNotExist') {
+            return null;
+          }
+          throw error;
+        }
+
+        await new Promise((resolve, reject) => {
+          ACME.KeyChange(
+            toKey,
+            () => resolve(true),
+            (err, info) => reject(acmeError(`Key rollover failed: ${err}`, info))
+          );
+        });
+        return ACME.StepData.account.url;
+      };
+
+      const switched = [];
+      const skipped = [];
+      const acmeURLs = [...new Set([...this.getIssuingAcmeURLs(), ...Object.keys(this.getAccountKeysByCA())])];
+      for (const acmeURL of acmeURLs) {
+        let accountUrl;
+        let oldKey;
+        try {
+          oldKey = await this.parseKey(this.getAccountKeyPEM(acmeURL));
+          accountUrl = await changeKey(acmeURL, oldKey, newKey);
+        } catch (error) {
+          console.error(`[ACMEClient] Account key rollover failed at ${acmeURL}:`, error);
+
+          // Change the accounts already switched back, their stored old key stays valid for them
+          const notRolledBack = [];
+          for (const done of switched.reverse()) {
+            try {
+              await changeKey(done.acmeURL, newKey, done.oldKey);
+            } catch (rollbackError) {
+              console.error(`[ACMEClient] Rolling back the account key at ${done.acmeURL} failed:`, rollbackError);
+              notRolledBack.push(done.acmeURL);
+              this.setAccountKeyForCA(done.acmeURL, newKeyPEM);
+            }
+          }
+
+          return {
+            success: false,
+            error: error.message,
+            failedAcmeURL: acmeURL,
+            notRolledBack: notRolledBack,
+            accountKey: notRolledBack.length ? newKeyPEM : null
+          };
+        }
+
+        if (accountUrl) {
+          switched.push({ acmeURL, accountUrl, oldKey });
+        } else {
+          console.log(`[ACMEClient] No account for this key at ${acmeURL}, skipped`);
+          skipped.push(acmeURL);
+        }
+      }
+
+      if (!switched.length) {
+        throw new Error('No ACME account found for the stored account key');
+      }
+
+      // Every account now only accepts the new key, swap it in
+      localStorage.setItem('q-acmeAccountKey', newKeyPEM);
+      switched.forEach(s => this.setAccountKeyForCA(s.acmeURL, null));
+
+      console.log('[ACMEClient] ✓ Account key rolled over');
+
+      return {
+        success: true,
+        accountUrl: switched[0].accountUrl,
+        accountUrls: switched.map(s => s.accountUrl),
+        skipped: skipped,
+        accountKey: newKeyPEM
+      };
+    } catch (error) {
+      console.error('[ACMEClient] Account key rollover failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Fetch the ACME account object (POST-as-GET on the account URL)
+   *
+   * @param {string} acmeURL - ACME directory URL of the CA (optional)
+   * @returns {Promise<Object>} Result with account url and account object
+   */
+  async getAccountInfo(acmeURL = null) {
+    return this.updateAccount(null, acmeURL);
+  }
+
+  /**
+   * Replace the contact list of the ACME account
+   *
+   * @param {Array<string>} emails - Contact email addresses
+   * @param {string} acmeURL - ACME directory URL of the CA (optional)
+   * @returns {Promise<Object>} Result with the updated account object
+   */
+  async updateAccountContacts(emails, acmeURL = null) {
+    const result = await this.updateAccount({
+      contact: emails.map(email => `mailto:${email}`)
+    }, acmeURL);
+
+    // Keep the locally remembered email in sync with the CA
+    if (result.success && emails.length) {
+      localStorage.setItem('x-q-email', emails[0]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Deactivate the ACME account (RFC 8555 §7.3.6)
+   *
+   * This cannot be undone: the CA will reject every further request signed
+   * by the account key, so the stored key is removed afterwards and the next
+   * issuance creates a new account. The shared key is kept while other CAs
+   * still use it.
+   *
+   * @param {string} acmeURL - ACME directory URL of the CA (optional)
+   * @returns {Promise<Object>} Result with the deactivated account object
+   */
+  async deactivateAccount(acmeURL = null) {
+    const url = acmeURL || this.getAcmeURL();
+    const result = await this.updateAccount({ status: 'deactivated' }, url);
+
+    if (result.success) {
+      const normalized = url.replace(/\/$/, '');
+      const keysByCA = this.getAccountKeysByCA();
+      if (keysByCA[normalized]) {
+        this.setAccountKeyForCA(normalized, null);
+      } else if (!this.getIssuingAcmeURLs().some(u => u !== normalized && !keysByCA[u])) {
+        localStorage.removeItem('q-acmeAccountKey');
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Query or update the ACME account object
+   *
+   * @param {Object|null} data - Fields to update, null for POST-as-GET
+   * @param {string} acmeURL - ACME directory URL of the CA (optional)
+   * @returns {Promise<Object>} Result with account url and account object
+   */
+  async updateAccount(data, acmeURL = null) {
+    try {
+      const ACME = await this.openAccount(acmeURL || this.getAcmeURL());
+
+      const account = await new Promise((resolve, reject) => {
+        ACME.AccountUpdate(
+          data,
+          resolve,
+          (err, info) => reject(acmeError(`ACME account error: ${err}`, info))
+        );
+      });
+
+      return {
+        success: true,
+        accountUrl: ACME.StepData.account.url,
+        account: account
+      };
+    } catch (error) {
+      console.error('[ACMEClient] Account request failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Rebuild certificate records from the orders of an existing ACME account
+   *
+   * Looks the account up by its key (onlyReturnExisting), walks the account's
+   * orders list (RFC 8555 §7.1.2.1), downloads the certificate of every valid
+   * order and pairs it with one of the supplied private keys. Certificates that
+   * are already stored, expired, or replaced by a newer certificate for the same
+   * domains are skipped; certificates without a matching key are added without key.
+   *
+   * @param {string} acmeURL - ACME directory URL of the CA
+   * @param {Object} options - { accountKeyPEM, privateKeyPEMs, includeExpired, onProgress({ step, current, total }) }
+   * @returns {Promise<Object>} { success, orders, recovered, duplicates, expired, superseded, withoutKey, notIssued, failed, error }
+   */
+  async recoverCertificates(acmeURL, options = {}) {
+    const { privateKeyPEMs = [], includeExpired = false, onProgress = () => {} } = options;
+    const url = acmeURL.replace(/\/$/, '');
+    const staging = isStagingURL(url);
+
+    try {
+      const accountKeyPEM = options.accountKeyPEM || this.getAccountKeyPEM(url, staging);
+      if (!accountKeyPEM) {
+        throw new Error('ACME account key not found. Please paste the account key.');
+      }
+
+      onProgress({ step: 'account' });
+      const accountKey = await this.parseKey(accountKeyPEM);
+      const ACME = await this.openDirectory(url, accountKey);
+      await new Promise((resolve, reject) => {
+        ACME.AccountLookup(
+          () => resolve(true),
+          (err, info) => reject(acmeError(`ACME account error: ${err}`, info))
+        );
+      });
+
+      onProgress({ step: 'orders' });
+      const orderUrls = await new Promise((resolve, reject) => {
+        ACME.AccountOrders(
+          (progress) => console.log(`[ACMEClient] ${progress}`),
+          resolve,
+          (err, info) => reject(acmeError(err, info))
+        );
+      });
+
+      // Keys that fail to parse are skipped, the certificates they belong to are reported without key
+      const keys = [];
+      for (const pem of privateKeyPEMs) {
+        try {
+          keys.push(await this.parseKey(pem));
+        } catch (error) {
+          console.warn('[ACMEClient] Skipping invalid private key:', error.message);
+        }
+      }
+
+      const records = JSON.parse(localStorage.getItem('q-manageDataPairs') || '[]');
+      const serialOf = (pem) => {
+        const info = window.X509.CertParse(pem);
+        return `${info.issuer.text}/${Array.from(info.serial).join(',')}`;
+      };
+      const domainsKey = (domains) => (Array.isArray(domains) ? domains : String(domains || '').split(/[\s,]+/))
+        .filter(Boolean).sort().join(',');
+      const knownSerials = new Set();
+      const newest = {}; // latest expiry per domain set
+      records.forEach(record => {
+        try {
+          knownSerials.add(serialOf(record.cert));
+          const key = domainsKey(record.domains);
+          newest[key] = Math.max(newest[key] || 0, window.X509.CertParse(record.cert).notAfter);
+        } catch (error) {
+          // Records without a readable certificate cannot be duplicates
+        }
+      });
+
+      const result = { success: true, orders: orderUrls.length, recovered: [], duplicates: 0, expired: 0, superseded: 0, withoutKey: 0, notIssued: 0, failed: 0 };
+      const candidates = [];
+      for (let i = 0; i < orderUrls.length; i++) {
+        onProgress({ step: 'order', current: i + 1, total: orderUrls.length });
+        let order, pem;
+        try {
+          [order, pem] = await new Promise((resolve, reject) => {
+            ACME.OrderCertificate(
+              orderUrls[i],
+              (order, pem) => resolve([order, pem]),
+              (err, info) => reject(acmeError(err, info))
+            );
+          });
+        } catch (error) {
+          console.warn(`[ACMEClient] Cannot read order ${orderUrls[i]}:`, error.message);
+          result.failed++;
+          continue;
+        }
+        if (!pem) {
+          result.notIssued++;
+          continue;
+        }
+
+        let info, serial;
+        try {
+          info = window.X509.CertParse(pem);
+          serial = serialOf(pem);
+        } catch (error) {
+          console.warn(`[ACMEClient] Cannot parse the certificate of order ${orderUrls[i]}:`, error.message);
+          result.failed++;
+          continue;
+        }
+        if (knownSerials.has(serial)) {
+          result.duplicates++;
+          continue;
+        }
+        if (!includeExpired && info.notAfter <= Date.now()) {
+          result.expired++;
+          continue;
+        }
+        knownSerials.add(serial);
+        candidates.push({ order, pem, info });
+      }
+
+      // Renewals leave several orders for the same domains, only the newest certificate is kept
+      candidates.sort((a, b) => b.info.notAfter - a.info.notAfter);
+
+      for (const { order, pem, info } of candidates) {
+        const domains = (order.identifiers || []).map(idf => idf.value);
+        if (newest[domainsKey(domains)] >= info.notAfter) {
+          result.superseded++;
+          continue;
+        }
+        newest[domainsKey(domains)] = info.notAfter;
+
+        const key = keys.find(k => window.X509.CertKeyMatch(pem, k));
+        if (!key) result.withoutKey++;
+
+        const record = {
+          cert: pem,
+          key: key ? key.pem : '',
+          time: new Date(info.notBefore).toISOString(),
+          domains: domains,
+          acmeURL: url,
+          accountURL: ACME.StepData.account.url,
+          ...window.X509.CertRecordInfo(pem),
+          health: await validateCertificate(pem, key ? key.pem : ''),
+          recovered: true
+        };
+        if (staging) record.staging = true;
+        if (order.profile) record.profile = order.profile;
+        records.push(record);
+        result.recovered.push(record);
+      }
+
+      if (result.recovered.length) {
+        localStorage.setItem('q-manageDataPairs', JSON.stringify(records));
+      }
+      return result;
+    } catch (error) {
+      console.error('[ACMEClient] Certificate recovery failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Mark a certificate as revoked in localStorage so it is never renewed
+   */
+  markCertificateRevoked(certificate, reason) {
+    const certs = JSON.parse(localStorage.getItem('q-manageDataPairs') || '[]');
+
+    const certIndex = certs.findIndex(c =>
+      c.time === certificate.time && c.cert === certificate.cert
+    );
+
+    if (certIndex === -1) {
+      throw new Error('Original certificate not found in storage');
+    }
+
+    certs[certIndex] = {
+      ...certs[certIndex],
+      revoked: true,
+      revokedAt: Date.now(),
+      revocationReason: +reason
+    };
+
+    localStorage.setItem('q-manageDataPairs', JSON.stringify(certs));
+  }
+
   /**
    * Check if all authorizations are valid (cached by Let's Encrypt)
    */
@@ -319,8 +1072,16 @@ export class ACMEClient {
 
   /**
    * Store renewed certificate in localStorage
+   * The key pairing and chain signatures are checked first, a broken result
+   * never replaces the working certificate
    */
-  storeCertificate(oldCert, newCertPEM, privateKeyPEM) {
+  async storeCertificate(oldCert, newCertPEM, privateKeyPEM) {
+    // A certificate issued from an uploaded CSR must still match the CSR's key
+    const health = await validateCertificate(newCertPEM, privateKeyPEM || (oldCert.keyExternal ? oldCert.csr : ''));
+    if (isHealthBroken(health.status)) {
+      throw new Error(`Renewed certificate failed validation (${health.status}), the stored certificate was kept`);
+    }
+
     // Get existing certificates - use correct storage key
     const certsJSON = localStorage.getItem('q-manageDataPairs');
     if (!certsJSON) {
@@ -339,15 +1100,27 @@ export class ACMEClient {
       throw new Error('Original certificate not found in storage');
     }
 
+    // Real validity of the new certificate, short-lived profiles are valid for days only
+    let certInfo = { notBefore: null, notAfter: null, serial: '', issuer: '', sans: [] };
+    try {
+      certInfo = window.X509.CertRecordInfo(newCertPEM);
+    } catch (error) {
+      console.warn('[ACMEClient] Cannot read certificate info:', error.message);
+    }
+
     // Update certificate data
     certs[certIndex] = {
       ...certs[certIndex],
       cert: newCertPEM,
       key: privateKeyPEM,
       time: Date.now(),
+      ...certInfo,
+      health,
       renewalStatus: 'success',
       lastRenewalSuccess: Date.now(),
-      autoRenewed: true
+      autoRenewed: true,
+      ari: null, // renewal info belongs to the replaced certificate
+      ocsp: null
     };
 
     // Save back to localStorage
@@ -359,10 +1132,13 @@ export class ACMEClient {
   /**
    * Check if automatic renewal is possible
    * 
+   * @param {Object} certificate - Certificate to renew (optional, selects the staging account key)
    * @returns {Object} Capability check result
    */
-  checkRenewalCapability() {
-    const acmeAccountKey = localStorage.getItem('q-acmeAccountKey');
+  checkRenewalCapability(certificate = null) {
+    const acmeAccountKey = certificate
+      ? this.getAccountKeyPEM(this.getAcmeURL(certificate), certificate.staging)
+      : localStorage.getItem('q-acmeAccountKey');
     const userEmail = localStorage.getItem('x-q-email');
 
     return {
@@ -394,7 +1170,7 @@ export class ACMEClient {
       errors.push('Missing certificate data');
     }
 
-    if (!certificate.key) {
+    if (!certificate.key && !(certificate.keyExternal && certificate.csr)) {
       errors.push('Missing private key');
     }
 
@@ -402,6 +1178,10 @@ export class ACMEClient {
       errors.push('Missing certificate timestamp');
     }
 
+    if (certificate.revoked) {
+      errors.push('Certificate has been revoked');
+    }
+
     return {
       valid: errors.length === 0,
       errors: errors
@@ -417,6 +1197,16 @@ export class ACMEClient {
     return this.isRenewing;
   }
 
+  /**
+   * Cancel the renewal in progress, aborting its outstanding ACME requests
+   */
+  cancel() {
+    if (this.isRenewing && typeof window !== 'undefined' && window.ACME) {
+      console.log('[ACMEClient] Cancelling renewal in progress');
+      window.ACME.Cancel();
+    }
+  }
+
   /**
    * Get pending renewal requests
    * 
@@ -0,0 +1,116 @@
+/**
+ * ACMEProblems - ACME problem types (RFC 8555 §6.7) and what they mean for renewal
+ * Used by ACMEClient and RenewalScheduler to decide how to handle a failure,
+ * and by the manage page to explain it with the guides from core.js (ACME.ProblemGuideText),
+ * so the wizard and auto-renewal give the same advice
+ */
+
+const ACME_ERROR_PREFIX = 'urn:ietf:params:acme:error:';
+
+export const PROBLEM_CATEGORY = {
+  TEMPORARY: 'temporary',   // The CA cannot serve us right now, retry later
+  VALIDATION: 'validation', // Domain validation failed or is missing, the user has to validate again
+  REJECTED: 'rejected'      // The CA refuses the order as it is, the user has to change DNS or the certificate
+};
+
+const CATEGORY_BY_NAME = {
+  rateLimited: PROBLEM_CATEGORY.TEMPORARY,
+  serverInternal: PROBLEM_CATEGORY.TEMPORARY,
+  badNonce: PROBLEM_CATEGORY.TEMPORARY,
+  unauthorized: PROBLEM_CATEGORY.VALIDATION,
+  dns: PROBLEM_CATEGORY.VALIDATION,
+  connection: PROBLEM_CATEGORY.VALIDATION,
+  incorrectResponse: PROBLEM_CATEGORY.VALIDATION,
+  tls: PROBLEM_CATEGORY.VALIDATION,
+  caa: PROBLEM_CATEGORY.REJECTED,
+  rejectedIdentifier: PROBLEM_CATEGORY.REJECTED,
+  unsupportedIdentifier: PROBLEM_CATEGORY.REJECTED,
+  badCSR: PROBLEM_CATEGORY.REJECTED,
+  externalAccountRequired: PROBLEM_CATEGORY.REJECTED,
+  userActionRequired: PROBLEM_CATEGORY.REJECTED
+};
+
+/**
+ * Short name of an ACME problem type, e.g. "rateLimited"
+ * @param {string} type - Problem type URN
+ * @returns {string} Name without the ACME namespace, other types are returned as is
+ */
+export function getProblemName(type) {
+  return (type || '').replace(ACME_ERROR_PREFIX, '');
+}
+
+/**
+ * Plain problem object for storage: type, detail, identifier, status and per identifier subproblems
+ * @param {Object} error - Error from ACMEClient (carries the fields core.js parsed from the problem document)
+ * @returns {Object|null} Problem, or null when the error has no ACME problem type or HTTP status
+ */
+export function toProblem(error) {
+  if (!error || !(error.type || error.status)) return null;
+  return {
+    type: error.type || '',
+    detail: error.detail || '',
+    identifier: error.identifier || '',
+    status: error.status || 0,
+    subproblems: (error.subproblems || []).map(sub => ({
+      type: sub.type || '',
+      detail: sub.detail || '',
+      identifier: sub.identifier || ''
+    }))
+  };
+}
+
+/**
+ * Decide how a failure should be handled. The top-level type wins; when it is
+ * generic (e.g. malformed wrapping subproblems) the subproblem needing the most
+ * user action decides, as waiting does not help while any identifier is rejected
+ * @param {Object} problem - Problem from toProblem()
+ * @returns {string} One of PROBLEM_CATEGORY, or '' when the failure is not understood
+ */
+export function getProblemCategory(problem) {
+  if (!problem) return '';
+  if (problem.status === 429 || problem.status >= 500) return PROBLEM_CATEGORY.TEMPORARY;
+
+  const category = CATEGORY_BY_NAME[getProblemName(problem.type)];
+  if (category) return category;
+
+  const categories = (problem.subproblems || []).map(sub => CATEGORY_BY_NAME[getProblemName(sub.type)]);
+  return [PROBLEM_CATEGORY.REJECTED, PROBLEM_CATEGORY.VALIDATION, PROBLEM_CATEGORY.TEMPORARY]
+    .find(c => categories.includes(c)) || '';
+}
+
+/**
+ * Explanations and suggested fixes for a problem and its subproblems
+ * @param {Object} problem - Problem from toProblem()
+ * @param {string} caaIdentity - CAA identity of the issuing CA, filled into the caa advice (optional)
+ * @returns {Array<Object>} [{name, identifiers, title, fix}], one entry per known problem type
+ */
+export function describeProblem(problem, caaIdentity = '') {
+  if (!problem || typeof window === 'undefined' || !window.ACME) return [];
+  const result = [];
+  [problem, ...(problem.subproblems || [])].forEach(item => {
+    const name = getProblemName(item.type);
+    const guide = window.ACME.ProblemGuideText(name, caaIdentity);
+    if (!guide) return;
+    let entry = result.find(e => e.name === name);
+    if (!entry) {
+      entry = { name, identifiers: [], ...guide };
+      result.push(entry);
+    }
+    if (item.identifier && !entry.identifiers.includes(item.identifier)) {
+      entry.identifiers.push(item.identifier);
+    }
+  });
+  return result;
+}
+
+/**
+ * describeProblem() as text for notifications and history, one line per problem type
+ * @param {Object} problem - Problem from toProblem()
+ * @param {string} caaIdentity - CAA identity of the issuing CA (optional)
+ * @returns {string} Text, empty when no known problem type is present
+ */
+export function formatProblemGuide(problem, caaIdentity = '') {
+  return describeProblem(problem, caaIdentity).map(entry =>
+    `${entry.title}${entry.identifiers.length ? `（${entry.identifiers.join(', ')}）` : ''}：${entry.fix}`
+  ).join('\n');
+}
@@ -0,0 +1,90 @@
+/**
+ * CAPresets - Built-in ACME certificate authorities
+ * Used by the issuance wizard and to show / renew each certificate against the CA that issued it
+ */
+
+export const DEFAULT_ACME_URL = 'https://acme-v02.api.letsencrypt.org/directory';
+
+export const CA_PRESETS = [
+  {
+    id: 'letsencrypt',
+    name: "Let's Encrypt",
+    url: DEFAULT_ACME_URL,
+    stagingUrl: 'https://acme-staging-v02.api.letsencrypt.org/directory',
+    caaIdentity: 'letsencrypt.org',
+    eab: false,
+    description: '免费，无需注册，证书有效期 90 天。'
+  },
+  {
+    id: 'zerossl',
+    name: 'ZeroSSL',
+    url: 'https://acme.zerossl.com/v2/DV90',
+    stagingUrl: null,
+    caaIdentity: 'sectigo.com',
+    eab: true,
+    description: '需要 EAB 凭据：在 ZeroSSL 控制台的 Developer 页面生成。'
+  },
+  {
+    id: 'google',
+    name: 'Google Trust Services',
+    url: 'https://dv.acme-v02.api.pki.goog/directory',
+    stagingUrl: 'https://dv.acme-v02.test-api.pki.goog/directory',
+    caaIdentity: 'pki.goog',
+    eab: true,
+    description: '需要 EAB 凭据：在 Google Cloud 中执行 gcloud publicca external-account-keys create 获得，凭据仅能绑定一个账户。'
+  },
+  {
+    id: 'buypass',
+    name: 'Buypass Go SSL',
+    url: 'https://api.buypass.com/acme/directory',
+    stagingUrl: 'https://api.test4.buypass.no/acme/directory',
+    caaIdentity: 'buypass.com',
+    eab: false,
+    description: '免费，无需注册，证书有效期 180 天，不支持通配符域名。'
+  }
+];
+
+/**
+ * Find the built-in preset for an ACME directory URL (production or staging)
+ * @param {string} url - ACME directory URL
+ * @returns {Object|null} Preset or null for custom URLs
+ */
+export function findCAPreset(url) {
+  const normalized = (url || '').replace(/\/$/, '');
+  return CA_PRESETS.find(ca => ca.url === normalized || ca.stagingUrl === normalized) || null;
+}
+
+/**
+ * Check whether an ACME directory URL is the staging directory of a built-in CA
+ * @param {string} url - ACME directory URL
+ * @returns {boolean}
+ */
+export function isStagingURL(url) {
+  const normalized = (url || '').replace(/\/$/, '');
+  return CA_PRESETS.some(ca => ca.stagingUrl === normalized);
+}
+
+/**
+ * Whether new certificates are issued from staging directories by default
+ * @returns {boolean}
+ */
+export function isStagingDefault() {
+  return localStorage.getItem('q-acmeStaging') === '1';
+}
+
+/**
+ * Display name of the CA behind an ACME directory URL
+ * @param {string} url - ACME directory URL
+ * @returns {string} Preset name, or the URL host for custom CAs
+ */
+export function getCAName(url) {
+  const preset = findCAPreset(url || DEFAULT_ACME_URL);
+  if (preset) {
+    return isStagingURL(url) ? `${preset.name} (Staging)` : preset.name;
+  }
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
@@ -3,14 +3,23 @@
  * Analyzes certificate expiration dates and identifies certificates that need renewal
  */
 
+import { OCSP_STATUS } from './OCSPChecker.js';
+
 const STORAGE_KEY = 'q-manageDataPairs';
 
+// Certificates valid for at most this many hours (e.g. Let's Encrypt "shortlived")
+// are tracked in hours and renewed once half of their lifetime has passed
+const SHORT_LIVED_MAX_HOURS = 10 * 24;
+const SHORT_LIVED_RENEW_RATIO = 0.5;
+const HOUR = 60 * 60 * 1000;
+
 export class CertificateScanner {
   /**
    * Scan all certificates from storage
    * @returns {Array<Object>} Array of certificate objects
    */
   scanCertificates() {
+    this.migrateCertificates();
     try {
       const data = localStorage.getItem(STORAGE_KEY);
       if (!data) {
@@ -26,10 +35,31 @@ export class CertificateScanner {
           domains: cert.domains || '',
           cert: cert.cert || '',
           key: cert.key || '',
+          keyExternal: !!cert.keyExternal,
+          csr: cert.csr || '',
           time: cert.time || new Date().toISOString(),
+          notBefore: cert.notBefore || null,
+          notAfter: cert.notAfter || null,
+          serial: cert.serial || '',
+          issuer: cert.issuer || '',
+          sans: cert.sans || [],
+          health: cert.health || null,
+          profile: cert.profile || '',
+          csrExtensions: cert.csrExtensions || null,
           autoRenewal: cert.autoRenewal !== undefined ? cert.autoRenewal : true,
           renewalStatus: cert.renewalStatus || 'idle',
-          lastRenewalAttempt: cert.lastRenewalAttempt || null
+          lastRenewalAttempt: cert.lastRenewalAttempt || null,
+          renewalRetryAt: cert.renewalRetryAt || null,
+          renewalError: cert.renewalError || null,
+          revoked: !!cert.revoked,
+          staging: !!cert.staging,
+          acmeURL: cert.acmeURL || '',
+          accountURL: cert.accountURL || '',
+          challengeTypes: cert.challengeTypes || [],
+          eabKid: cert.eabKid || '',
+          eabKey: cert.eabKey || '',
+          ari: cert.ari || null,
+          ocsp: cert.ocsp || null
         };
       });
     } catch (error) {
@@ -38,6 +68,40 @@ export class CertificateScanner {
     }
   }
 
+  /**
+   * Cache the validity, serial, issuer and SANs read from the PEM on records
+   * saved before they were stored (older records only had the issue time)
+   * Needs X509 from core.js, records whose certificate cannot be read are left as is
+   * @returns {number} Number of records updated
+   */
+  migrateCertificates() {
+    if (typeof window === 'undefined' || !window.X509) {
+      return 0;
+    }
+    try {
+      const certificates = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      let updated = 0;
+      certificates.forEach((cert, index) => {
+        if (!cert.cert || cert.notBefore) {
+          return;
+        }
+        try {
+          certificates[index] = { ...cert, ...window.X509.CertRecordInfo(cert.cert) };
+          updated++;
+        } catch (error) {
+          console.warn(`Cannot read certificate #${index + 1}:`, error.message);
+        }
+      });
+      if (updated) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(certificates));
+      }
+      return updated;
+    } catch (error) {
+      console.error('Failed to migrate certificates:', error);
+      return 0;
+    }
+  }
+
   /**
    * Detect certificates that are expiring soon
    * @param {number} threshold - Days before expiration to trigger renewal (default: 30)
@@ -48,6 +112,11 @@ export class CertificateScanner {
     const expiringCerts = [];
 
     for (const cert of certificates) {
+      // Revoked certificates must never be renewed
+      if (cert.revoked) {
+        continue;
+      }
+
       const status = this.getCertificateStatus(cert, threshold);
       
       if (status === 'needs_renewal' || status === 'expired') {
@@ -55,6 +124,8 @@ export class CertificateScanner {
           ...cert,
           status,
           daysUntilExpiry: this.getDaysUntilExpiry(cert),
+          hoursUntilExpiry: this.getHoursUntilExpiry(cert),
+          shortLived: this.isShortLived(cert),
           isExpired: status === 'expired'
         });
       }
@@ -75,14 +146,17 @@ export class CertificateScanner {
 
   /**
    * Get certificate expiry date
-   * Let's Encrypt certificates are valid for 90 days
+   * Uses the notAfter read from the certificate; only records whose
+   * certificate cannot be read fall back to 90 days after the issue time
    * @param {Object} cert - Certificate object
    * @returns {Date} Expiry date
    */
   getExpiryDate(cert) {
-    const issueDate = new Date(cert.time);
-    const expiryDate = new Date(issueDate);
-    expiryDate.setDate(expiryDate.getDate() + 90); // 90 days validity
+    if (cert.notAfter) {
+      return new Date(cert.notAfter);
+    }
+    const expiryDate = new Date(cert.time);
+    expiryDate.setDate(expiryDate.getDate() + 90);
     return expiryDate;
   }
 
@@ -99,17 +173,67 @@ export class CertificateScanner {
     return diffDays;
   }
 
+  /**
+   * Get hours until certificate expiry
+   * @param {Object} cert - Certificate object
+   * @returns {number} Whole hours until expiry (negative if expired)
+   */
+  getHoursUntilExpiry(cert) {
+    return Math.floor((this.getExpiryDate(cert) - new Date()) / HOUR);
+  }
+
+  /**
+   * Get the certificate lifetime from issuance to expiry
+   * @param {Object} cert - Certificate object
+   * @returns {number} Lifetime in hours
+   */
+  getLifetimeHours(cert) {
+    return (this.getExpiryDate(cert) - new Date(cert.notBefore || cert.time)) / HOUR;
+  }
+
+  /**
+   * Check if a certificate is short-lived (valid for a few days only)
+   * @param {Object} cert - Certificate object
+   * @returns {boolean} True if short-lived
+   */
+  isShortLived(cert) {
+    return !!cert.notAfter && this.getLifetimeHours(cert) <= SHORT_LIVED_MAX_HOURS;
+  }
+
+  /**
+   * Get the time a short-lived certificate is due for renewal
+   * @param {Object} cert - Certificate object
+   * @returns {number|null} Timestamp, or null for certificates renewed by the day threshold
+   */
+  getShortLivedRenewalTime(cert) {
+    if (!this.isShortLived(cert)) {
+      return null;
+    }
+    return this.getExpiryDate(cert).getTime() - this.getLifetimeHours(cert) * SHORT_LIVED_RENEW_RATIO * HOUR;
+  }
+
   /**
    * Get certificate status
+   * When the CA provided an ARI renewal window, the random renewal time picked
+   * inside it replaces the day threshold; short-lived certificates are renewed
+   * by hours once half of their lifetime has passed. A certificate the CA
+   * reports as revoked over OCSP needs renewal right away
    * @param {Object} cert - Certificate object
    * @param {number} threshold - Renewal threshold in days
    * @returns {string} Status: 'valid', 'needs_renewal', or 'expired'
    */
   getCertificateStatus(cert, threshold = 30) {
     const daysUntilExpiry = this.getDaysUntilExpiry(cert);
+    const shortLivedRenewAt = this.getShortLivedRenewalTime(cert);
     
-    if (daysUntilExpiry <= 0) {
+    if (this.getExpiryDate(cert) <= new Date()) {
       return 'expired';
+    } else if (cert.ocsp && cert.ocsp.status === OCSP_STATUS.REVOKED) {
+      return 'needs_renewal';
+    } else if (cert.ari && cert.ari.renewAt) {
+      return Date.now() >= cert.ari.renewAt ? 'needs_renewal' : 'valid';
+    } else if (shortLivedRenewAt !== null) {
+      return Date.now() >= shortLivedRenewAt ? 'needs_renewal' : 'valid';
     } else if (daysUntilExpiry <= threshold) {
       return 'needs_renewal';
     } else {
@@ -124,7 +248,8 @@ export class CertificateScanner {
    */
   updateCertificate(id, updates) {
     try {
-      const certificates = this.scanCertificates();
+      // Update the raw records so fields unknown to the scanner are kept
+      const certificates = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
       
       if (id >= 0 && id < certificates.length) {
         certificates[id] = { ...certificates[id], ...updates };
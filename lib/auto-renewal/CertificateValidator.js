@@ -0,0 +1,66 @@
+/**
+ * CertificateValidator - Checks that a stored certificate is usable
+ * The private key must belong to the certificate and every chain certificate
+ * must be signed by the next one. The result is kept on the record as `health`
+ */
+
+export const HEALTH_STATUS = {
+  OK: 'ok',
+  KEY_MISMATCH: 'key_mismatch',         // The private key belongs to another certificate
+  CHAIN_INVALID: 'chain_invalid',       // A chain certificate is not signed by the next one
+  UNREADABLE: 'unreadable',             // The PEM cannot be parsed
+  NO_KEY: 'no_key',                     // No private key is stored (e.g. recovered without one)
+  CHAIN_INCOMPLETE: 'chain_incomplete', // The intermediate certificate is missing
+  KEY_EXTERNAL: 'key_external'          // Issued from an uploaded CSR, the key is held outside the browser
+};
+
+/**
+ * Whether a health status means the certificate cannot be deployed as stored
+ * @param {string} status - One of HEALTH_STATUS
+ * @returns {boolean} True for a mismatched key, a broken chain or an unreadable certificate
+ */
+export function isHealthBroken(status) {
+  return status === HEALTH_STATUS.KEY_MISMATCH
+    || status === HEALTH_STATUS.CHAIN_INVALID
+    || status === HEALTH_STATUS.UNREADABLE;
+}
+
+/**
+ * Compare the certificate's public key with the private key and verify the
+ * chain signatures with WebCrypto (X509.CertValidate from core.js)
+ * @param {string} certPEM - Certificate or full chain PEM
+ * @param {string} keyPEM - Private key PEM, or the CSR when the key is held externally, may be empty
+ * @returns {Promise<Object>} { status, keyMatch, chainValid, incomplete, chain, checkedAt }
+ */
+export function validateCertificate(certPEM, keyPEM) {
+  return new Promise((resolve) => {
+    if (typeof window === 'undefined' || !window.X509) {
+      throw new Error('X509 utilities not available. Please ensure core.js is loaded.');
+    }
+    const checkedAt = Date.now();
+    window.X509.CertValidate(certPEM || '', keyPEM || '', (result) => {
+      let status = HEALTH_STATUS.OK;
+      if (result.keyMatch === false) {
+        status = HEALTH_STATUS.KEY_MISMATCH;
+      } else if (!result.chainValid) {
+        status = HEALTH_STATUS.CHAIN_INVALID;
+      } else if (result.keyMatch === null) {
+        status = HEALTH_STATUS.NO_KEY;
+      } else if (result.incomplete) {
+        status = HEALTH_STATUS.CHAIN_INCOMPLETE;
+      } else if (/CERTIFICATE REQUEST/.test(keyPEM)) {
+        status = HEALTH_STATUS.KEY_EXTERNAL;
+      }
+      resolve({
+        status,
+        keyMatch: result.keyMatch,
+        chainValid: result.chainValid,
+        incomplete: result.incomplete,
+        chain: result.chain,
+        checkedAt
+      });
+    }, () => {
+      resolve({ status: HEALTH_STATUS.UNREADABLE, keyMatch: null, chainValid: false, incomplete: false, chain: [], checkedAt });
+    });
+  });
+}
@@ -40,6 +40,8 @@ export class ConfigManager {
       enabled: false, // Global switch (disabled by default for safety)
       threshold: 30, // Days before expiration
       checkInterval: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
+      includeStaging: false, // Renew and notify for staging (test) certificates too
+      ocspResponderURL: '', // Send OCSP requests here instead of the certificate's responder (local testing)
       certSettings: {} // Per-certificate settings
     };
   }
@@ -80,9 +82,10 @@ export class ConfigManager {
   /**
    * Check if auto-renewal is enabled for a specific certificate
    * @param {string} domain - Domain name
+   * @param {boolean} staging - Certificate was issued by a staging environment
    * @returns {boolean}
    */
-  isCertAutoRenewalEnabled(domain) {
+  isCertAutoRenewalEnabled(domain, staging = false) {
     const config = this.getAutoRenewalConfig();
     
     // Check global switch first
@@ -90,6 +93,11 @@ export class ConfigManager {
       return false;
     }
 
+    // Staging certificates are left out unless explicitly included
+    if (staging && !config.includeStaging) {
+      return false;
+    }
+
     // Check per-certificate setting
     const certSetting = config.certSettings[domain];
     if (certSetting && certSetting.enabled === false) {
@@ -0,0 +1,122 @@
+/**
+ * DNSRecords - CAA and TLSA (DANE) records for a stored certificate
+ * CAA restricts issuance to the CA, account and validation methods used for
+ * the certificate (RFC 8659, RFC 8657); TLSA pins the certificate or its
+ * issuer for TLS services such as SMTP (RFC 6698, RFC 7671)
+ */
+
+export const VALIDATION_METHODS = ['dns-01', 'http-01', 'tls-alpn-01'];
+
+export const TLSA_USAGE = {
+  DANE_EE: 3, // 3 1 1: the certificate's own public key, changes when the key changes
+  DANE_TA: 2  // 2 1 1: the issuing CA's public key (the root when the chain has no intermediate), survives renewals with a new key
+};
+
+/**
+ * Host names a certificate covers, wildcards reduced to their base name and IP addresses left out
+ * @param {Array<string>|string} domains - Certificate domains
+ * @returns {Array<Object>} [{ name, wildcard }], one entry per name
+ */
+function certificateNames(domains) {
+  const list = Array.isArray(domains) ? domains : String(domains || '').split(',');
+  const names = [];
+  list.map(d => d.trim()).filter(Boolean).forEach(domain => {
+    if (window.X509.IPParse(domain)) return;
+    const wildcard = /^\*\./.test(domain);
+    const name = domain.replace(/^\*\./, '');
+    let entry = names.find(n => n.name === name);
+    if (!entry) {
+      entry = { name, wildcard: false };
+      names.push(entry);
+    }
+    if (wildcard) entry.wildcard = true;
+  });
+  return names;
+}
+
+/**
+ * Quote a CAA property value, parameters are separated by ";" (RFC 8659 §4.2)
+ */
+function caaValue(identity, params) {
+  return `"${[identity, ...params].join('; ')}"`;
+}
+
+/**
+ * CAA records allowing only this CA (and optionally this account and these validation methods)
+ * Every name gets an issue record, as a name with only issuewild leaves
+ * non-wildcard issuance unrestricted; wildcard names also get an issuewild record
+ * @param {Object} options - { domains, caaIdentity, accountURL, validationMethods, iodef }
+ * @returns {Array<Object>} [{ name, type, value }]
+ */
+export function buildCAARecords(options) {
+  const { domains, caaIdentity, accountURL = '', validationMethods = [], iodef = '' } = options;
+  if (!caaIdentity) {
+    throw new Error('缺少证书颁发机构的 CAA 标识');
+  }
+  const params = [];
+  if (accountURL) params.push(`accounturi=${accountURL}`);
+  if (validationMethods.length) params.push(`validationmethods=${validationMethods.join(',')}`);
+
+  const records = [];
+  certificateNames(domains).forEach(({ name, wildcard }) => {
+    records.push({ name, type: 'CAA', value: `0 issue ${caaValue(caaIdentity, params)}` });
+    if (wildcard) {
+      records.push({ name, type: 'CAA', value: `0 issuewild ${caaValue(caaIdentity, params)}` });
+    }
+    if (iodef) {
+      records.push({ name, type: 'CAA', value: `0 iodef "${/^[a-z]+:/i.test(iodef) ? iodef : `mailto:${iodef}`}"` });
+    }
+  });
+  return records;
+}
+
+/**
+ * SHA-256 of a certificate's SubjectPublicKeyInfo as hex, TLSA selector 1 matching type 1
+ */
+async function spkiSHA256(pem) {
+  const digest = await crypto.subtle.digest('SHA-256', window.X509.CertParse(pem).publicKey);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * TLSA records for TLS services on the certificate's hosts
+ * @param {Object} options - { certPEM (chain), hosts, ports, protocol, usages (TLSA_USAGE values) }
+ * @returns {Promise<Array<Object>>} [{ name, type, value }]
+ */
+export async function buildTLSARecords(options) {
+  const { certPEM, hosts = [], ports = [25], protocol = 'tcp', usages = [TLSA_USAGE.DANE_EE, TLSA_USAGE.DANE_TA] } = options;
+  const chain = window.X509.ChainSplit(certPEM);
+  const hashes = {};
+  if (usages.includes(TLSA_USAGE.DANE_EE)) {
+    hashes[TLSA_USAGE.DANE_EE] = await spkiSHA256(chain.leaf);
+  }
+  if (usages.includes(TLSA_USAGE.DANE_TA)) {
+    // Without an intermediate the top of the stored chain is the trust anchor
+    const anchor = chain.intermediates[0] || chain.root;
+    if (!anchor) {
+      throw new Error('证书链中没有颁发者证书，无法生成 2 1 1 记录');
+    }
+    hashes[TLSA_USAGE.DANE_TA] = await spkiSHA256(anchor);
+  }
+
+  const records = [];
+  hosts.forEach(host => {
+    ports.forEach(port => {
+      usages.forEach(usage => {
+        records.push({ name: `_${port}._${protocol}.${host}`, type: 'TLSA', value: `${usage} 1 1 ${hashes[usage]}` });
+      });
+    });
+  });
+  return records;
+}
+
+/**
+ * Records as BIND zone file lines with absolute names
+ * @param {Array<Object>} records - Records from buildCAARecords / buildTLSARecords
+ * @param {number} ttl - TTL in seconds
+ * @returns {string} Zone file text
+ */
+export function formatBindZone(records, ttl = 3600) {
+  const width = Math.max(0, ...records.map(r => r.name.length + 1));
+  return records.map(r => `${`${r.name}.`.padEnd(width)} ${ttl} IN ${r.type.padEnd(4)} ${r.value}`).join('\n');
+}
@@ -0,0 +1,85 @@
+/**
+ * OCSPChecker - Revocation status of a stored certificate over OCSP (RFC 6960)
+ * The request is built for the certificate and its issuer from the stored chain,
+ * and the response is only trusted after its signature verifies against the issuer
+ */
+
+export const OCSP_STATUS = {
+  GOOD: 'good',
+  REVOKED: 'revoked',
+  UNKNOWN: 'unknown',         // The responder does not know the certificate
+  UNAVAILABLE: 'unavailable', // No OCSP URL in the certificate or no issuer in the chain
+  ERROR: 'error'              // The request failed or the response did not verify
+};
+
+// CRLReason codes (RFC 5280 §5.3.1)
+export const REVOCATION_REASONS = {
+  0: 'unspecified',
+  1: 'keyCompromise',
+  2: 'cACompromise',
+  3: 'affiliationChanged',
+  4: 'superseded',
+  5: 'cessationOfOperation',
+  6: 'certificateHold',
+  8: 'removeFromCRL',
+  9: 'privilegeWithdrawn',
+  10: 'aACompromise'
+};
+
+/**
+ * Ask the certificate's OCSP responder for its revocation status
+ * @param {string} certPEM - Certificate chain PEM, the issuer is taken from the chain
+ * @param {Object} options - { responderURL: used instead of the AIA OCSP URL, e.g. a local responder for testing }
+ * @returns {Promise<Object>} { status, revokedAt, reason, thisUpdate, nextUpdate, responderURL, checkedAt, error }
+ */
+export async function checkOCSPStatus(certPEM, options = {}) {
+  if (typeof window === 'undefined' || !window.X509) {
+    throw new Error('X509 utilities not available. Please ensure core.js is loaded.');
+  }
+  const X509 = window.X509;
+  const checkedAt = Date.now();
+  let responderURL = options.responderURL || '';
+
+  try {
+    const chain = X509.ChainSplit(certPEM);
+    const issuerPEM = chain.intermediates[0] || chain.root;
+    if (!issuerPEM) {
+      return { status: OCSP_STATUS.UNAVAILABLE, responderURL, checkedAt, error: '证书链中没有颁发者证书，无法查询 OCSP' };
+    }
+
+    const request = await new Promise((resolve, reject) => {
+      X509.OCSPRequest(chain.leaf, issuerPEM, resolve, (err) => reject(new Error(err)));
+    });
+    responderURL = responderURL || request.urls[0] || '';
+    if (!responderURL) {
+      return { status: OCSP_STATUS.UNAVAILABLE, responderURL, checkedAt, error: '证书中没有 OCSP 地址' };
+    }
+
+    const response = await fetch(responderURL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/ocsp-request' },
+      body: request.der
+    });
+    if (!response.ok) {
+      throw new Error(`OCSP responder returned HTTP ${response.status}`);
+    }
+    const der = new Uint8Array(await response.arrayBuffer());
+
+    const info = await new Promise((resolve, reject) => {
+      X509.OCSPResponseParse(der, request, issuerPEM, resolve, (err) => reject(new Error(err)));
+    });
+    return {
+      status: info.status,
+      revokedAt: info.revokedAt || null,
+      reason: info.reason,
+      thisUpdate: info.thisUpdate,
+      nextUpdate: info.nextUpdate || null,
+      responderURL,
+      checkedAt,
+      error: null
+    };
+  } catch (error) {
+    console.error('[OCSPChecker] OCSP check failed:', error);
+    return { status: OCSP_STATUS.ERROR, responderURL, checkedAt, error: error.message };
+  }
+}
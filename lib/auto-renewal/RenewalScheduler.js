@@ -8,6 +8,26 @@ import { ConfigManager } from './ConfigManager.js';
 import { HistoryManager } from './HistoryManager.js';
 import { TelegramNotifier } from './TelegramNotifier.js';
 import { ACMEClient } from './ACMEClient.js';
+import { PROBLEM_CATEGORY, getProblemCategory } from './ACMEProblems.js';
+import { OCSP_STATUS, REVOCATION_REASONS, checkOCSPStatus } from './OCSPChecker.js';
+
+// ARI polling interval bounds (RFC 9773 §4.3.3)
+const ARI_DEFAULT_POLL = 6 * 60 * 60 * 1000;
+const ARI_MIN_POLL = 60 * 1000;
+const ARI_MAX_POLL = 24 * 60 * 60 * 1000;
+const ARI_ERROR_POLL = 60 * 60 * 1000;
+
+// OCSP polling intervals, responses are usually valid for days
+const OCSP_POLL = 12 * 60 * 60 * 1000;
+const OCSP_ERROR_POLL = 60 * 60 * 1000;
+const OCSP_UNAVAILABLE_POLL = 7 * 24 * 60 * 60 * 1000;
+
+// Retry delay after a rate limit or CA outage that came without Retry-After
+const RETRY_DEFAULT_DELAY = 60 * 60 * 1000;
+const RETRY_MIN_DELAY = 60 * 1000;
+
+// Short-lived certificates renew every few days, only warn when renewal is this late
+const SHORT_LIVED_NOTIFY_HOURS = 24;
 
 export class RenewalScheduler {
   constructor() {
@@ -17,6 +37,7 @@ export class RenewalScheduler {
     this.telegramNotifier = new TelegramNotifier();
     this.acmeClient = new ACMEClient();
     this.intervalId = null;
+    this.timeoutId = null; // next ARI poll / renewal time that comes before the periodic check
     this.isRunning = false;
     this.notifiedDomains = new Set(); // 记录已通知的域名，避免重复通知
   }
@@ -58,6 +79,12 @@ export class RenewalScheduler {
       this.intervalId = null;
     }
 
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+
+    this.acmeClient.cancel();
     this.isRunning = false;
   }
 
@@ -75,20 +102,36 @@ export class RenewalScheduler {
       }
 
       const config = this.configManager.getAutoRenewalConfig();
+
+      // Refresh CA suggested renewal windows before deciding what to renew
+      await this.refreshRenewalInfo();
+
+      // Certificates OCSP reports as revoked are due for renewal right away
+      await this.refreshOCSPStatus();
+
       const expiringCerts = this.scanner.detectExpiringCertificates(config.threshold);
 
       console.log(`Found ${expiringCerts.length} certificate(s) needing renewal`);
 
       for (const cert of expiringCerts) {
+        // Revoked certificates are never renewed
+        if (cert.revoked) {
+          console.log(`Skipping revoked certificate ${cert.domains}`);
+          continue;
+        }
+
         // Check if auto-renewal is enabled for this certificate
-        if (!this.configManager.isCertAutoRenewalEnabled(cert.domains)) {
+        if (!this.configManager.isCertAutoRenewalEnabled(cert.domains, cert.staging)) {
           console.log(`Auto-renewal disabled for ${cert.domains}`);
           continue;
         }
 
-        // Send expiring notification (only once per domain)
-        if (!this.notifiedDomains.has(cert.domains) && !cert.isExpired) {
-          await this.telegramNotifier.notifyExpiring(cert.domains, cert.daysUntilExpiry);
+        // Send expiring notification (only once per domain), short-lived certificates count in hours
+        // Certificates revoked by the CA were already reported by refreshOCSPStatus
+        const revokedByCA = cert.ocsp && cert.ocsp.status === OCSP_STATUS.REVOKED;
+        const notifyNow = !revokedByCA && (cert.shortLived ? cert.hoursUntilExpiry <= SHORT_LIVED_NOTIFY_HOURS : true);
+        if (notifyNow && !this.notifiedDomains.has(cert.domains) && !cert.isExpired) {
+          await this.telegramNotifier.notifyExpiring(cert.domains, cert.daysUntilExpiry, cert.shortLived ? cert.hoursUntilExpiry : null);
           this.notifiedDomains.add(cert.domains);
         }
 
@@ -98,15 +141,163 @@ export class RenewalScheduler {
           continue;
         }
 
+        // Wait as long as the CA asked after a rate limit or outage
+        if (cert.renewalRetryAt && cert.renewalRetryAt > Date.now()) {
+          console.log(`Renewal of ${cert.domains} postponed until ${new Date(cert.renewalRetryAt).toISOString()}`);
+          continue;
+        }
+
         // Create and execute renewal job
         const job = this.createRenewalJob(cert);
         await this.executeRenewalJob(job);
       }
+
+      this.scheduleNextEvent(config.checkInterval);
     } catch (error) {
       console.error('Error in checkAndRenew:', error);
     }
   }
 
+  /**
+   * Poll ACME Renewal Information (RFC 9773) for certificates whose poll time has come
+   * The window and a random renewal time inside it are kept on the record as `ari`,
+   * certificates from CAs without ARI fall back to the day threshold
+   */
+  async refreshRenewalInfo() {
+    for (const cert of this.scanner.scanCertificates()) {
+      if (cert.revoked || !cert.cert) {
+        continue;
+      }
+      if (!this.configManager.isCertAutoRenewalEnabled(cert.domains, cert.staging)) {
+        continue;
+      }
+
+      const now = Date.now();
+      const ari = cert.ari || {};
+      if (ari.nextPoll && ari.nextPoll > now) {
+        continue;
+      }
+
+      const info = await this.acmeClient.fetchRenewalInfo(cert);
+      if (!info.success) {
+        console.log(`[RenewalScheduler] Renewal info unavailable for ${cert.domains}: ${info.error}`);
+        const errorDelay = info.retryAfter ? Math.min(ARI_MAX_POLL, Math.max(ARI_MIN_POLL, info.retryAfter)) : ARI_ERROR_POLL;
+        this.scanner.updateCertificate(cert.id, { ari: { ...ari, nextPoll: now + errorDelay } });
+        continue;
+      }
+      if (!info.supported) {
+        // Check the directory again later, the CA may add ARI support
+        this.scanner.updateCertificate(cert.id, { ari: { unsupported: true, nextPoll: now + ARI_MAX_POLL } });
+        continue;
+      }
+
+      // Keep the previously picked time while it is still inside the window,
+      // otherwise pick a new random time so renewals are spread across clients
+      let renewAt = ari.renewAt;
+      if (ari.certID !== info.certID || !(renewAt >= info.start && renewAt <= info.end)) {
+        renewAt = info.end <= now ? now : Math.max(now, info.start) + Math.random() * (info.end - Math.max(now, info.start));
+        renewAt = Math.round(renewAt);
+      }
+
+      const pollDelay = Math.min(ARI_MAX_POLL, Math.max(ARI_MIN_POLL, info.retryAfter || ARI_DEFAULT_POLL));
+      this.scanner.updateCertificate(cert.id, {
+        ari: {
+          certID: info.certID,
+          start: info.start,
+          end: info.end,
+          explanationURL: info.explanationURL,
+          renewAt: renewAt,
+          nextPoll: now + pollDelay
+        }
+      });
+      console.log(`[RenewalScheduler] ARI window for ${cert.domains}: ${new Date(info.start).toISOString()} - ${new Date(info.end).toISOString()}, renew at ${new Date(renewAt).toISOString()}`);
+    }
+  }
+
+  /**
+   * Check the OCSP status of certificates whose check time has come
+   * The result is kept on the record as `ocsp`. A certificate that shows up
+   * revoked is reported once and is renewed by the expiry check that follows;
+   * it is not checked again, revocation is permanent
+   */
+  async refreshOCSPStatus() {
+    const config = this.configManager.getAutoRenewalConfig();
+    for (const cert of this.scanner.scanCertificates()) {
+      if (cert.revoked || !cert.cert || this.scanner.isExpired(cert)) {
+        continue;
+      }
+      if (cert.staging && !config.includeStaging) {
+        continue;
+      }
+
+      const now = Date.now();
+      const previous = cert.ocsp || {};
+      if (previous.status === OCSP_STATUS.REVOKED || (previous.nextCheck && previous.nextCheck > now)) {
+        continue;
+      }
+
+      const result = await checkOCSPStatus(cert.cert, { responderURL: config.ocspResponderURL });
+      const pollDelay = result.status === OCSP_STATUS.ERROR ? OCSP_ERROR_POLL
+        : result.status === OCSP_STATUS.UNAVAILABLE ? OCSP_UNAVAILABLE_POLL : OCSP_POLL;
+      this.scanner.updateCertificate(cert.id, { ocsp: { ...result, nextCheck: now + pollDelay } });
+
+      if (result.status === OCSP_STATUS.REVOKED) {
+        console.log(`[RenewalScheduler] ${cert.domains} was revoked at ${new Date(result.revokedAt).toISOString()}`);
+        await this.telegramNotifier.notifyRevoked(
+          cert.domains,
+          result.revokedAt,
+          REVOCATION_REASONS[result.reason] || '',
+          this.configManager.isCertAutoRenewalEnabled(cert.domains, cert.staging)
+        );
+      } else if (result.status === OCSP_STATUS.ERROR) {
+        console.log(`[RenewalScheduler] OCSP status unavailable for ${cert.domains}: ${result.error}`);
+      }
+    }
+  }
+
+  /**
+   * Run an extra check at the next ARI poll, OCSP check, renewal or retry time when it comes
+   * before the next periodic check, short-lived certificates are due within hours
+   * @param {number} checkInterval - Periodic check interval in milliseconds
+   */
+  scheduleNextEvent(checkInterval) {
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+    if (!this.isRunning) {
+      return;
+    }
+
+    const now = Date.now();
+    let next = Infinity;
+    for (const cert of this.scanner.scanCertificates()) {
+      if (cert.revoked) {
+        continue;
+      }
+      const times = [cert.renewalRetryAt, this.scanner.getShortLivedRenewalTime(cert)];
+      if (cert.ari) {
+        times.push(cert.ari.nextPoll, cert.ari.renewAt);
+      }
+      if (cert.ocsp) {
+        times.push(cert.ocsp.nextCheck);
+      }
+      for (const time of times) {
+        if (time > now && time < next) {
+          next = time;
+        }
+      }
+    }
+
+    const delay = next - now;
+    if (delay < checkInterval) {
+      this.timeoutId = setTimeout(() => {
+        this.timeoutId = null;
+        this.checkAndRenew();
+      }, delay + 1000);
+    }
+  }
+
   /**
    * Create a renewal job
    * @param {Object} cert - Certificate object
@@ -154,6 +345,7 @@ export class RenewalScheduler {
       // Attempt automatic renewal using ACMEClient
       console.log(`[RenewalScheduler] Attempting automatic renewal for ${job.domain}`);
       const renewalResult = await this.acmeClient.renewCertificate(job.originalCert);
+      const problemCategory = getProblemCategory(renewalResult.problem);
 
       if (renewalResult.success) {
         // Renewal succeeded
@@ -165,7 +357,9 @@ export class RenewalScheduler {
 
         this.scanner.updateCertificate(job.originalCert.id, {
           renewalStatus: 'success',
-          lastRenewalSuccess: Date.now()
+          lastRenewalSuccess: Date.now(),
+          renewalRetryAt: null,
+          renewalError: null
         });
 
         this.historyManager.recordRenewal(
@@ -181,8 +375,11 @@ export class RenewalScheduler {
         // Note: We don't send success notifications per user requirement
         // "正常情况不要通知" - normal situations should not notify
 
-      } else if (renewalResult.requiresManual) {
-        // Manual intervention required
+      } else if (problemCategory === PROBLEM_CATEGORY.REJECTED || problemCategory === PROBLEM_CATEGORY.VALIDATION
+        || (renewalResult.requiresManual && !problemCategory)) {
+        // Manual intervention required: re-validate the domains, or fix what the CA rejected
+        // (CAA records, refused identifiers) before a new order can succeed
+        const rejected = problemCategory === PROBLEM_CATEGORY.REJECTED;
         console.log(`[RenewalScheduler] Manual renewal required for ${job.domain}`);
         console.log(`[RenewalScheduler] Reason: ${renewalResult.message}`);
         console.log(`[RenewalScheduler] Renewal URL: ${renewalResult.renewalUrl}`);
@@ -194,7 +391,8 @@ export class RenewalScheduler {
 
         this.scanner.updateCertificate(job.originalCert.id, {
           renewalStatus: 'manual_required',
-          renewalUrl: renewalResult.renewalUrl
+          renewalUrl: renewalResult.renewalUrl,
+          renewalError: renewalResult.problem || null
         });
 
         this.historyManager.recordRenewal(
@@ -207,20 +405,30 @@ export class RenewalScheduler {
         // Send notification for manual action needed
         await this.telegramNotifier.notifyRenewalFailure(
           job.domain, 
-          `Manual renewal required: ${renewalResult.message}\nPlease visit: ${renewalResult.renewalUrl}`
+          rejected
+            ? `The CA rejected the renewal order: ${renewalResult.message}`
+            : `Manual renewal required: ${renewalResult.message}\nPlease visit: ${renewalResult.renewalUrl}`
         );
 
       } else {
-        // Renewal failed
-        const errorMsg = renewalResult.error || 'Unknown error occurred';
+        // Renewal failed, temporary failures (rate limits, CA outages) are retried after Retry-After
+        let errorMsg = renewalResult.error || 'Unknown error occurred';
+        let retryAt = null;
+        if (problemCategory === PROBLEM_CATEGORY.TEMPORARY || renewalResult.temporary) {
+          retryAt = Date.now() + Math.max(RETRY_MIN_DELAY, renewalResult.retryAfter || RETRY_DEFAULT_DELAY);
+          errorMsg += `\nWill retry after ${new Date(retryAt).toLocaleString('zh-CN')}`;
+        }
         console.error(`[RenewalScheduler] Renewal failed for ${job.domain}: ${errorMsg}`);
 
         job.status = 'failure';
         job.completedAt = Date.now();
         job.error = errorMsg;
+        job.retryAt = retryAt;
 
         this.scanner.updateCertificate(job.originalCert.id, {
-          renewalStatus: 'failure'
+          renewalStatus: 'failure',
+          renewalRetryAt: retryAt,
+          renewalError: renewalResult.problem || null
         });
 
         this.historyManager.recordRenewal(
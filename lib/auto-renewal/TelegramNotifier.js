@@ -119,16 +119,20 @@ export class TelegramNotifier {
    * Send certificate expiring notification
    * @param {string} domain - Domain name
    * @param {number} daysUntilExpiry - Days until expiry
+   * @param {number} hoursUntilExpiry - Hours until expiry, shown instead of days for short-lived certificates (optional)
    */
-  async notifyExpiring(domain, daysUntilExpiry) {
+  async notifyExpiring(domain, daysUntilExpiry, hoursUntilExpiry = null) {
     const config = this.getTelegramConfig();
     if (!config.notifyOnExpiring) {
       return;
     }
 
+    const remaining = hoursUntilExpiry !== null
+      ? `剩余时间: <b>${hoursUntilExpiry}</b> 小时\n`
+      : `剩余天数: <b>${daysUntilExpiry}</b> 天\n`;
     const message = `⚠️ <b>证书即将到期提醒</b>\n\n` +
       `域名: <code>${domain}</code>\n` +
-      `剩余天数: <b>${daysUntilExpiry}</b> 天\n` +
+      remaining +
       `时间: ${new Date().toLocaleString('zh-CN')}`;
 
     await this.sendMessage(message);
@@ -172,6 +176,25 @@ export class TelegramNotifier {
     await this.sendMessage(message);
   }
 
+  /**
+   * Send a notification that OCSP reports the certificate as revoked
+   * Always sent, a revoked certificate is rejected by clients until it is replaced
+   * @param {string} domain - Domain name
+   * @param {number} revokedAt - Revocation time
+   * @param {string} reason - CRLReason name, empty when the CA gave none
+   * @param {boolean} renewing - Auto-renewal will replace the certificate
+   */
+  async notifyRevoked(domain, revokedAt, reason = '', renewing = false) {
+    const message = `🚫 <b>证书已被吊销</b>\n\n` +
+      `域名: <code>${domain}</code>\n` +
+      `吊销时间: ${new Date(revokedAt).toLocaleString('zh-CN')}\n` +
+      (reason ? `吊销原因: ${reason}\n` : '') +
+      (renewing ? `将立即自动续期，请尽快部署新证书\n` : `请尽快重新申请证书\n`) +
+      `时间: ${new Date().toLocaleString('zh-CN')}`;
+
+    await this.sendMessage(message);
+  }
+
   /**
    * Test Telegram configuration by sending a test message
    * @returns {Promise<boolean>} Success status
@@ -9,3 +9,8 @@ export { ConfigManager } from './ConfigManager.js';
 export { HistoryManager } from './HistoryManager.js';
 export { TelegramNotifier } from './TelegramNotifier.js';
 export { ACMEClient } from './ACMEClient.js';
+export { HEALTH_STATUS, isHealthBroken, validateCertificate } from './CertificateValidator.js';
+export { OCSP_STATUS, REVOCATION_REASONS, checkOCSPStatus } from './OCSPChecker.js';
+export { VALIDATION_METHODS, TLSA_USAGE, buildCAARecords, buildTLSARecords, formatBindZone } from './DNSRecords.js';
+export { PROBLEM_CATEGORY, getProblemName, getProblemCategory, describeProblem, formatProblemGuide } from './ACMEProblems.js';
+export { CA_PRESETS, DEFAULT_ACME_URL, findCAPreset, isStagingURL, isStagingDefault, getCAName } from './CAPresets.js';
@@ -0,0 +1,273 @@
+import Head from "next/head";
+import { useState, useEffect } from "react";
+import { tc, dTitle, SmallPage, zsQ } from '@components/main';
+import { ACMEClient, CA_PRESETS, getCAName } from '../../lib/auto-renewal/index.js';
+
+export default () => {
+    const [acmeClient] = useState(() => new ACMEClient());
+
+    // 账户按证书颁发机构区分，签发过证书的排在前面
+    const [acmeURLs, setAcmeURLs] = useState([]);
+    const [acmeURL, setAcmeURL] = useState('');
+
+    const [isLoading, setIsLoading] = useState(true);
+    const [accountUrl, setAccountUrl] = useState('');
+    const [account, setAccount] = useState(null);
+    const [loadError, setLoadError] = useState('');
+
+    // 联系方式编辑状态
+    const [contacts, setContacts] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [contactError, setContactError] = useState('');
+    const [contactSuccess, setContactSuccess] = useState('');
+
+    // 停用账户状态
+    const [deactivateConfirm, setDeactivateConfirm] = useState('');
+    const [isDeactivating, setIsDeactivating] = useState(false);
+    const [deactivateError, setDeactivateError] = useState('');
+
+    // 显示账户信息
+    const showAccount = (result) => {
+        setAccountUrl(result.accountUrl);
+        setAccount(result.account);
+        setContacts((result.account.contact || []).map(c => c.replace(/^mailto:/, '')).join(', '));
+    };
+
+    // 读取账户信息
+    const loadAccount = async (url = acmeURL) => {
+        setIsLoading(true);
+        setLoadError('');
+        setAccount(null);
+        setAccountUrl('');
+
+        if (!acmeClient.getAccountKeyPEM(url)) {
+            setLoadError('还没有 ACME 账户私钥，请先前往申请证书页面申请一张证书。');
+            setIsLoading(false);
+            return;
+        }
+
+        const result = await acmeClient.getAccountInfo(url);
+        if (result.success) {
+            showAccount(result);
+        } else {
+            setLoadError(result.error);
+        }
+        setIsLoading(false);
+    };
+
+    useEffect(() => {
+        // _app 中加载 ACME 依赖的 useEffect 在页面之后执行，延迟到其完成后再读取
+        const urls = acmeClient.getIssuingAcmeURLs();
+        CA_PRESETS.forEach(ca => {
+            if (!urls.includes(ca.url)) urls.push(ca.url);
+        });
+        setAcmeURLs(urls);
+        setAcmeURL(urls[0]);
+
+        const timer = setTimeout(() => loadAccount(urls[0]), 0);
+        return () => clearTimeout(timer);
+    }, []);
+
+    // 更新联系邮箱
+    const handleUpdateContacts = async (e) => {
+        e.preventDefault();
+        setContactError('');
+        setContactSuccess('');
+
+        const emails = contacts.replace(/，/g, ',').split(/[\s,;]+/).filter(Boolean);
+        if (!emails.length) {
+            setContactError('至少需要填写一个电子邮箱地址');
+            return;
+        }
+        const bad = emails.find(email => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email));
+        if (bad) {
+            setContactError(`电子邮箱地址格式错误：${bad}`);
+            return;
+        }
+
+        setIsSaving(true);
+        const result = await acmeClient.updateAccountContacts(emails, acmeURL);
+        setIsSaving(false);
+
+        if (result.success) {
+            showAccount(result);
+            setContactSuccess('联系邮箱已更新！');
+            tc('联系邮箱已更新！');
+        } else {
+            setContactError(result.error);
+        }
+    };
+
+    // 停用账户的确认文本为账户 URL 的最后一段
+    const accountId = accountUrl.replace(/\/$/, '').split('/').pop();
+
+    // 停用账户
+    const handleDeactivate = async (e) => {
+        e.preventDefault();
+        setDeactivateError('');
+
+        if (deactivateConfirm.trim() !== accountId) {
+            setDeactivateError('输入的账户 ID 不正确');
+            return;
+        }
+        if (!confirm('最后确认：停用后此账户将永久无法使用，无法续期或吊销由此账户申请的证书（仍可用证书私钥吊销），确定要停用吗？')) {
+            return;
+        }
+
+        setIsDeactivating(true);
+        const result = await acmeClient.deactivateAccount(acmeURL);
+        setIsDeactivating(false);
+
+        if (result.success) {
+            showAccount(result);
+            setDeactivateConfirm('');
+            tc('账户已停用，本地账户私钥已移除', 5000);
+        } else {
+            setDeactivateError(result.error);
+        }
+    };
+
+    const statusBadge = (status) => {
+        if (status === 'valid') return <span className="badge bg-success">有效 (valid)</span>;
+        if (status === 'deactivated') return <span className="badge bg-secondary">已停用 (deactivated)</span>;
+        if (status === 'revoked') return <span className="badge bg-danger">已被 CA 吊销 (revoked)</span>;
+        return <span className="badge bg-warning">{status}</span>;
+    };
+
+    return (<>
+        <Head>
+            <title>{`ACME 账户 - ${dTitle}`}</title>
+        </Head>
+        <SmallPage name="ACME 账户">
+            <p className="mb-4 fs-14">ACME 账户由设置中的 “ACME 账户私钥” 标识，这里显示证书颁发机构中保存的账户信息。清除了浏览器数据时，可以从账户的订单中 <a href="/account/recover/">恢复证书</a>。</p>
+
+            <div className="mb-4">
+                <label htmlFor="acmeURL" className="form-label">证书颁发机构</label>
+                <select
+                    className="form-select q-form"
+                    id="acmeURL"
+                    value={acmeURL}
+                    disabled={isLoading}
+                    onChange={(e) => { setAcmeURL(e.target.value); loadAccount(e.target.value); }}
+                >
+                    {acmeURLs.map(url => (
+                        <option value={url} key={url}>{getCAName(url)}</option>
+                    ))}
+                </select>
+            </div>
+
+            {isLoading && <zsQ.Loading />}
+
+            {!isLoading && loadError && (
+                <div className="alert alert-danger" role="alert">
+                    <p className="mb-2">{loadError}</p>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => loadAccount()}>重试</button>
+                </div>
+            )}
+
+            {!isLoading && account && (<>
+                <div className="mb-5">
+                    <table className="table fs-14">
+                        <tbody>
+                            <tr>
+                                <th style={{ width: '8rem' }}>状态</th>
+                                <td>{statusBadge(account.status)}</td>
+                            </tr>
+                            <tr>
+                                <th>账户 URL</th>
+                                <td style={{ wordBreak: 'break-all' }}>{accountUrl}</td>
+                            </tr>
+                            <tr>
+                                <th>联系方式</th>
+                                <td>{(account.contact || []).join(', ') || '无'}</td>
+                            </tr>
+                            <tr>
+                                <th>订单列表 URL</th>
+                                <td style={{ wordBreak: 'break-all' }}>{account.orders || '此 CA 未提供'}</td>
+                            </tr>
+                            {account.createdAt && (
+                                <tr>
+                                    <th>创建时间</th>
+                                    <td>{new Date(account.createdAt).toLocaleString('zh-CN')}</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+
+                {account.status === 'valid' && (<>
+                    <h2 className="h5 fw-bold mb-3">联系邮箱</h2>
+
+                    {contactError && (
+                        <div className="alert alert-danger" role="alert">
+                            {contactError}
+                        </div>
+                    )}
+
+                    {contactSuccess && (
+                        <div className="alert alert-success" role="alert">
+                            {contactSuccess}
+                        </div>
+                    )}
+
+                    <form onSubmit={handleUpdateContacts} className="mb-5">
+                        <div className="mb-3">
+                            <input
+                                type="text"
+                                className="form-control q-form"
+                                id="contacts"
+                                value={contacts}
+                                onChange={(e) => setContacts(e.target.value)}
+                                placeholder="name@example.org, ops@example.org"
+                            />
+                            <small className="form-text text-muted">多个邮箱使用逗号分隔，证书颁发机构会向这些邮箱发送通知</small>
+                        </div>
+                        <button type="submit" className="btn q-btn" disabled={isSaving}>
+                            {isSaving ? '保存中...' : '更新联系邮箱'}
+                        </button>
+                    </form>
+
+                    <h2 className="h5 fw-bold mb-3 text-danger">停用账户</h2>
+
+                    <div className="alert alert-danger" role="alert">
+                        <strong>危险操作：</strong>
+                        <ul className="mb-0 mt-2">
+                            <li>停用是永久性的，证书颁发机构不提供恢复方式</li>
+                            <li>已签发的证书不受影响，但无法再用此账户续期或吊销</li>
+                            <li>停用后，如其他证书颁发机构没有签发过证书，本地保存的账户私钥将被移除，下次申请证书时会创建新账户</li>
+                        </ul>
+                    </div>
+
+                    {deactivateError && (
+                        <div className="alert alert-danger" role="alert">
+                            {deactivateError}
+                        </div>
+                    )}
+
+                    <form onSubmit={handleDeactivate}>
+                        <div className="mb-3">
+                            <label htmlFor="deactivateConfirm" className="form-label">
+                                请输入账户 ID <code>{accountId}</code> 以确认
+                            </label>
+                            <input
+                                type="text"
+                                className="form-control q-form"
+                                id="deactivateConfirm"
+                                value={deactivateConfirm}
+                                onChange={(e) => setDeactivateConfirm(e.target.value)}
+                                autoComplete="off"
+                            />
+                        </div>
+                        <button
+                            type="submit"
+                            className="btn btn-danger"
+                            disabled={isDeactivating || deactivateConfirm.trim() !== accountId}
+                        >
+                            {isDeactivating ? '停用中...' : '永久停用此账户'}
+                        </button>
+                    </form>
+                </>)}
+            </>)}
+        </SmallPage>
+    </>)
+};
@@ -3,6 +3,7 @@ import depend from '@components/core';
 import { zsQ, dTitle, copy, SmallPage } from '@components/main';
 import { useEffect } from 'react';
 import { useRouter } from 'next/router';
+import { CA_PRESETS, findCAPreset, isStagingDefault } from '../lib/auto-renewal/CAPresets.js';
 
 export default () => {
 
@@ -33,6 +34,25 @@ export default () => {
 
   useEffect(() => {
 
+    // 从证书管理页续期时，选中签发该证书的证书颁发机构
+    const ca = zsQ.getQuery('ca');
+    if (ca) {
+      localStorage['ACME_HTML_choice_acmeURL'] = ca;
+    };
+
+    // 测试环境开关默认跟随设置，也可以通过链接指定
+    document.querySelector('.choice_staging').checked = isStagingDefault() || zsQ.getQuery('staging') === '1';
+
+    // 续期时沿用证书的证书配置 (Profile)，按实际使用的 ACME 服务 URL 记录
+    const profile = zsQ.getQuery('profile');
+    if (ca && profile) {
+      const preset = findCAPreset(ca);
+      const url = (zsQ.getQuery('staging') === '1' && preset?.stagingUrl) || ca.replace(/\/$/, '');
+      const profileStore = JSON.parse(localStorage['ACME_HTML_choice_profile'] || '{}');
+      profileStore[url] = profile;
+      localStorage['ACME_HTML_choice_profile'] = JSON.stringify(profileStore);
+    };
+
     // 首先执行 ACME 依赖
     depend();
 
@@ -49,7 +69,7 @@ export default () => {
     if (domain && type) {
       const domainOut = domain.replace(/^(https?:\/\/)?/, '');
       let domainValue = '';
-      if (type === '1') {
+      if (type === '1' && !X509.IPParse(domainOut.split(',')[0])) { // IP 地址没有通配符和 www
         const result = (domainOut.split(',')[0]).replace(/^www\./, '');
         const out = `*.${result}, ${result}`;
         domainValue = out.split('*.*.').filter(Boolean).join('')
@@ -65,7 +85,8 @@ export default () => {
 
     // 前往设置后，如果发生改变，立即重新输入账户私钥值
     window.addEventListener('storage', function (event) {
-      if (event.key === 'q-acmeAccountKey') {
+      const staging = document.querySelector('.choice_staging')?.checked;
+      if (event.key === (staging ? 'q-acmeStagingAccountKey' : 'q-acmeAccountKey')) {
         const accountKeyEl = document.querySelector('.in_accountKey');
         if (accountKeyEl) {
           accountKeyEl.value = event.newValue;
@@ -104,6 +125,25 @@ export default () => {
         return () => { clearTimeout(timer) };
       });
     });
+    // 使用自有 CSR，私钥不进入浏览器
+    document.getElementById('q-privateKey-csr').addEventListener('change', function () {
+      document.querySelector('input[name="choice_privateKey"][value="csr"]').click();
+      privateKey.style.display = 'none';
+    });
+    document.getElementById('q-csr-file').addEventListener('change', function (e) {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        const bytes = new Uint8Array(reader.result);
+        const text = new TextDecoder().decode(bytes);
+        const csrEl = document.querySelector('.in_csr');
+        csrEl.value = /-----BEGIN /.test(text) ? text.trim() : window.X509.PEMEncode(bytes, 'CERTIFICATE REQUEST');
+        csrEl.dispatchEvent(new Event('change'));
+      };
+      reader.readAsArrayBuffer(file);
+    });
 
 
 
@@ -196,13 +236,33 @@ export default () => {
 
 
 
+      <div className="pendingOrdersBox mb-4" style={{ display: 'none' }}></div>
+
       <div id="q-steps1">
-        <div className="d-none">
-          <div>
-            <label>
-              <input type="radio" name="choice_acmeURL" value="https://acme-v02.api.letsencrypt.org/directory" desckey="descLetsEncrypt" />Let's Encrypt
+        <div className="mb-4">
+          <label className="mb-2">证书颁发机构</label>
+          {CA_PRESETS.map(ca => (
+            <div className="form-check" key={ca.id}>
+              <label className="form-check-label">
+                <input className="form-check-input" type="radio" name="choice_acmeURL" value={ca.url} stagingurl={ca.stagingUrl || ''} caname={ca.name} desckey={`descAcmeURL_${ca.id}`} />{ca.name}
+                {ca.eab && <span className="badge bg-secondary ms-2">需要 EAB</span>}
+              </label>
+            </div>
+          ))}
+          <div className="form-check">
+            <label className="form-check-label">
+              <input className="form-check-input" type="radio" name="choice_acmeURL" value="manual" />自定义 ACME 服务 URL
+            </label>
+          </div>
+          <div className="form-check form-switch mt-2">
+            <input className="form-check-input choice_staging" type="checkbox" id="q-steps1-staging" />
+            <label className="form-check-label" htmlFor="q-steps1-staging">
+              测试环境 (Staging)：签发不受浏览器信任的测试证书，不占用正式环境的速率限制
             </label>
           </div>
+          {CA_PRESETS.map(ca => (
+            <p className={`descAcmeURL descAcmeURL_${ca.id} fs-12 mb-2`} style={{ display: 'none' }} key={ca.id}>{ca.description}</p>
+          ))}
           <div className="input-group">
             <input className="in_acmeURL inputLang form-control q-form" placeholder-cn="请填写证书颁发机构 ACME 服务 URL" style={{ border: '#9914ff 1px solid' }} />
             <button className="mainBtn mainBtnMin btn-q" onClick={() => { acmeReadDirClick(); }}>
@@ -222,11 +282,16 @@ export default () => {
         </div>
         <div className="step1Hide step2Show">
 
+          <p className="fs-14 mb-4">
+            证书颁发机构：<span className="acmeNameShow fw-bold"></span>
+            <a href="#!" className="ms-2" onClick={(e) => { e.preventDefault(); acmeChangeCAClick(); }}>更换</a>
+          </p>
+
           <div className="mb-4">
             <label htmlFor="x-q-domain">域名</label>
             <input id="x-q-domain" list="x-q-domain-datalist" className="in_domains inputLang form-control q-form" placeholder-cn="example.org, *.example.org" />
             <datalist id="x-q-domain-datalist"></datalist>
-            <p className="fs-12">多域名证书或其它域名输入问题可参阅 <a href="../documents/#域名" target="_blank">文档 - 域名</a> 。</p>
+            <p className="fs-12">多域名证书或其它域名输入问题可参阅 <a href="../documents/#域名" target="_blank">文档 - 域名</a> 。也可以填写 IPv4 / IPv6 地址（需证书颁发机构支持，只能使用 http-01 或 tls-alpn-01 验证）。</p>
           </div>
 
           <div className="form-check d-none">
@@ -266,6 +331,10 @@ export default () => {
               <input type="radio" name="choice_privateKey" value="manual" />
               <span className="ms-2">输入证书私钥</span>
             </label>
+            <label>
+              <input type="radio" name="choice_privateKey" value="csr" />
+              <span className="ms-2">使用自有 CSR</span>
+            </label>
             <div className="privateKeyBox mb-2">
               <textarea className="in_privateKey inputLang" placeholder-cn="..."></textarea>
             </div>
@@ -308,10 +377,44 @@ export default () => {
 
               <input type="radio" name="q-privateKey" id="q-privateKey-user" value="rsa" className="d-none" />
               <label htmlFor="q-privateKey-user" className="label-radio">自定义</label>
+
+              <input type="radio" name="q-privateKey" id="q-privateKey-csr" value="csr" className="d-none" />
+              <label htmlFor="q-privateKey-csr" className="label-radio">自有 CSR<span className="fs-12"> 私钥不离开服务器</span></label>
               <div className="mt-2 mb-3">
                 <textarea style={{ display: 'none' }} id="q-privateKey-userInput" className="form-control q-form fs-14"
                   rows="5" placeholder="输入证书私钥 ..."></textarea>
+                <div className="csrBox" style={{ display: 'none' }}>
+                  <textarea className="in_csr form-control q-form fs-14 mb-2" rows="5" placeholder="-----BEGIN CERTIFICATE REQUEST-----"></textarea>
+                  <input type="file" id="q-csr-file" className="form-control form-control-sm w-auto mb-2" accept=".csr,.req,.pem,.der" />
+                  <div className="csrState fs-12"></div>
+                  <p className="fs-12 mt-2 mb-0">粘贴或选择在服务器、HSM 上生成的 PEM / DER 格式 CSR，验证签名后使用其中的域名申请证书，CSR 原样提交给证书颁发机构。证书管理中不保存私钥，续期时重新提交此 CSR。</p>
+                </div>
+              </div>
+
+              <div className="profileShow" style={{ display: 'none' }}>
+                <p>证书配置 (Profile)</p>
+                <div className="profileList"></div>
+                <p className="fs-12 mt-2 mb-3">证书颁发机构提供的证书类型，例如 Let's Encrypt 的 shortlived 为有效期约 6 天的短期证书。续期时会使用相同的配置。</p>
+              </div>
+
+              <p>CSR 扩展</p>
+              <div className="form-check">
+                <input className="form-check-input choice_csrMustStaple" type="checkbox" id="q-csr-mustStaple" />
+                <label className="form-check-label" htmlFor="q-csr-mustStaple">OCSP Must-Staple<span className="fs-12"> 要求服务器提供 OCSP 装订</span></label>
+              </div>
+              <div className="form-check">
+                <input className="form-check-input choice_csrKeyUsage" type="checkbox" id="q-csr-keyUsage" />
+                <label className="form-check-label" htmlFor="q-csr-keyUsage">密钥用途 (Key Usage)<span className="fs-12"> digitalSignature，RSA 另加 keyEncipherment</span></label>
+              </div>
+              <div className="form-check">
+                <input className="form-check-input choice_csrServerAuth" type="checkbox" id="q-csr-serverAuth" />
+                <label className="form-check-label" htmlFor="q-csr-serverAuth">扩展密钥用途：服务器身份验证 (serverAuth)</label>
               </div>
+              <div className="form-check">
+                <input className="form-check-input choice_csrClientAuth" type="checkbox" id="q-csr-clientAuth" />
+                <label className="form-check-label" htmlFor="q-csr-clientAuth">扩展密钥用途：客户端身份验证 (clientAuth)</label>
+              </div>
+              <p className="fs-12 mt-2 mb-3">添加到 CSR 中的扩展请求，记录在证书管理中，续期时生成相同的 CSR。证书中的密钥用途通常由证书颁发机构决定，CSR 中的请求可能被忽略；Let's Encrypt 已不再签发 Must-Staple 证书，选择后订单可能被拒绝。可在证书管理的证书详情中查看签发结果。</p>
 
               <p>ACME 账户私钥</p>
               <input type="radio" id="q-accountKey-auto" className="d-none" defaultChecked />
@@ -331,17 +434,17 @@ export default () => {
             </div>
           </div>
 
-          <div className="itemBox eabShow d-none">
+          <div className="itemBox eabShow mb-4" style={{ display: 'none' }}>
             <div className="pd Bold"><span className="langCN">EAB 凭据：</span><span className="langEN"></span></div>
             <div className="pd">
-              <span className="langCN">当前 ACME 服务要求提供外部账号绑定凭据 (ExternalAccount Binding)，比如 ZeroSSL ：你可以在 ZeroSSL 的管理控制台的 Developer 中获得此凭据，所以你需要先注册一个 ZeroSSL的账号。</span>
+              <span className="langCN">当前 ACME 服务要求提供外部账号绑定凭据 (ExternalAccount Binding)，比如 ZeroSSL ：你可以在 ZeroSSL 的管理控制台的 Developer 中获得此凭据，所以你需要先注册一个 ZeroSSL的账号。凭据会随证书保存，用于自动续期。</span>
               <span className="langEN"></span>
             </div>
             <div className="FlexBox">
               <div><i className="must">*</i>EAB KID:</div>
-              <div className="FlexItem"><input className="in_eab_kid inputLang" placeholder-cn="请填写EAB KID" placeholder-en="Please fill in EAB KID" /></div>
+              <div className="FlexItem"><input className="in_eab_kid inputLang form-control q-form" placeholder-cn="请填写EAB KID" placeholder-en="Please fill in EAB KID" /></div>
               <div><i className="must">*</i>HMAC KEY:</div>
-              <div className="FlexItem"><input className="in_eab_key inputLang" placeholder-cn="请填写EAB HMAC KEY" placeholder-en="Please fill in EAB HMAC KEY" /></div>
+              <div className="FlexItem"><input className="in_eab_key inputLang form-control q-form" placeholder-cn="请填写EAB HMAC KEY" placeholder-en="Please fill in EAB HMAC KEY" /></div>
             </div>
           </div>
           <div className="pd termsAgreeBox d-none">
@@ -357,10 +460,14 @@ export default () => {
                 <path d="M5.52.359A.5.5 0 0 1 6 0h4a.5.5 0 0 1 .474.658L8.694 6H12.5a.5.5 0 0 1 .395.807l-7 9a.5.5 0 0 1-.873-.454L6.823 9.5H3.5a.5.5 0 0 1-.48-.641z" />
               </svg><span className="ms-2">继续 <em>Go!</em></span>
             </button>
+            <div className="preAuthzShow fs-12 mb-2" style={{ display: 'none' }}>
+              <a href="#!" onClick={() => { configStepClick(true); }}>仅验证域名</a>
+              <span>：此证书颁发机构支持预先验证，验证通过的授权在有效期内可直接用于申请和自动续期证书，不会签发证书。</span>
+            </div>
             <div className="fs-12">
               <span>点击继续后代表你同意 </span>
-              <a href="https://letsencrypt.org/documents/LE-SA-v1.4-April-3-2024.pdf" target="_blank" rel="nofollow noreferrer noopener">Let's Encrypt 使用条款</a> 。
-              <p>来自 <a href="https://letsencrypt.org/" target="_blank">Let's Encrypt</a> 的 3 个月 TLS 证书。</p>
+              <a href="https://letsencrypt.org/documents/LE-SA-v1.4-April-3-2024.pdf" className="termsLinkShow" target="_blank" rel="nofollow noreferrer noopener">证书颁发机构使用条款</a> 。
+              <p>来自 <span className="acmeNameShow"></span> 的 TLS 证书。</p>
             </div>
           </div>
 
@@ -393,7 +500,7 @@ export default () => {
                   <path d="M2.146 2.854a.5.5 0 1 1 .708-.708L8 7.293l5.146-5.147a.5.5 0 0 1 .708.708L8.707 8l5.147 5.146a.5.5 0 0 1-.708.708L8 8.707l-5.146 5.147a.5.5 0 0 1-.708-.708L7.293 8z" />
                 </svg><span className="ms-2 langCN">取消 ...</span>
               </span>
-              <button className="mainBtn btn btn-red fw-bold me-3" onClick={() => { configStepClick() }}>
+              <button className="mainBtn btn btn-red fw-bold me-3" onClick={() => { configStepClick(!!window.ACME?.StepData?.order?.preAuthz) }}>
                 <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" className="bi bi-arrow-clockwise" viewBox="0 0 16 16">
                   <path fillRule="evenodd" d="M8 3a5 5 0 1 0 4.546 2.914.5.5 0 0 1 .908-.417A6 6 0 1 1 8 2z" />
                   <path d="M8 4.466V.534a.25.25 0 0 1 .41-.192l2.36 1.966c.12.1.12.284 0 .384L8.41 4.658A.25.25 0 0 1 8 4.466" />
@@ -424,6 +531,11 @@ export default () => {
               <h2 className="fw-light">结果输出</h2>
               <p className="mb-3 fs-14">证书的 PEM 和 KEY 已经保存到 <a href="/manage">证书管理</a> 。</p>
             </div>
+            <div className="chainsBox col-12 mb-4" style={{ display: 'none' }}>
+              <p className="fw-bold m-0">证书链</p>
+              <p className="mb-2 fs-14 text-muted">证书颁发机构提供了多条证书链，可选择兼容旧设备的根证书；选择会被记住，续期时使用相同根证书的证书链。</p>
+              <div className="chainList"></div>
+            </div>
             <div className="col-6 mb-4">
               <p className="fw-bold m-0">PEM</p>
               <textarea className="txt_downloadCert form-control q-form mb-2 fs-14" rows="5" readOnly></textarea>
@@ -431,12 +543,32 @@ export default () => {
               <span className="mx-2">|</span>
               <a href="#!" id="x-q-copy-textpem">复制 PEM</a>
             </div>
-            <div className="col-6 mb-4">
+            <div className="step4KeyBox col-6 mb-4">
               <p className="fw-bold m-0">KEY</p>
               <textarea className="txt_downloadKey form-control q-form mb-2 fs-14" rows="5" readOnly></textarea>
+              <input type="password" className="in_keyPassphrase form-control q-form fs-14 mb-2" placeholder="私钥密码（可选）" autoComplete="new-password" />
               <a href="#!" className="mainBtn" onClick={() => { downloadBtnClick('Key') }}>下载 .key</a>
               <span className="mx-2">|</span>
               <a href="#!" id="x-q-copy-textkey">复制 KEY</a>
+              <div className="keyPassphraseState fs-14 mt-2"></div>
+              <small className="form-text text-muted d-block mt-1">设置密码后下载的私钥为加密的 PKCS#8 (ENCRYPTED PRIVATE KEY)，记录 LOG 文件中的私钥同样加密，导入时需要输入密码</small>
+            </div>
+            <div className="step4KeyBox col-12 mb-4">
+              <p className="fw-bold m-0">PFX</p>
+              <p className="mb-2 fs-14 text-muted">Windows / IIS、Azure 和 Java 等需要 PKCS#12 (.pfx) 格式，包含私钥、证书和证书链，使用密码加密。</p>
+              <div className="row g-2 align-items-center mb-2">
+                <div className="col-auto">
+                  <input type="password" className="in_pfxPassword form-control q-form fs-14" placeholder="PFX 密码" autoComplete="new-password" />
+                </div>
+                <div className="col-auto">
+                  <div className="form-check">
+                    <input className="in_pfxLegacy form-check-input" type="checkbox" id="pfxLegacy" />
+                    <label className="form-check-label fs-14" htmlFor="pfxLegacy">兼容旧版 Windows (3DES)</label>
+                  </div>
+                </div>
+              </div>
+              <a href="#!" className="mainBtn" onClick={() => { downloadPfxClick() }}>下载 .pfx</a>
+              <div className="pfxState fs-14 mt-2"></div>
             </div>
             <div className="col-12 mt-5">
               <p className="text-center">
@@ -1,7 +1,65 @@
 import { useEffect, useState } from 'react';
 import Head from 'next/head';
 import { dTitle, tc } from '@components/main';
-import { CertificateScanner, ConfigManager, HistoryManager } from '../../lib/auto-renewal/index.js';
+import { CertificateScanner, ConfigManager, HistoryManager, ACMEClient, getCAName, findCAPreset, describeProblem, validateCertificate, HEALTH_STATUS, OCSP_STATUS, REVOCATION_REASONS, checkOCSPStatus, VALIDATION_METHODS, TLSA_USAGE, buildCAARecords, buildTLSARecords, formatBindZone } from '../../lib/auto-renewal/index.js';
+
+// CRL reason codes accepted by ACME revokeCert (RFC 5280 §5.3.1)
+const REVOKE_REASONS = [
+    { code: 0, name: '未指定 (unspecified)' },
+    { code: 1, name: '私钥泄露 (keyCompromise)' },
+    { code: 3, name: '关联关系变更 (affiliationChanged)' },
+    { code: 4, name: '已被取代 (superseded)' },
+    { code: 5, name: '停止使用 (cessationOfOperation)' }
+];
+
+const escapeHTML = (str) => str.replace(/[&<>'"]/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// 私钥配对和证书链检查结果
+const HEALTH_BADGES = {
+    [HEALTH_STATUS.OK]: { cls: 'bg-light text-success border', text: '私钥和证书链正常' },
+    [HEALTH_STATUS.KEY_MISMATCH]: { cls: 'bg-danger', text: '私钥与证书不匹配' },
+    [HEALTH_STATUS.CHAIN_INVALID]: { cls: 'bg-danger', text: '证书链签名无效' },
+    [HEALTH_STATUS.UNREADABLE]: { cls: 'bg-danger', text: '证书无法解析' },
+    [HEALTH_STATUS.NO_KEY]: { cls: 'bg-secondary', text: '没有私钥' },
+    [HEALTH_STATUS.CHAIN_INCOMPLETE]: { cls: 'bg-warning text-dark', text: '缺少中间证书' },
+    [HEALTH_STATUS.KEY_EXTERNAL]: { cls: 'bg-light text-success border', text: '与 CSR 公钥匹配，证书链正常' }
+};
+
+// CSR 扩展选项的简短说明
+const csrExtensionsText = (ext) => [
+    ext.mustStaple && 'Must-Staple',
+    ext.keyUsage && 'KU',
+    (ext.extKeyUsage || []).length > 0 && `EKU: ${ext.extKeyUsage.join(', ')}`
+].filter(Boolean).join(' / ');
+
+const healthBadge = (health) => {
+    const badge = HEALTH_BADGES[health.status];
+    const details = health.chain.filter(c => !c.signed).map(c => `${c.subject}：${c.error}`).join('\n');
+    return `<span class="badge ${badge.cls}" title="${escapeHTML(details || `检查时间：${new Date(health.checkedAt).toLocaleString('zh-CN')}`)}">${badge.text}</span>`;
+};
+
+// OCSP 吊销状态
+const OCSP_BADGES = {
+    [OCSP_STATUS.GOOD]: { cls: 'bg-light text-success border', text: 'OCSP 正常' },
+    [OCSP_STATUS.REVOKED]: { cls: 'bg-danger', text: '已被 CA 吊销' },
+    [OCSP_STATUS.UNKNOWN]: { cls: 'bg-warning text-dark', text: 'OCSP 状态未知' },
+    [OCSP_STATUS.UNAVAILABLE]: { cls: 'bg-light text-secondary border', text: '不支持 OCSP' },
+    [OCSP_STATUS.ERROR]: { cls: 'bg-light text-danger border', text: 'OCSP 查询失败' }
+};
+
+const ocspBadge = (ocsp) => {
+    const badge = OCSP_BADGES[ocsp.status];
+    const isRevoked = ocsp.status === OCSP_STATUS.REVOKED;
+    const reason = REVOKE_REASONS.find(r => r.code === ocsp.reason);
+    const details = [
+        isRevoked && ocsp.reason != null && `吊销原因：${reason ? reason.name : REVOCATION_REASONS[ocsp.reason] || ocsp.reason}`,
+        ocsp.error,
+        ocsp.responderURL && `OCSP 服务器：${ocsp.responderURL}`,
+        `检查时间：${new Date(ocsp.checkedAt).toLocaleString('zh-CN')}`
+    ].filter(Boolean).join('\n');
+    const text = isRevoked ? `${badge.text}：${new Date(ocsp.revokedAt).toLocaleString('zh-CN')}` : badge.text;
+    return `<span class="badge ${badge.cls}" title="${escapeHTML(details)}">${text}</span>`;
+};
 
 export default () => {
     const [certificates, setCertificates] = useState([]);
@@ -9,10 +67,38 @@ export default () => {
     const [showHistoryModal, setShowHistoryModal] = useState(false);
     const [selectedDomain, setSelectedDomain] = useState('');
     const [renewalHistory, setRenewalHistory] = useState([]);
+    const [revokeIndex, setRevokeIndex] = useState(null);
+    const [revokeReason, setRevokeReason] = useState(0);
+    const [revokeSignWith, setRevokeSignWith] = useState('account');
+    const [isRevoking, setIsRevoking] = useState(false);
+    const [revokeError, setRevokeError] = useState('');
+    const [inspectDomain, setInspectDomain] = useState('');
+    const [inspectCerts, setInspectCerts] = useState(null);
+    const [pfxIndex, setPfxIndex] = useState(null);
+    const [pfxPassword, setPfxPassword] = useState('');
+    const [pfxFriendlyName, setPfxFriendlyName] = useState('');
+    const [pfxLegacy, setPfxLegacy] = useState(false);
+    const [isExportingPfx, setIsExportingPfx] = useState(false);
+    const [pfxError, setPfxError] = useState('');
+    const [dnsIndex, setDnsIndex] = useState(null);
+    const [caaIdentity, setCaaIdentity] = useState('');
+    const [caaAccountURL, setCaaAccountURL] = useState('');
+    const [caaMethods, setCaaMethods] = useState([]);
+    const [caaIodef, setCaaIodef] = useState('');
+    const [tlsaHosts, setTlsaHosts] = useState('');
+    const [tlsaPorts, setTlsaPorts] = useState('25');
+    const [tlsaUsages, setTlsaUsages] = useState([TLSA_USAGE.DANE_EE, TLSA_USAGE.DANE_TA]);
+    const [dnsTTL, setDnsTTL] = useState(3600);
+    const [caaRecords, setCaaRecords] = useState([]);
+    const [tlsaRecords, setTlsaRecords] = useState([]);
+    const [dnsError, setDnsError] = useState('');
+    const [tlsaError, setTlsaError] = useState('');
+    const [isLookingUpAccount, setIsLookingUpAccount] = useState(false);
     
     const scanner = new CertificateScanner();
     const configManager = new ConfigManager();
     const historyManager = new HistoryManager();
+    const acmeClient = new ACMEClient();
 
     useEffect(() => {
         // 加载配置
@@ -37,50 +123,105 @@ export default () => {
                 const index = i + 1;
                 
                 // 获取续期状态
-                const certInfo = scannedCerts.find(c => c.domains === domain);
-                const daysUntilExpiry = certInfo ? certInfo.daysUntilExpiry : null;
-                const isExpired = certInfo ? certInfo.isExpired : false;
+                const expiryDate = scanner.getExpiryDate(d);
+                const isExpired = expiryDate <= new Date();
                 const renewalStatus = d.renewalStatus || 'idle';
-                const isAutoRenewalEnabled = configManager.isCertAutoRenewalEnabled(domain);
+                const isRevoked = !!d.revoked;
+                const isStaging = !!d.staging;
+                const isAutoRenewalEnabled = !isRevoked && configManager.isCertAutoRenewalEnabled(domain, isStaging);
+                // 测试证书默认不自动续期，需要在设置中开启后才能切换
+                const canToggleAutoRenewal = !isRevoked && (!isStaging || config.includeStaging);
                 
                 // 状态指示器
                 let statusBadge = '';
-                if (isExpired) {
+                if (isRevoked) {
+                    statusBadge = '<span class="badge bg-dark">已吊销</span>';
+                } else if (isExpired) {
                     statusBadge = '<span class="badge bg-danger">已过期</span>';
                 } else if (renewalStatus === 'in_progress') {
                     statusBadge = '<span class="badge bg-info">续期中</span>';
                 } else if (renewalStatus === 'success') {
                     statusBadge = '<span class="badge bg-success">续期成功</span>';
                 } else if (renewalStatus === 'failure') {
-                    statusBadge = '<span class="badge bg-warning">续期失败</span>';
+                    statusBadge = d.renewalRetryAt > Date.now()
+                        ? `<span class="badge bg-warning" title="证书颁发机构暂时无法处理（如触发速率限制），将自动重试">续期失败，将于 ${new Date(d.renewalRetryAt).toLocaleString('zh-CN')} 重试</span>`
+                        : '<span class="badge bg-warning">续期失败</span>';
+                } else if (renewalStatus === 'manual_required') {
+                    statusBadge = '<span class="badge bg-danger">需要手动续期</span>';
                 } else if (renewalStatus === 'pending') {
                     statusBadge = '<span class="badge bg-secondary">待续期</span>';
-                } else if (daysUntilExpiry !== null && daysUntilExpiry <= renewalConfig.threshold) {
+                } else if (d.ocsp && d.ocsp.status === OCSP_STATUS.REVOKED) {
+                    statusBadge = '<span class="badge bg-danger" title="证书颁发机构已吊销此证书，启用自动续期时会立即续期">需要立即续期</span>';
+                } else if (d.ari && d.ari.renewAt) {
+                    // CA 通过 ARI 提供了建议续期窗口，按窗口内随机选定的时间续期
+                    const windowText = `CA 建议续期窗口：${new Date(d.ari.start).toLocaleString('zh-CN')} - ${new Date(d.ari.end).toLocaleString('zh-CN')}`;
+                    statusBadge = Date.now() >= d.ari.renewAt
+                        ? `<span class="badge bg-warning" title="${windowText}">CA 建议续期</span>`
+                        : `<span class="badge bg-light text-dark" title="${windowText}">计划于 ${new Date(d.ari.renewAt).toLocaleDateString('zh-CN')} 续期</span>`;
+                    if (/^https?:\/\//.test(d.ari.explanationURL || '')) {
+                        statusBadge += ` <a href="${d.ari.explanationURL.replace(/["<>]/g, encodeURIComponent)}" target="_blank" rel="noopener noreferrer" class="fs-12">说明</a>`;
+                    }
+                } else if (scanner.getCertificateStatus(d, config.threshold) === 'needs_renewal') {
                     statusBadge = '<span class="badge bg-warning">即将到期</span>';
                 }
 
+                // 从证书中读取的有效期、颁发者和序列号
+                const certTitle = d.notBefore ? [
+                    `有效期：${new Date(d.notBefore).toLocaleString('zh-CN')} - ${expiryDate.toLocaleString('zh-CN')}`,
+                    `颁发者：${d.issuer}`,
+                    `序列号：${d.serial}`,
+                    `域名：${(d.sans || []).join(', ')}`
+                ].join('\n') : '无法读取证书，按签发后 90 天计算';
+
+                // 续期失败时按 ACME 错误类型给出原因和处理建议
+                const problemGuide = !isRevoked && (renewalStatus === 'failure' || renewalStatus === 'manual_required')
+                    ? describeProblem(d.renewalError, acmeClient.getCAAIdentity(d)).map(g => `<div class="fs-12 text-danger mt-1">${escapeHTML(g.title)}${g.identifiers.length ? `（${escapeHTML(g.identifiers.join(', '))}）` : ''}：${escapeHTML(g.fix)}</div>`).join('')
+                    : '';
+
                 const item = `
                     <tr>
                         <td># ${index}</td>
                         <td>
                             ${domain}
+                            <span class="badge bg-light text-dark border" title="${escapeHTML(d.acmeURL || '')}">${escapeHTML(getCAName(d.acmeURL))}</span>
+                            ${d.profile ? `<span class="badge bg-light text-dark border" title="证书配置 (Profile)">${escapeHTML(d.profile)}</span>` : ''}
+                            ${d.csrExtensions ? `<span class="badge bg-light text-dark border" title="续期时生成相同扩展的 CSR">${escapeHTML(csrExtensionsText(d.csrExtensions))}</span>` : ''}
+                            ${isStaging ? '<span class="badge bg-warning text-dark" title="测试环境签发，不受浏览器信任">测试证书</span>' : ''}
                             ${statusBadge}
+                            ${d.keyExternal ? '<span class="badge bg-info text-dark" title="使用自有 CSR 申请，私钥不在浏览器中；续期时重新提交保存的 CSR">私钥外部保管</span>' : ''}
+                            <span class="health-badge" data-id="${i}">${d.health && HEALTH_BADGES[d.health.status] ? healthBadge(d.health) : ''}</span>
+                            <span class="ocsp-badge" data-id="${i}">${d.ocsp && OCSP_BADGES[d.ocsp.status] ? ocspBadge(d.ocsp) : ''}</span>
                             ${isAutoRenewalEnabled ? '<span class="badge bg-primary ms-1">自动续期</span>' : ''}
+                            ${problemGuide}
                         </td>
-                        <td class="guoqi-time" data-time="${d.time}"></td>
+                        <td class="guoqi-time" data-expire="${isNaN(expiryDate) ? '' : expiryDate.toISOString()}" title="${escapeHTML(certTitle)}"></td>
                         <td>
                             <a href="#!" class="downPem" data-id="${index}">下载 .pem</a>
                             <span> | </span>
-                            <a href="#!" class="downKey" data-id="${index}">下载 .key</a>
+                            ${d.keyExternal ? '' : `<a href="#!" class="downKey" data-id="${index}">下载 .key</a>
                             <span> | </span>
-                            <a href="#!" class="delete" data-id="${i}">删除</a>
+                            <a href="#!" class="downKeyEnc" data-id="${i}" title="用密码加密的 PKCS#8 私钥">加密 .key</a>
+                            <span> | </span>
+                            <a href="#!" class="downPfx" data-id="${i}">下载 .pfx</a>
+                            <span> | </span>`}
+                            <a href="/convert/?id=${i}">格式转换</a>
                             <span> | </span>
-                            <a href="#!" class="update" data-id="${index}">续期</a>
+                            <a href="#!" class="delete" data-id="${i}">删除</a>
                             <span> | </span>
-                            <a href="#!" class="toggle-auto-renewal" data-domain="${domain}" data-enabled="${isAutoRenewalEnabled}">${isAutoRenewalEnabled ? '禁用' : '启用'}自动续期</a>
+                            <a href="#!" class="update" data-id="${index}" data-ca="${encodeURIComponent(d.acmeURL || '')}" data-staging="${isStaging}" data-profile="${encodeURIComponent(d.profile || '')}">续期</a>
+                            ${canToggleAutoRenewal ? `<span> | </span>
+                            <a href="#!" class="toggle-auto-renewal" data-domain="${domain}" data-enabled="${isAutoRenewalEnabled}">${isAutoRenewalEnabled ? '禁用' : '启用'}自动续期</a>` : ''}
+                            ${isRevoked ? '' : `<span> | </span>
+                            <a href="#!" class="revoke text-danger" data-id="${i}">吊销</a>`}
                             <span> | </span>
                             <a href="#!" class="view-history" data-domain="${domain}">查看历史</a>
                             <span> | </span>
+                            <a href="#!" class="inspect" data-id="${i}">证书详情</a>
+                            ${isRevoked ? '' : `<span> | </span>
+                            <a href="#!" class="ocsp-check" data-id="${i}">检查 OCSP</a>`}
+                            <span> | </span>
+                            <a href="#!" class="dns-records" data-id="${i}">DNS 记录</a>
+                            <span> | </span>
                             <a href="#!" data-id="${index}" data-bs-toggle="collapse" data-bs-target="#td-collapse-${index}" aria-expanded="false" aria-controls="td-collapse-${index}">显示源字符串</a>
                             <div class="collapse" id="td-collapse-${index}">
                                 <div class="pt-4">
@@ -101,6 +242,15 @@ export default () => {
                 dataDiv.innerHTML += item;
             });
             
+            // 每次打开都重新检查私钥配对和证书链签名，结果保存到记录中；私钥在外部保管时和 CSR 的公钥比较
+            data.forEach((d, i) => {
+                validateCertificate(d.cert, d.key || (d.keyExternal ? d.csr : '')).then(health => {
+                    const el = document.querySelector(`.health-badge[data-id="${i}"]`);
+                    if (el) el.innerHTML = healthBadge(health);
+                    scanner.updateCertificate(i, { health });
+                }).catch(error => console.error('Failed to validate certificate:', error));
+            });
+
             // 添加自动续期开关事件监听
             const toggleLinks = document.querySelectorAll('.toggle-auto-renewal');
             toggleLinks.forEach(link => {
@@ -114,6 +264,85 @@ export default () => {
                 });
             });
             
+            // 添加吊销事件监听
+            const revokeLinks = document.querySelectorAll('.revoke');
+            revokeLinks.forEach(link => {
+                link.addEventListener('click', function(event) {
+                    event.preventDefault();
+                    setRevokeIndex(+this.getAttribute('data-id'));
+                    setRevokeReason(0);
+                    setRevokeSignWith('account');
+                    setRevokeError('');
+                });
+            });
+            
+            // 添加下载 PFX 事件监听
+            const pfxLinks = document.querySelectorAll('.downPfx');
+            pfxLinks.forEach(link => {
+                link.addEventListener('click', function(event) {
+                    event.preventDefault();
+                    const i = +this.getAttribute('data-id');
+                    setPfxIndex(i);
+                    setPfxPassword('');
+                    setPfxFriendlyName(String(data[i].domains).split(',')[0]);
+                    setPfxError('');
+                });
+            });
+
+            // 添加证书详情事件监听
+            const inspectLinks = document.querySelectorAll('.inspect');
+            inspectLinks.forEach(link => {
+                link.addEventListener('click', function(event) {
+                    event.preventDefault();
+                    const record = data[+this.getAttribute('data-id')];
+                    window.X509.CertInspect(record.cert, (certs) => {
+                        setInspectDomain(String(record.domains));
+                        setInspectCerts(certs);
+                    }, () => tc('无法解析此证书'));
+                });
+            });
+
+            // 添加检查 OCSP 事件监听，结果保存到记录中，吊销的证书由自动续期立即续期
+            const ocspLinks = document.querySelectorAll('.ocsp-check');
+            ocspLinks.forEach(link => {
+                link.addEventListener('click', function(event) {
+                    event.preventDefault();
+                    const i = +this.getAttribute('data-id');
+                    const el = document.querySelector(`.ocsp-badge[data-id="${i}"]`);
+                    el.innerHTML = '<span class="badge bg-light text-dark border">正在查询 OCSP...</span>';
+                    checkOCSPStatus(data[i].cert, { responderURL: config.ocspResponderURL }).then(ocsp => {
+                        el.innerHTML = ocspBadge(ocsp);
+                        scanner.updateCertificate(i, { ocsp });
+                        if (ocsp.status === OCSP_STATUS.REVOKED) tc('证书已被证书颁发机构吊销，请尽快续期');
+                    }).catch(error => console.error('Failed to check OCSP status:', error));
+                });
+            });
+
+            // 添加 DNS 记录 (CAA / TLSA) 事件监听
+            const dnsLinks = document.querySelectorAll('.dns-records');
+            dnsLinks.forEach(link => {
+                link.addEventListener('click', function(event) {
+                    event.preventDefault();
+                    const i = +this.getAttribute('data-id');
+                    const record = data[i];
+                    const domains = String(record.domains).split(',').map(d => d.trim());
+                    const preset = findCAPreset(acmeClient.getAcmeURL(record));
+                    setDnsIndex(i);
+                    setDnsError('');
+                    setCaaIdentity(preset && preset.caaIdentity || '');
+                    setCaaAccountURL(record.accountURL || '');
+                    setCaaMethods(record.challengeTypes || []);
+                    setCaaIodef('');
+                    setTlsaHosts(domains.filter(d => !/^\*\./.test(d) && !window.X509.IPParse(d)).slice(0, 1).join(', '));
+                    // 非内置的 CA 从目录的 caaIdentities 读取 CAA 标识
+                    if (!preset || !preset.caaIdentity) {
+                        acmeClient.getCAAIdentities(acmeClient.getAcmeURL(record))
+                            .then(ids => ids.length && setCaaIdentity(ids[0]))
+                            .catch(error => console.error('Failed to read CAA identities:', error));
+                    }
+                });
+            });
+
             // 添加查看历史事件监听
             const historyLinks = document.querySelectorAll('.view-history');
             historyLinks.forEach(link => {
@@ -136,7 +365,7 @@ export default () => {
         function updateGuoqiTimes() {
             guoqiTimes.forEach(i => {
                 const now = new Date();
-                let time = (new Date((new Date(i.getAttribute('data-time'))).getTime() + 90 * 24 * 60 * 60 * 1000)) - now;
+                let time = new Date(i.getAttribute('data-expire')) - now;
                 if (time < 0 || time === 0) {
                     i.textContent = '已过期';
                 } else {
@@ -195,6 +424,34 @@ export default () => {
             });
         });
 
+        // 下载用密码加密的私钥 (ENCRYPTED PRIVATE KEY)
+        const downKeyEncA = document.querySelectorAll('a.downKeyEnc');
+        downKeyEncA.forEach(function (i) {
+            i.addEventListener('click', function (event) {
+                event.preventDefault();
+                const record = data[+this.getAttribute('data-id')];
+                if (!record.key) return tc('此证书没有私钥');
+                const passphrase = prompt('设置私钥密码：');
+                if (!passphrase) return;
+                window.X509.KeyParse(record.key, function (keyInfo) {
+                    window.X509.KeyEncrypt(keyInfo, passphrase).then(function (pem) {
+                        const blob = new Blob([pem], { type: 'application/x-key-file' });
+                        const downloadLink = document.createElement('a');
+                        downloadLink.href = window.URL.createObjectURL(blob);
+                        downloadLink.download = 'Certple_' + record.domains + '.key';
+                        document.body.appendChild(downloadLink);
+                        downloadLink.click();
+                        document.body.removeChild(downloadLink);
+                        window.URL.revokeObjectURL(downloadLink.href);
+                    }).catch(function (err) {
+                        tc('私钥加密失败：' + err.message);
+                    });
+                }, function () {
+                    tc('无法解析此私钥');
+                }, true);
+            });
+        });
+
         const deleteLinks = document.querySelectorAll('.delete');
         deleteLinks.forEach(i => {
             i.addEventListener('click', function (event) {
@@ -219,7 +476,10 @@ export default () => {
                 const domainPre = document.getElementById('td-domain-' + dataIndex);
 
                 const domains = domainPre.textContent || domainPre.innerText;
-                window.location.href = `/?domain=${domains}&type=0`;
+                const ca = this.getAttribute('data-ca');
+                const staging = this.getAttribute('data-staging') === 'true';
+                const profile = this.getAttribute('data-profile');
+                window.location.href = `/?domain=${domains}&type=0${ca ? `&ca=${ca}` : ''}${staging ? '&staging=1' : ''}${profile ? `&profile=${profile}` : ''}`;
             });
         });
 
@@ -232,6 +492,151 @@ export default () => {
         setRenewalHistory([]);
     };
     
+    // 关闭吊销模态框
+    const closeRevokeModal = () => {
+        if (isRevoking) return;
+        setRevokeIndex(null);
+        setRevokeError('');
+    };
+
+    // 向 CA 提交吊销请求
+    const handleRevoke = async () => {
+        const data = JSON.parse(localStorage.getItem('q-manageDataPairs')) || [];
+        const certificate = data[revokeIndex];
+        if (!certificate) return;
+        if (!confirm(`确定要吊销 ${certificate.domains} 的证书吗？吊销后证书将立即失效，且无法撤销 ...`)) return;
+
+        setIsRevoking(true);
+        setRevokeError('');
+        const result = await acmeClient.revokeCertificate(certificate, revokeReason, revokeSignWith);
+        setIsRevoking(false);
+
+        if (result.success) {
+            tc(result.alreadyRevoked ? '证书此前已被吊销，已更新状态' : '证书已吊销');
+            setRevokeIndex(null);
+            setTimeout(() => window.location.reload(), 1000);
+        } else {
+            setRevokeError(result.error);
+        }
+    };
+
+    // 关闭下载 PFX 模态框
+    const closePfxModal = () => {
+        if (isExportingPfx) return;
+        setPfxIndex(null);
+        setPfxPassword('');
+        setPfxError('');
+    };
+
+    // 用密码加密打包私钥、证书和证书链为 PKCS#12
+    const handlePfxExport = () => {
+        const data = JSON.parse(localStorage.getItem('q-manageDataPairs')) || [];
+        const certificate = data[pfxIndex];
+        if (!certificate) return;
+        if (!certificate.key) {
+            setPfxError('此证书没有保存私钥，无法生成 PFX');
+            return;
+        }
+        if (!pfxPassword) {
+            setPfxError('请设置 PFX 密码');
+            return;
+        }
+
+        setIsExportingPfx(true);
+        setPfxError('');
+        const fail = () => {
+            setIsExportingPfx(false);
+            setPfxError('生成 PFX 失败，请检查证书和私钥是否完整');
+        };
+        window.X509.KeyParse(certificate.key, (keyInfo) => {
+            window.X509.CreatePKCS12(keyInfo, certificate.cert, pfxPassword, { friendlyName: pfxFriendlyName, legacy: pfxLegacy }, (bytes) => {
+                const blob = new Blob([bytes], { type: 'application/x-pkcs12' });
+                const downloadLink = document.createElement('a');
+                downloadLink.href = window.URL.createObjectURL(blob);
+                downloadLink.download = 'Certple_' + certificate.domains + '.pfx';
+                document.body.appendChild(downloadLink);
+                downloadLink.click();
+                document.body.removeChild(downloadLink);
+                window.URL.revokeObjectURL(downloadLink.href);
+                setIsExportingPfx(false);
+                setPfxIndex(null);
+                setPfxPassword('');
+            }, fail);
+        }, fail, true);
+    };
+
+    // 选项变化后重新生成 CAA 记录
+    useEffect(() => {
+        if (dnsIndex === null) return;
+        const record = (JSON.parse(localStorage.getItem('q-manageDataPairs')) || [])[dnsIndex];
+        if (!record) return;
+        try {
+            setCaaRecords(caaIdentity ? buildCAARecords({
+                domains: record.domains,
+                caaIdentity: caaIdentity.trim(),
+                accountURL: caaAccountURL.trim(),
+                validationMethods: caaMethods,
+                iodef: caaIodef.trim()
+            }) : []);
+            setDnsError('');
+        } catch (error) {
+            setCaaRecords([]);
+            setDnsError(error.message);
+        }
+    }, [dnsIndex, caaIdentity, caaAccountURL, caaMethods, caaIodef]);
+
+    // TLSA 记录单独生成，证书链有问题时不影响 CAA 记录
+    useEffect(() => {
+        if (dnsIndex === null) return;
+        const record = (JSON.parse(localStorage.getItem('q-manageDataPairs')) || [])[dnsIndex];
+        if (!record) return;
+        let cancelled = false;
+        const hosts = tlsaHosts.split(/[\s,，]+/).filter(Boolean);
+        const ports = tlsaPorts.split(/[\s,，]+/).filter(Boolean);
+        const build = hosts.length && ports.length && tlsaUsages.length
+            ? buildTLSARecords({ certPEM: record.cert, hosts, ports, usages: tlsaUsages })
+            : Promise.resolve([]);
+        build.then(records => {
+            if (cancelled) return;
+            setTlsaRecords(records);
+            setTlsaError('');
+        }).catch(error => {
+            if (cancelled) return;
+            setTlsaRecords([]);
+            setTlsaError(error.message);
+        });
+        return () => { cancelled = true; };
+    }, [dnsIndex, tlsaHosts, tlsaPorts, tlsaUsages]);
+
+    const dnsRecords = [...caaRecords, ...tlsaRecords];
+
+    // 旧证书没有保存账户 URL，从证书颁发机构查询后保存
+    const lookupAccountURL = async () => {
+        const record = (JSON.parse(localStorage.getItem('q-manageDataPairs')) || [])[dnsIndex];
+        if (!record) return;
+        setIsLookingUpAccount(true);
+        const result = await acmeClient.getAccountInfo(acmeClient.getAcmeURL(record));
+        setIsLookingUpAccount(false);
+        if (result.success) {
+            setCaaAccountURL(result.accountUrl);
+            scanner.updateCertificate(dnsIndex, { accountURL: result.accountUrl });
+        } else {
+            setDnsError(result.error);
+        }
+    };
+
+    const toggleItem = (list, item) => list.includes(item) ? list.filter(i => i !== item) : [...list, item];
+
+    const copyText = (text) => {
+        navigator.clipboard.writeText(text).then(() => tc('已复制'));
+    };
+
+    // 关闭证书详情模态框
+    const closeInspectModal = () => {
+        setInspectCerts(null);
+        setInspectDomain('');
+    };
+
     // 格式化时间戳
     const formatTimestamp = (timestamp) => {
         if (!timestamp) return '未知';
@@ -312,5 +717,296 @@ export default () => {
             </div>
         )}
 
+        {/* 下载 PFX 模态框 */}
+        {pfxIndex !== null && (
+            <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+                <div className="modal-dialog">
+                    <div className="modal-content">
+                        <div className="modal-header">
+                            <h5 className="modal-title">下载 PFX</h5>
+                            <button type="button" className="btn-close" onClick={closePfxModal}></button>
+                        </div>
+                        <div className="modal-body">
+                            <p className="fs-14">PKCS#12 (.pfx) 文件包含私钥、证书和证书链，使用密码加密，适用于 Windows / IIS、Azure 和 Java 等。</p>
+                            <div className="mb-3">
+                                <label htmlFor="pfxPassword" className="form-label">密码</label>
+                                <input
+                                    type="password"
+                                    className="form-control q-form"
+                                    id="pfxPassword"
+                                    autoComplete="new-password"
+                                    value={pfxPassword}
+                                    onChange={(e) => setPfxPassword(e.target.value)}
+                                />
+                            </div>
+                            <div className="mb-3">
+                                <label htmlFor="pfxFriendlyName" className="form-label">友好名称</label>
+                                <input
+                                    type="text"
+                                    className="form-control q-form"
+                                    id="pfxFriendlyName"
+                                    value={pfxFriendlyName}
+                                    onChange={(e) => setPfxFriendlyName(e.target.value)}
+                                />
+                                <small className="form-text text-muted">导入 Windows 证书存储后显示的名称</small>
+                            </div>
+                            <div className="form-check mb-3">
+                                <input
+                                    className="form-check-input"
+                                    type="checkbox"
+                                    id="pfxLegacy"
+                                    checked={pfxLegacy}
+                                    onChange={(e) => setPfxLegacy(e.target.checked)}
+                                />
+                                <label className="form-check-label" htmlFor="pfxLegacy">兼容旧版 Windows (3DES)</label>
+                                <div><small className="form-text text-muted">默认使用 AES-256 加密、HMAC-SHA256 校验；Windows Server 2016 及更早版本无法导入时勾选</small></div>
+                            </div>
+                            {pfxError && (
+                                <div className="alert alert-danger fs-14" role="alert">
+                                    {pfxError}
+                                </div>
+                            )}
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-secondary" onClick={closePfxModal} disabled={isExportingPfx}>取消</button>
+                            <button type="button" className="btn q-btn" onClick={handlePfxExport} disabled={isExportingPfx}>
+                                {isExportingPfx ? '生成中...' : '下载'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        )}
+
+        {/* 证书详情模态框 */}
+        {inspectCerts && (
+            <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+                <div className="modal-dialog modal-lg">
+                    <div className="modal-content">
+                        <div className="modal-header">
+                            <h5 className="modal-title">证书详情 - {inspectDomain}</h5>
+                            <button type="button" className="btn-close" onClick={closeInspectModal}></button>
+                        </div>
+                        <div className="modal-body">
+                            {inspectCerts.map((cert, idx) => (
+                                <div key={idx} className="mb-4">
+                                    <h6 className="fw-bold">
+                                        {idx === 0 ? '证书' : `证书链 #${idx}`}
+                                        {cert.isCA && <span className="badge bg-light text-dark border ms-1">CA</span>}
+                                        {cert.mustStaple && <span className="badge bg-light text-dark border ms-1">OCSP Must-Staple</span>}
+                                    </h6>
+                                    <table className="table table-sm fs-14" style={{ wordBreak: 'break-all' }}>
+                                        <tbody>
+                                            <tr><th style={{ width: '30%' }}>使用者</th><td>{cert.subject}</td></tr>
+                                            <tr><th>颁发者</th><td>{cert.issuer}</td></tr>
+                                            {cert.sans.length > 0 && <tr><th>使用者可选名称</th><td>{cert.sans.join(', ')}</td></tr>}
+                                            <tr><th>序列号</th><td><code>{cert.serial}</code></td></tr>
+                                            <tr><th>有效期</th><td>{formatTimestamp(cert.notBefore)} - {formatTimestamp(cert.notAfter)}</td></tr>
+                                            <tr><th>公钥</th><td>{cert.keyType}{cert.keySize ? ` ${cert.keySize}` : ''}</td></tr>
+                                            <tr><th>签名算法</th><td>{cert.signatureAlgorithm}</td></tr>
+                                            {cert.keyUsage.length > 0 && <tr><th>密钥用途</th><td>{cert.keyUsage.join(', ')}</td></tr>}
+                                            {cert.extKeyUsage.length > 0 && <tr><th>扩展密钥用途</th><td>{cert.extKeyUsage.join(', ')}</td></tr>}
+                                            {cert.ocsp.length > 0 && <tr><th>OCSP</th><td>{cert.ocsp.join(', ')}</td></tr>}
+                                            {cert.caIssuers.length > 0 && <tr><th>颁发者证书</th><td>{cert.caIssuers.join(', ')}</td></tr>}
+                                            {cert.crl.length > 0 && <tr><th>CRL</th><td>{cert.crl.join(', ')}</td></tr>}
+                                            {cert.scts.length > 0 && <tr><th>SCT ({cert.scts.length})</th><td>
+                                                {cert.scts.map((sct, i) => (
+                                                    <div key={i}>v{sct.version} 日志 <code>{sct.logId}</code> {formatTimestamp(sct.timestamp)}</div>
+                                                ))}
+                                            </td></tr>}
+                                            <tr><th>SHA-1 指纹</th><td><code>{cert.sha1}</code></td></tr>
+                                            <tr><th>SHA-256 指纹</th><td><code>{cert.sha256}</code></td></tr>
+                                            <tr><th>公钥 SHA-256 Pin</th><td><code>{cert.spkiPin}</code></td></tr>
+                                        </tbody>
+                                    </table>
+                                </div>
+                            ))}
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-secondary" onClick={closeInspectModal}>关闭</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        )}
+
+        {/* DNS 记录模态框 */}
+        {dnsIndex !== null && (
+            <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+                <div className="modal-dialog modal-lg modal-dialog-scrollable">
+                    <div className="modal-content">
+                        <div className="modal-header">
+                            <h5 className="modal-title">DNS 记录 (CAA / TLSA)</h5>
+                            <button type="button" className="btn-close" onClick={() => setDnsIndex(null)}></button>
+                        </div>
+                        <div className="modal-body fs-14">
+                            <p className="fw-bold mb-2">CAA</p>
+                            <p className="text-muted">只允许此证书颁发机构签发证书，并可限制为此 ACME 账户和申请时使用的验证方式 (RFC 8657)。</p>
+                            <div className="mb-2">
+                                <label htmlFor="caaIdentity" className="form-label">CA 标识</label>
+                                <input type="text" className="form-control q-form" id="caaIdentity" value={caaIdentity} onChange={(e) => setCaaIdentity(e.target.value)} placeholder="letsencrypt.org" />
+                            </div>
+                            <div className="mb-2">
+                                <label htmlFor="caaAccountURL" className="form-label">账户 URL (accounturi)</label>
+                                <div className="d-flex gap-2">
+                                    <input type="text" className="form-control q-form" id="caaAccountURL" value={caaAccountURL} onChange={(e) => setCaaAccountURL(e.target.value)} placeholder="留空则不限制账户" />
+                                    <button className="btn btn-sm btn-outline-secondary text-nowrap" onClick={lookupAccountURL} disabled={isLookingUpAccount}>
+                                        {isLookingUpAccount ? '查询中...' : '从 CA 查询'}
+                                    </button>
+                                </div>
+                            </div>
+                            <div className="mb-2">
+                                <label className="form-label d-block">验证方式 (validationmethods)</label>
+                                {VALIDATION_METHODS.map(method => (
+                                    <div className="form-check form-check-inline" key={method}>
+                                        <input className="form-check-input" type="checkbox" id={`caa-${method}`} checked={caaMethods.includes(method)} onChange={() => setCaaMethods(toggleItem(caaMethods, method))} />
+                                        <label className="form-check-label" htmlFor={`caa-${method}`}>{method}</label>
+                                    </div>
+                                ))}
+                                <small className="form-text text-muted d-block">默认选中申请此证书时使用的验证方式，都不选则不限制；通配符域名只能使用 dns-01。</small>
+                            </div>
+                            <div className="mb-4">
+                                <label htmlFor="caaIodef" className="form-label">违规报告邮箱 (iodef，可选)</label>
+                                <input type="text" className="form-control q-form" id="caaIodef" value={caaIodef} onChange={(e) => setCaaIodef(e.target.value)} placeholder="security@example.org" />
+                            </div>
+
+                            <p className="fw-bold mb-2">TLSA (DANE)</p>
+                            <p className="text-muted">用于邮件服务器等 TLS 服务，按证书链中的公钥计算。3 1 1 绑定此证书的公钥，更换私钥前需先发布新记录；2 1 1 绑定中间证书的公钥（证书链中没有中间证书时使用最上层的证书），CA 更换中间证书时需要更新。</p>
+                            <div className="row g-2 mb-2">
+                                <div className="col-8">
+                                    <label htmlFor="tlsaHosts" className="form-label">主机名</label>
+                                    <input type="text" className="form-control q-form" id="tlsaHosts" value={tlsaHosts} onChange={(e) => setTlsaHosts(e.target.value)} placeholder="mail.example.org" />
+                                </div>
+                                <div className="col-4">
+                                    <label htmlFor="tlsaPorts" className="form-label">端口</label>
+                                    <input type="text" className="form-control q-form" id="tlsaPorts" value={tlsaPorts} onChange={(e) => setTlsaPorts(e.target.value)} placeholder="25, 465, 993" />
+                                </div>
+                            </div>
+                            <div className="mb-4">
+                                <div className="form-check form-check-inline">
+                                    <input className="form-check-input" type="checkbox" id="tlsa-ee" checked={tlsaUsages.includes(TLSA_USAGE.DANE_EE)} onChange={() => setTlsaUsages(toggleItem(tlsaUsages, TLSA_USAGE.DANE_EE))} />
+                                    <label className="form-check-label" htmlFor="tlsa-ee">3 1 1 (证书公钥)</label>
+                                </div>
+                                <div className="form-check form-check-inline">
+                                    <input className="form-check-input" type="checkbox" id="tlsa-ta" checked={tlsaUsages.includes(TLSA_USAGE.DANE_TA)} onChange={() => setTlsaUsages(toggleItem(tlsaUsages, TLSA_USAGE.DANE_TA))} />
+                                    <label className="form-check-label" htmlFor="tlsa-ta">2 1 1 (颁发者公钥)</label>
+                                </div>
+                            </div>
+
+                            {dnsError && (
+                                <div className="alert alert-danger fs-14" role="alert">
+                                    {dnsError}
+                                </div>
+                            )}
+                            {tlsaError && (
+                                <div className="alert alert-warning fs-14" role="alert">
+                                    TLSA: {tlsaError}
+                                </div>
+                            )}
+
+                            {dnsRecords.length > 0 && (<>
+                                <table className="table table-sm fs-14" style={{ wordBreak: 'break-all' }}>
+                                    <thead>
+                                        <tr>
+                                            <th>名称</th>
+                                            <th>类型</th>
+                                            <th>值</th>
+                                            <th></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {dnsRecords.map((r, idx) => (
+                                            <tr key={idx}>
+                                                <td>{r.name}</td>
+                                                <td>{r.type}</td>
+                                                <td><code>{r.value}</code></td>
+                                                <td><a href="#!" onClick={(e) => { e.preventDefault(); copyText(r.value); }}>复制</a></td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                <div className="d-flex justify-content-between align-items-center mb-2">
+                                    <span className="fw-bold">BIND 区域文件</span>
+                                    <span>
+                                        TTL <input type="number" className="form-control form-control-sm d-inline-block w-auto" min="60" value={dnsTTL} onChange={(e) => setDnsTTL(parseInt(e.target.value) || 3600)} />
+                                    </span>
+                                </div>
+                                <textarea className="form-control q-form fs-12 mb-2" rows="6" readOnly value={formatBindZone(dnsRecords, dnsTTL)} style={{ fontFamily: 'monospace' }} />
+                                <a href="#!" onClick={(e) => { e.preventDefault(); copyText(formatBindZone(dnsRecords, dnsTTL)); }}>复制全部</a>
+                            </>)}
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-secondary" onClick={() => setDnsIndex(null)}>关闭</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        )}
+
+        {/* 吊销证书模态框 */}
+        {revokeIndex !== null && (
+            <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+                <div className="modal-dialog">
+                    <div className="modal-content">
+                        <div className="modal-header">
+                            <h5 className="modal-title">吊销证书</h5>
+                            <button type="button" className="btn-close" onClick={closeRevokeModal}></button>
+                        </div>
+                        <div className="modal-body">
+                            <p className="fs-14">吊销会通知证书颁发机构立即作废此证书，适用于服务器下线或私钥泄露等情况。吊销后的证书不会再自动续期。</p>
+                            <div className="mb-3">
+                                <label htmlFor="revokeReason" className="form-label">吊销原因</label>
+                                <select
+                                    className="form-select q-form"
+                                    id="revokeReason"
+                                    value={revokeReason}
+                                    onChange={(e) => setRevokeReason(parseInt(e.target.value))}
+                                >
+                                    {REVOKE_REASONS.map(r => (
+                                        <option key={r.code} value={r.code}>{r.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="mb-3">
+                                <label className="form-label">签名密钥</label>
+                                <div className="form-check">
+                                    <input
+                                        className="form-check-input"
+                                        type="radio"
+                                        id="revokeSignAccount"
+                                        checked={revokeSignWith === 'account'}
+                                        onChange={() => setRevokeSignWith('account')}
+                                    />
+                                    <label className="form-check-label" htmlFor="revokeSignAccount">ACME 账户私钥</label>
+                                </div>
+                                <div className="form-check">
+                                    <input
+                                        className="form-check-input"
+                                        type="radio"
+                                        id="revokeSignCert"
+                                        checked={revokeSignWith === 'certificate'}
+                                        onChange={() => setRevokeSignWith('certificate')}
+                                    />
+                                    <label className="form-check-label" htmlFor="revokeSignCert">证书私钥</label>
+                                </div>
+                                <small className="form-text text-muted">账户私钥必须是申请此证书时使用的账户；丢失账户私钥时可使用证书私钥。</small>
+                            </div>
+                            {revokeError && (
+                                <div className="alert alert-danger fs-14" role="alert">
+                                    {revokeError}
+                                </div>
+                            )}
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-secondary" onClick={closeRevokeModal} disabled={isRevoking}>取消</button>
+                            <button type="button" className="btn btn-danger" onClick={handleRevoke} disabled={isRevoking}>
+                                {isRevoking ? '吊销中...' : '吊销'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        )}
+
     </>)
 };
@@ -2,13 +2,14 @@ import Head from "next/head";
 import { useState, useEffect } from "react";
 import { tc, dTitle, SmallPage } from '@components/main';
 import { CredentialManager } from '../../lib/auth/index.js';
-import { TelegramNotifier, ConfigManager } from '../../lib/auto-renewal/index.js';
+import { TelegramNotifier, ConfigManager, ACMEClient, getCAName, isStagingDefault, validateCertificate, isHealthBroken } from '../../lib/auto-renewal/index.js';
 
 export default () => {
     const [activeTab, setActiveTab] = useState('data');
     const [credentialManager] = useState(() => new CredentialManager());
     const [telegramNotifier] = useState(() => new TelegramNotifier());
     const [configManager] = useState(() => new ConfigManager());
+    const [acmeClient] = useState(() => new ACMEClient());
     
     // 认证设置状态
     const [hasCredentials, setHasCredentials] = useState(false);
@@ -38,11 +39,22 @@ export default () => {
     // 自动续期设置状态
     const [renewalConfig, setRenewalConfig] = useState({
         enabled: false,
-        threshold: 30
+        threshold: 30,
+        includeStaging: false,
+        ocspResponderURL: ''
     });
     const [renewalError, setRenewalError] = useState('');
     const [renewalSuccess, setRenewalSuccess] = useState('');
 
+    // 测试环境 (Staging) 默认开关
+    const [stagingDefault, setStagingDefault] = useState(false);
+
+    // ACME 账户私钥轮换状态
+    const [rolloverKeyType, setRolloverKeyType] = useState('ECC:P-256');
+    const [isRollingOver, setIsRollingOver] = useState(false);
+    const [rolloverError, setRolloverError] = useState('');
+    const [rolloverSuccess, setRolloverSuccess] = useState('');
+
     useEffect(() => {
         // 检查是否已设置凭证
         setHasCredentials(credentialManager.hasCredentials());
@@ -55,8 +67,11 @@ export default () => {
         const autoRenewalConfig = configManager.getAutoRenewalConfig();
         setRenewalConfig({
             enabled: autoRenewalConfig.enabled,
-            threshold: autoRenewalConfig.threshold
+            threshold: autoRenewalConfig.threshold,
+            includeStaging: autoRenewalConfig.includeStaging,
+            ocspResponderURL: autoRenewalConfig.ocspResponderURL
         });
+        setStagingDefault(isStagingDefault());
 
         // 数据管理相关的事件监听
         const userDomain = localStorage.getItem('x-q-domain');
@@ -120,7 +135,7 @@ export default () => {
                 const data = {};
                 for (let i = 0; i < localStorage.length; i++) {
                     const key = localStorage.key(i);
-                    if (['x-q-domain', 'x-q-email', 'q-acmeAccountKey', 'q-manageDataPairs', 'q-domainArray'].includes(key)) {
+                    if (['x-q-domain', 'x-q-email', 'q-acmeAccountKey', 'q-acmeStagingAccountKey', 'q-acmeAccountKeyByCA', 'q-manageDataPairs', 'q-domainArray'].includes(key)) {
                         data[key] = localStorage.getItem(key);
                     }
                 };
@@ -140,7 +155,7 @@ export default () => {
                 i.style.display = 'none';
                 i.addEventListener('change', (event) => {
                     const file = new FileReader();
-                    file.onload = (event) => {
+                    file.onload = async (event) => {
                         try {
                             const data = JSON.parse(event.target.result);
                             for (const key in data) {
@@ -148,7 +163,15 @@ export default () => {
                                     localStorage.setItem(key, data[key]);
                                 }
                             }
-                            tc('数据导入成功~');
+                            // 检查导入的证书和私钥是否配对、证书链是否有效
+                            const records = JSON.parse(localStorage.getItem('q-manageDataPairs') || '[]');
+                            let broken = 0;
+                            for (const record of records) {
+                                record.health = await validateCertificate(record.cert, record.key || (record.keyExternal ? record.csr : ''));
+                                if (isHealthBroken(record.health.status)) broken++;
+                            }
+                            if (records.length) localStorage.setItem('q-manageDataPairs', JSON.stringify(records));
+                            tc(broken ? `数据导入成功，${broken} 个证书的私钥不匹配或证书链无效，请在证书管理中查看` : '数据导入成功~');
                             setTimeout(() => {
                                 window.location.reload();
                             }, 1000);
@@ -271,7 +294,9 @@ export default () => {
         const newConfig = {
             ...currentConfig,
             enabled: renewalConfig.enabled,
-            threshold: renewalConfig.threshold
+            threshold: renewalConfig.threshold,
+            includeStaging: renewalConfig.includeStaging,
+            ocspResponderURL: renewalConfig.ocspResponderURL.trim()
         };
 
         const success = configManager.saveAutoRenewalConfig(newConfig);
@@ -284,6 +309,36 @@ export default () => {
         }
     };
 
+    // 轮换 ACME 账户私钥
+    const handleRolloverAccountKey = async (e) => {
+        e.preventDefault();
+        setRolloverError('');
+        setRolloverSuccess('');
+
+        if (!confirm('确定要更换 ACME 账户私钥吗？更换成功后旧私钥将立即失效，请确保已备份新的私钥。')) {
+            return;
+        }
+
+        setIsRollingOver(true);
+        const [type, type2] = rolloverKeyType.split(':');
+        const result = await acmeClient.rolloverAccountKey(type, type2);
+        setIsRollingOver(false);
+
+        if (result.success) {
+            setRolloverSuccess('账户私钥已更换，新的私钥已保存，请重新导出数据进行备份。'
+                + (result.skipped.length ? `以下证书颁发机构没有此私钥的账户，已跳过：${result.skipped.map(getCAName).join('、')}` : ''));
+            tc('账户私钥已更换！');
+        } else if (result.notRolledBack && result.notRolledBack.length) {
+            // 这些证书颁发机构的账户已经只接受新私钥，新私钥作为它们各自的账户私钥保存，续期等操作会自动使用
+            setRolloverError(`${getCAName(result.failedAcmeURL)} 更换失败（${result.error}），且以下证书颁发机构无法恢复为原私钥：${result.notRolledBack.map(getCAName).join('、')}。`
+                + '这些证书颁发机构之后将单独使用新私钥（q-acmeAccountKeyByCA），请立即导出数据进行备份。');
+        } else if (result.failedAcmeURL) {
+            setRolloverError(`${getCAName(result.failedAcmeURL)} 更换失败，已恢复为原私钥，所有账户不受影响：${result.error}`);
+        } else {
+            setRolloverError(result.error);
+        }
+    };
+
     return (<>
         <Head>
             <title>{`设置 - ${dTitle}`}</title>
@@ -318,6 +373,15 @@ export default () => {
                         自动续期设置
                     </a>
                 </li>
+                <li className="nav-item">
+                    <a 
+                        className={`nav-link ${activeTab === 'account' ? 'active' : ''}`}
+                        href="#!"
+                        onClick={(e) => { e.preventDefault(); setActiveTab('account'); }}
+                    >
+                        ACME 账户
+                    </a>
+                </li>
                 <li className="nav-item">
                     <a 
                         className={`nav-link ${activeTab === 'telegram' ? 'active' : ''}`}
@@ -548,6 +612,41 @@ export default () => {
                             </small>
                         </div>
 
+                        <div className="mb-4">
+                            <div className="form-check form-switch">
+                                <input
+                                    className="form-check-input"
+                                    type="checkbox"
+                                    id="includeStaging"
+                                    checked={renewalConfig.includeStaging}
+                                    onChange={(e) => setRenewalConfig({ ...renewalConfig, includeStaging: e.target.checked })}
+                                />
+                                <label className="form-check-label" htmlFor="includeStaging">
+                                    测试证书也自动续期并发送通知
+                                </label>
+                            </div>
+                            <small className="form-text text-muted">
+                                测试环境 (Staging) 签发的证书默认不自动续期，也不发送到期和失败通知
+                            </small>
+                        </div>
+
+                        <div className="mb-4">
+                            <label htmlFor="ocspResponderURL" className="form-label">
+                                OCSP 响应服务器（测试用）
+                            </label>
+                            <input
+                                type="url"
+                                className="form-control q-form"
+                                id="ocspResponderURL"
+                                value={renewalConfig.ocspResponderURL}
+                                onChange={(e) => setRenewalConfig({ ...renewalConfig, ocspResponderURL: e.target.value })}
+                                placeholder="http://127.0.0.1:8888"
+                            />
+                            <small className="form-text text-muted">
+                                自动续期会定期通过 OCSP 检查证书是否被吊销，被吊销时发送通知并立即续期。留空时使用证书中的 OCSP 地址，填写后所有查询都发送到此地址，可用于本地测试
+                            </small>
+                        </div>
+
                         <div className="alert alert-warning" role="alert">
                             <strong>注意：</strong>
                             <ul className="mb-0 mt-2">
@@ -565,6 +664,81 @@ export default () => {
                 </>
             )}
 
+            {/* ACME 账户选项卡 */}
+            {activeTab === 'account' && (
+                <>
+                    <div className="mb-5">
+                        <div className="form-check form-switch">
+                            <input
+                                className="form-check-input"
+                                type="checkbox"
+                                id="stagingDefault"
+                                checked={stagingDefault}
+                                onChange={(e) => {
+                                    setStagingDefault(e.target.checked);
+                                    localStorage.setItem('q-acmeStaging', e.target.checked ? '1' : '0');
+                                }}
+                            />
+                            <label className="form-check-label" htmlFor="stagingDefault">
+                                默认使用测试环境 (Staging) 申请证书
+                            </label>
+                        </div>
+                        <small className="form-text text-muted">
+                            测试环境签发的证书不受浏览器信任，用于演练新域名配置而不占用正式环境的速率限制；测试环境使用单独的账户私钥，申请时也可以单独切换
+                        </small>
+                    </div>
+
+                    <div className="mb-4">
+                        <p className="mb-3">更换 ACME 账户私钥（Key Rollover），账户、已验证的域名授权和证书都会保留。所有证书共用同一个账户私钥，会在签发过证书的每个证书颁发机构依次更换。</p>
+                        <p className="mb-3">查看账户状态、修改联系邮箱或停用账户，请前往 <a href="/account/">ACME 账户</a> 页面。</p>
+                    </div>
+
+                    {rolloverError && (
+                        <div className="alert alert-danger" role="alert">
+                            {rolloverError}
+                        </div>
+                    )}
+
+                    {rolloverSuccess && (
+                        <div className="alert alert-success" role="alert">
+                            {rolloverSuccess}
+                        </div>
+                    )}
+
+                    <form onSubmit={handleRolloverAccountKey}>
+                        <div className="mb-4">
+                            <label htmlFor="rolloverKeyType" className="form-label">新私钥类型</label>
+                            <select
+                                className="form-select q-form"
+                                id="rolloverKeyType"
+                                value={rolloverKeyType}
+                                onChange={(e) => setRolloverKeyType(e.target.value)}
+                            >
+                                <option value="ECC:P-256">ECC P-256</option>
+                                <option value="ECC:P-384">ECC P-384</option>
+                                <option value="RSA:2048">RSA 2048</option>
+                                <option value="RSA:4096">RSA 4096</option>
+                            </select>
+                            <small className="form-text text-muted">可以在 RSA 和 ECC 之间迁移，新私钥在浏览器中生成</small>
+                        </div>
+
+                        <div className="alert alert-warning" role="alert">
+                            <strong>注意：</strong>
+                            <ul className="mb-0 mt-2">
+                                <li>所有证书颁发机构的账户都更换成功后，才会替换本地保存的账户私钥；任一失败时已更换的账户会恢复为原私钥</li>
+                                <li>没有此私钥账户的证书颁发机构会被跳过</li>
+                                <li>无法恢复为原私钥的证书颁发机构会单独保存新私钥，续期、吊销等操作会自动使用</li>
+                                <li>更换后旧私钥立即失效，其它浏览器中保存的旧私钥需要重新导入</li>
+                            </ul>
+                        </div>
+
+                        <button type="submit" className="btn q-btn" disabled={isRollingOver}>
+                            {isRollingOver ? '更换中...' : '更换账户私钥'}
+                        </button>
+                    </form>
+                </>
+            )}
+
             {/* Telegram 通知选项卡 */}
             {activeTab === 'telegram' && (
                 <>